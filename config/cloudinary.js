@@ -84,5 +84,37 @@ upload = multer({
   fileFilter
 });
 
-export { upload };
+// Save a file that didn't come through multer (e.g. an email attachment) and return its
+// URL, the same way the upload routes store images
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf'
+};
+
+const storeFile = async (buffer, contentType, prefix = 'file') => {
+  const extension = EXTENSIONS[contentType];
+  if (!extension) {
+    throw new Error('Only image files and PDFs are allowed!');
+  }
+
+  if (isCloudinaryConfigured) {
+    const result = await new Promise((resolve, reject) => {
+      cloudinary.uploader
+        .upload_stream({ folder: 'AKSecure', resource_type: 'auto' }, (error, uploaded) => (error ? reject(error) : resolve(uploaded)))
+        .end(buffer);
+    });
+    return result.secure_url;
+  }
+
+  const uploadsDir = path.join(__dirname, '../uploads');
+  await fs.promises.mkdir(uploadsDir, { recursive: true });
+  const filename = `${prefix}-${Date.now()}-${Math.round(Math.random() * 1E9)}${extension}`;
+  await fs.promises.writeFile(path.join(uploadsDir, filename), buffer);
+  return `/uploads/${filename}`;
+};
+
+export { upload, storeFile };
 export default cloudinary;
\ No newline at end of file
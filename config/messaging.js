@@ -0,0 +1,207 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import Settings from '../models/Settings.js';
+import { planDelivery } from '../utils/preferences.js';
+import { preview } from '../utils/notifications.js';
+
+export const MESSAGE_CHANNELS = ['whatsapp', 'sms'];
+
+// A messaging provider is an object with:
+//   name                       - stored on each message
+//   send(message)              - delivers { channel, to, from, body, template, variables } and
+//                                resolves to { providerMessageId, status? } (status defaults to 'sent')
+//   parseStatusCallback(body)  - optional; maps a delivery webhook payload to
+//                                { providerMessageId, status, error }
+// Real gateways (WhatsApp Business API, SMS) are added with registerMessagingProvider and
+// selected with MESSAGING_PROVIDER. The built-in 'console' and 'file' providers are for development.
+const consoleProvider = {
+  name: 'console',
+  send: async ({ channel, to, from, body }) => {
+    console.log(`📱 [${channel}] ${from || '-'} -> ${to}: ${body}`);
+    return { providerMessageId: crypto.randomUUID() };
+  },
+  parseStatusCallback: (body) => body
+};
+
+// Appends one JSON line per message (MESSAGING_FILE, default logs/messages.log)
+const fileProvider = {
+  name: 'file',
+  send: async (message) => {
+    const file = process.env.MESSAGING_FILE || path.join('logs', 'messages.log');
+    const providerMessageId = crypto.randomUUID();
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify({ providerMessageId, sentAt: new Date(), ...message }) + '\n');
+    return { providerMessageId };
+  },
+  parseStatusCallback: (body) => body
+};
+
+const providers = new Map([
+  [consoleProvider.name, consoleProvider],
+  [fileProvider.name, fileProvider]
+]);
+
+export const registerMessagingProvider = (provider) => {
+  if (!provider?.name || typeof provider.send !== 'function') {
+    throw new Error('A messaging provider needs a name and a send() function');
+  }
+  providers.set(provider.name, provider);
+};
+
+export const getMessagingProvider = (name = process.env.MESSAGING_PROVIDER || 'console') => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown messaging provider: ${name}`);
+  }
+  return provider;
+};
+
+// Short templates with {{variable}} placeholders, kept close to what WhatsApp template approval allows
+export const MESSAGE_TEMPLATES = {
+  job_confirmation: 'Hi {{name}}, we have received your {{jobLabel}} {{reference}} ({{title}}). Our team will get back to you soon. - AK SecureTech Ltd',
+  admin_reply: 'Hi {{name}}, there is a new reply on your {{jobLabel}} {{reference}}: {{message}}',
+  visit_scheduled: 'Hi {{name}}, a visit for your {{jobLabel}} {{reference}} ({{title}}) is scheduled for {{visitTime}}. - AK SecureTech Ltd',
+  job_closed: 'Hi {{name}}, your {{jobLabel}} {{reference}} has been {{status}}. Thank you for choosing AK SecureTech Ltd.'
+};
+
+export const renderMessage = (template, variables = {}) => {
+  const text = MESSAGE_TEMPLATES[template];
+  if (!text) {
+    throw new Error(`Unknown message template: ${template}`);
+  }
+  return text.replace(/\{\{(\w+)\}\}/g, (match, key) => (variables[key] ?? '').toString());
+};
+
+// Phone numbers are stored as typed; providers need country code + number, digits only
+export const normalisePhone = (phone) => {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+  if (digits.length === 10) digits = `${process.env.DEFAULT_COUNTRY_CODE || '91'}${digits}`;
+  return digits.length >= 11 && digits.length <= 15 ? digits : null;
+};
+
+// Business number the message is sent from
+const senderFor = async (channel) => {
+  if (channel === 'sms' && process.env.SMS_SENDER_ID) return process.env.SMS_SENDER_ID;
+  const settings = await Settings.findOne().lean();
+  return channel === 'whatsapp' ? settings?.supportWhatsApp : normalisePhone(settings?.supportPhone);
+};
+
+const STATUS_ORDER = ['queued', 'sent', 'delivered', 'read'];
+
+const setStatus = (message, status, error) => {
+  message.status = status;
+  message.error = error;
+  message.statusHistory.push({ status, at: new Date(), error });
+};
+
+// Hand a queued message to the active provider and record the outcome
+export const dispatchMessage = async (message) => {
+  message.attempts += 1;
+  try {
+    const provider = getMessagingProvider();
+    message.provider = provider.name;
+
+    const result = await provider.send({
+      channel: message.channel,
+      to: message.to,
+      from: await senderFor(message.channel),
+      body: message.body,
+      template: message.template,
+      variables: message.variables
+    });
+
+    message.providerMessageId = result?.providerMessageId;
+    setStatus(message, result?.status || 'sent');
+  } catch (error) {
+    console.error('Message sending failed:', error);
+    setStatus(message, 'failed', error.message);
+  }
+
+  await message.save();
+  return message;
+};
+
+// Send a job update to the customer over WhatsApp / SMS, for each channel their preferences
+// enable for `event`. Quiet hours queue the message instead. Never throws.
+export const sendJobMessage = async (event, template, job, extra = {}) => {
+  try {
+    const userId = job.userId?._id || job.userId;
+    const recipient = await User.findById(userId).select('name phone notificationPreferences').lean();
+    const to = normalisePhone(recipient?.phone);
+    if (!to) return [];
+
+    const variables = {
+      name: recipient.name,
+      reference: job.ticketId || job.requestId,
+      title: job.title,
+      jobLabel: job.ticketId ? 'ticket' : 'service request',
+      ...extra
+    };
+    if (variables.message) variables.message = preview(variables.message, 300);
+    const body = renderMessage(template, variables);
+
+    const messages = [];
+    for (const channel of MESSAGE_CHANNELS) {
+      const plan = planDelivery(recipient.notificationPreferences, event, channel);
+      if (plan.action === 'skip') continue;
+
+      const message = await Message.create({
+        recipient: recipient._id,
+        channel,
+        to,
+        event,
+        template,
+        variables,
+        body,
+        jobModel: job.ticketId ? 'Ticket' : 'ServiceRequest',
+        jobId: job._id,
+        statusHistory: [{ status: 'queued' }],
+        sendAfter: plan.action === 'defer' ? plan.sendAfter : undefined
+      });
+
+      messages.push(plan.action === 'send' ? await dispatchMessage(message) : message);
+    }
+    return messages;
+  } catch (error) {
+    console.error('Send job message error:', error);
+    return [];
+  }
+};
+
+// Send messages held back by quiet hours whose window has ended
+export const sendDueMessages = async (now = new Date()) => {
+  const due = await Message.find({ status: 'queued', sendAfter: { $lte: now } }).sort({ createdAt: 1 });
+  for (const message of due) {
+    await dispatchMessage(message);
+  }
+  return due.length;
+};
+
+// Apply a provider delivery webhook. Statuses only move forward (sent -> delivered -> read),
+// except 'failed', which can arrive at any point.
+export const applyStatusCallback = async (providerName, payload) => {
+  const provider = getMessagingProvider(providerName);
+  const parsed = provider.parseStatusCallback ? provider.parseStatusCallback(payload) : payload;
+  const { providerMessageId, status, error } = parsed || {};
+
+  if (!providerMessageId || !['sent', 'delivered', 'read', 'failed'].includes(status)) {
+    return { error: 'providerMessageId and a valid status are required' };
+  }
+
+  const message = await Message.findOne({ provider: provider.name, providerMessageId });
+  if (!message) {
+    return { notFound: true };
+  }
+
+  const isForward = STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(message.status);
+  if (status === 'failed' || (message.status !== 'failed' && isForward)) {
+    setStatus(message, status, status === 'failed' ? (error || 'Delivery failed') : undefined);
+    await message.save();
+  }
+
+  return { message };
+};
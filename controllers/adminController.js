@@ -0,0 +1,221 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { revokeAllSessions } from '../utils/tokens.js';
+import { recordAudit, changedFields } from '../utils/audit.js';
+
+const ADMIN_FIELDS = '-passwordHash -resetPasswordToken -resetPasswordExpire';
+
+// Make sure at least one other active admin remains before disabling / removing one
+const hasOtherActiveAdmin = async (id) => {
+  const count = await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: id } });
+  return count > 0;
+};
+
+// @desc    List admin accounts
+// @route   GET /api/admins
+// @access  Private/Admin
+export const getAdmins = async (req, res) => {
+  try {
+    const admins = await User.find({ role: 'admin' })
+      .select(ADMIN_FIELDS)
+      .sort({ createdAt: 1 });
+
+    res.json(admins);
+  } catch (error) {
+    console.error('Get admins error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create an admin account
+// @route   POST /api/admins
+// @access  Private/Admin
+export const createAdmin = async (req, res) => {
+  try {
+    const { name, username, email, phone, password } = req.body;
+
+    if (!name || !username || !email || !phone || !password) {
+      return res.status(400).json({ message: 'Please provide name, username, email, phone and password' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ message: 'Admin password must be at least 8 characters long' });
+    }
+
+    const existingUsername = await User.findOne({ username: username.toLowerCase().trim() });
+    if (existingUsername) {
+      return res.status(400).json({ message: 'Username is already taken' });
+    }
+
+    const existingEmail = await User.findOne({ email: email.toLowerCase() });
+    if (existingEmail) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    const existingPhone = await User.findOne({ phone: phone.trim() });
+    if (existingPhone) {
+      return res.status(400).json({ message: 'User already exists with this phone number' });
+    }
+
+    const admin = await User.create({
+      name,
+      companyName: 'AK SecureTech Ltd',
+      username: username.toLowerCase().trim(),
+      email: email.toLowerCase(),
+      phone: phone.trim(),
+      passwordHash: password,
+      role: 'admin'
+    });
+
+    const created = await User.findById(admin._id).select(ADMIN_FIELDS);
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Create admin error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update an admin account (name, email, phone, password)
+// @route   PUT /api/admins/:id
+// @access  Private/Admin
+export const updateAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, email, phone, password } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    const admin = await User.findOne({ _id: id, role: 'admin' });
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    const before = admin.toObject();
+
+    if (name) admin.name = name;
+    if (email) {
+      const existingEmail = await User.findOne({ email: email.toLowerCase(), _id: { $ne: id } });
+      if (existingEmail) {
+        return res.status(400).json({ message: 'Email already in use' });
+      }
+      admin.email = email.toLowerCase();
+    }
+    if (phone) {
+      const existingPhone = await User.findOne({ phone: phone.trim(), _id: { $ne: id } });
+      if (existingPhone) {
+        return res.status(400).json({ message: 'Phone number already in use' });
+      }
+      admin.phone = phone.trim();
+    }
+    if (password) {
+      if (password.length < 8) {
+        return res.status(400).json({ message: 'Admin password must be at least 8 characters long' });
+      }
+      admin.passwordHash = password;
+    }
+
+    const changes = changedFields(before, admin, ['name', 'email', 'phone']);
+    await admin.save();
+
+    // A new password signs the admin out everywhere, refresh tokens included
+    if (password) {
+      await revokeAllSessions(admin._id);
+    }
+
+    // Never log the password, only that it changed
+    await recordAudit(req, 'admin.updated', { target: admin, ...changes, details: password ? { passwordChanged: true } : undefined });
+
+    const updated = await User.findById(id).select(ADMIN_FIELDS);
+    res.json(updated);
+  } catch (error) {
+    console.error('Update admin error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Enable or disable an admin account
+// @route   PUT /api/admins/:id/status
+// @access  Private/Admin
+export const setAdminStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({ message: 'Please provide isActive as true or false' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    const admin = await User.findOne({ _id: id, role: 'admin' });
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    if (!isActive) {
+      if (admin._id.toString() === req.user._id.toString()) {
+        return res.status(400).json({ message: 'You cannot disable your own account' });
+      }
+      if (!(await hasOtherActiveAdmin(id))) {
+        return res.status(400).json({ message: 'At least one active admin is required' });
+      }
+    }
+
+    const wasActive = admin.isActive;
+    admin.isActive = isActive;
+    await admin.save();
+    await recordAudit(req, 'admin.status_changed', { target: admin, before: { isActive: wasActive }, after: { isActive } });
+
+    if (!isActive) {
+      await revokeAllSessions(admin._id);
+    }
+
+    const updated = await User.findById(id).select(ADMIN_FIELDS);
+    res.json(updated);
+  } catch (error) {
+    console.error('Set admin status error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Remove an admin account
+// @route   DELETE /api/admins/:id
+// @access  Private/Admin
+export const deleteAdmin = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    const admin = await User.findOne({ _id: id, role: 'admin' });
+    if (!admin) {
+      return res.status(404).json({ message: 'Admin not found' });
+    }
+
+    if (admin._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot remove your own account' });
+    }
+
+    if (!(await hasOtherActiveAdmin(id))) {
+      return res.status(400).json({ message: 'At least one active admin is required' });
+    }
+
+    await revokeAllSessions(id);
+    await User.findByIdAndDelete(id);
+    await recordAudit(req, 'admin.deleted', {
+      target: admin,
+      before: { name: admin.name, username: admin.username, email: admin.email }
+    });
+
+    res.json({ message: 'Admin removed successfully' });
+  } catch (error) {
+    console.error('Delete admin error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,379 @@
+import mongoose from 'mongoose';
+import Amc from '../models/Amc.js';
+import User from '../models/User.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import { VISIT_FREQUENCIES, addMonths, buildVisitSchedule, getRenewalCutoff } from '../utils/amc.js';
+
+const CATEGORIES = ServiceRequest.schema.path('category').enumValues;
+
+// Snapshot the selected customer outlets (by _id or name); returns { outlets } or { error }
+const resolveOutlets = (user, selected) => {
+  if (!Array.isArray(selected) || selected.length === 0) {
+    return { error: 'Please select at least one outlet' };
+  }
+
+  const outlets = [];
+  for (const ref of selected) {
+    const outlet = user.outlets.find(o => o._id.toString() === String(ref) || o.outletName === ref);
+    if (!outlet) {
+      return { error: `Outlet not found for this customer: ${ref}` };
+    }
+    if (!Number.isFinite(outlet.location?.lat) || !Number.isFinite(outlet.location?.lng)) {
+      return { error: `Outlet "${outlet.outletName}" has no location. Please update the customer's outlet first` };
+    }
+    if (!outlets.some(o => o.outletId.toString() === outlet._id.toString())) {
+      outlets.push({
+        outletId: outlet._id,
+        outletName: outlet.outletName,
+        address: outlet.address,
+        location: { lat: outlet.location.lat, lng: outlet.location.lng }
+      });
+    }
+  }
+
+  return { outlets };
+};
+
+const validateCategories = (categories) => {
+  if (!Array.isArray(categories) || categories.length === 0) {
+    return 'Please select at least one covered category';
+  }
+  const invalid = categories.filter(category => !CATEGORIES.includes(category));
+  if (invalid.length > 0) {
+    return `Invalid category: ${invalid.join(', ')}`;
+  }
+  return null;
+};
+
+// Work out the contract term from startDate plus either endDate or termMonths (default 12)
+const resolveTerm = ({ startDate, endDate, termMonths }) => {
+  const start = startDate ? new Date(startDate) : new Date();
+  const end = endDate ? new Date(endDate) : addMonths(start, parseInt(termMonths) || 12);
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+    return { error: 'Please provide a valid term (endDate must be after startDate)' };
+  }
+  return { start, end };
+};
+
+const findAmcForUser = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const contract = await Amc.findById(id)
+    .populate('userId', 'name companyName email phone')
+    .populate('visits.serviceRequest', 'requestId status assignedVisitAt completedAt');
+  if (!contract) return null;
+
+  if (user.role !== 'admin' && contract.userId._id.toString() !== user._id.toString()) {
+    return null;
+  }
+  return contract;
+};
+
+// @desc    Create an annual maintenance contract
+// @route   POST /api/amcs
+// @access  Private/Admin
+export const createAmc = async (req, res) => {
+  try {
+    const { userId, outlets, categories, visitFrequency, firstVisitAt, contractValue, notes } = req.body;
+
+    if (!userId || !visitFrequency) {
+      return res.status(400).json({ message: 'Please provide userId, outlets, categories, term and visitFrequency' });
+    }
+
+    if (!VISIT_FREQUENCIES[visitFrequency]) {
+      return res.status(400).json({ message: `visitFrequency must be one of ${Object.keys(VISIT_FREQUENCIES).join(', ')}` });
+    }
+
+    const categoryError = validateCategories(categories);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+
+    const { start, end, error: termError } = resolveTerm(req.body);
+    if (termError) {
+      return res.status(400).json({ message: termError });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || user.role !== 'user') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { outlets: snapshots, error: outletError } = resolveOutlets(user, outlets);
+    if (outletError) {
+      return res.status(400).json({ message: outletError });
+    }
+
+    const firstVisit = firstVisitAt ? new Date(firstVisitAt) : start;
+    if (Number.isNaN(firstVisit.getTime()) || firstVisit < start || firstVisit > end) {
+      return res.status(400).json({ message: 'firstVisitAt must fall within the contract term' });
+    }
+
+    const contract = await Amc.create({
+      userId: user._id,
+      outlets: snapshots,
+      categories: [...new Set(categories)],
+      startDate: start,
+      endDate: end,
+      visitFrequency,
+      firstVisitAt: firstVisit,
+      nextVisitDue: firstVisit,
+      contractValue: contractValue !== undefined ? Number(contractValue) : 0,
+      notes,
+      createdBy: req.user.name
+    });
+
+    res.status(201).json(contract);
+  } catch (error) {
+    console.error('Create AMC error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List contracts (admin sees all, customers see their own)
+// @route   GET /api/amcs
+// @access  Private
+export const getAmcs = async (req, res) => {
+  try {
+    const { status, userId, category, renewalDue } = req.query;
+
+    const query = {};
+    if (req.user.role !== 'admin') {
+      query.userId = req.user._id;
+    } else if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+      query.userId = userId;
+    }
+    if (status) query.status = status;
+    if (category) query.categories = category;
+
+    // Active contracts expiring within the renewal window that haven't been renewed yet
+    if (renewalDue === 'true') {
+      const now = new Date();
+      query.status = 'Active';
+      query.endDate = { $gte: now, $lte: getRenewalCutoff(now) };
+      query.renewedTo = { $exists: false };
+    }
+
+    const contracts = await Amc.find(query)
+      .select('-visits')
+      .populate('userId', 'name companyName email phone')
+      .sort(renewalDue === 'true' ? { endDate: 1 } : { createdAt: -1 });
+
+    res.json(contracts);
+  } catch (error) {
+    console.error('Get AMCs error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a contract with its visit history and upcoming schedule
+// @route   GET /api/amcs/:id
+// @access  Private
+export const getAmcById = async (req, res) => {
+  try {
+    const contract = await findAmcForUser(req.params.id, req.user);
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    const upcomingVisits = contract.status === 'Active' ? buildVisitSchedule(contract) : [];
+    res.json({ ...contract.toObject(), upcomingVisits });
+  } catch (error) {
+    console.error('Get AMC error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update an active contract
+// @route   PUT /api/amcs/:id
+// @access  Private/Admin
+export const updateAmc = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { outlets, categories, endDate, visitFrequency, nextVisitDue, contractValue, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    const contract = await Amc.findById(id);
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    if (contract.status !== 'Active') {
+      return res.status(400).json({ message: `${contract.status} contracts cannot be edited` });
+    }
+
+    if (outlets !== undefined) {
+      const user = await User.findById(contract.userId);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      const { outlets: snapshots, error } = resolveOutlets(user, outlets);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      contract.outlets = snapshots;
+    }
+
+    if (categories !== undefined) {
+      const categoryError = validateCategories(categories);
+      if (categoryError) {
+        return res.status(400).json({ message: categoryError });
+      }
+      contract.categories = [...new Set(categories)];
+    }
+
+    if (visitFrequency !== undefined) {
+      if (!VISIT_FREQUENCIES[visitFrequency]) {
+        return res.status(400).json({ message: `visitFrequency must be one of ${Object.keys(VISIT_FREQUENCIES).join(', ')}` });
+      }
+      contract.visitFrequency = visitFrequency;
+    }
+
+    if (endDate !== undefined) {
+      const end = new Date(endDate);
+      if (Number.isNaN(end.getTime()) || end <= contract.startDate) {
+        return res.status(400).json({ message: 'endDate must be after startDate' });
+      }
+      // Moving the end date resets the renewal flag so the new date gets its own reminder
+      if (end.getTime() !== contract.endDate.getTime()) {
+        contract.renewalFlaggedAt = undefined;
+      }
+      contract.endDate = end;
+    }
+
+    if (nextVisitDue !== undefined) {
+      const next = nextVisitDue ? new Date(nextVisitDue) : null;
+      if (next && (Number.isNaN(next.getTime()) || next > contract.endDate)) {
+        return res.status(400).json({ message: 'nextVisitDue must fall within the contract term' });
+      }
+      // A manually moved visit becomes the new anchor for the cadence
+      contract.nextVisitDue = next;
+      if (next) contract.firstVisitAt = next;
+    } else if (contract.nextVisitDue && contract.nextVisitDue > contract.endDate) {
+      contract.nextVisitDue = null;
+    }
+
+    if (contractValue !== undefined) contract.contractValue = Number(contractValue);
+    if (notes !== undefined) contract.notes = notes;
+
+    await contract.save();
+    res.json(contract);
+  } catch (error) {
+    console.error('Update AMC error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Cancel a contract (no further visits are scheduled)
+// @route   POST /api/amcs/:id/cancel
+// @access  Private/Admin
+export const cancelAmc = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    const contract = await Amc.findById(id);
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    if (contract.status !== 'Active') {
+      return res.status(400).json({ message: `Contract is already ${contract.status.toLowerCase()}` });
+    }
+
+    contract.status = 'Cancelled';
+    contract.nextVisitDue = null;
+    contract.cancelledAt = new Date();
+    contract.cancellationReason = reason;
+    await contract.save();
+
+    res.json(contract);
+  } catch (error) {
+    console.error('Cancel AMC error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Renew a contract for a new term starting when the current one ends
+// @route   POST /api/amcs/:id/renew
+// @access  Private/Admin
+export const renewAmc = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { endDate, termMonths, visitFrequency, categories, contractValue, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    const contract = await Amc.findById(id);
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    if (contract.renewedTo) {
+      return res.status(400).json({ message: 'Contract has already been renewed', renewedTo: contract.renewedTo });
+    }
+
+    if (contract.status === 'Cancelled') {
+      return res.status(400).json({ message: 'Cancelled contracts cannot be renewed' });
+    }
+
+    const frequency = visitFrequency || contract.visitFrequency;
+    if (!VISIT_FREQUENCIES[frequency]) {
+      return res.status(400).json({ message: `visitFrequency must be one of ${Object.keys(VISIT_FREQUENCIES).join(', ')}` });
+    }
+
+    const coveredCategories = categories !== undefined ? categories : contract.categories;
+    const categoryError = validateCategories(coveredCategories);
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError });
+    }
+
+    // A lapsed contract restarts today; an active one continues from its end date
+    const now = new Date();
+    const startDate = contract.endDate > now ? contract.endDate : now;
+    const { start, end, error: termError } = resolveTerm({ startDate, endDate, termMonths });
+    if (termError) {
+      return res.status(400).json({ message: termError });
+    }
+
+    const renewal = await Amc.create({
+      userId: contract.userId,
+      outlets: contract.outlets,
+      categories: [...new Set(coveredCategories)],
+      startDate: start,
+      endDate: end,
+      visitFrequency: frequency,
+      firstVisitAt: start,
+      nextVisitDue: start,
+      contractValue: contractValue !== undefined ? Number(contractValue) : contract.contractValue,
+      notes: notes !== undefined ? notes : contract.notes,
+      renewedFrom: contract._id,
+      createdBy: req.user.name
+    });
+
+    contract.renewedTo = renewal._id;
+    if (contract.status === 'Expired') {
+      contract.status = 'Renewed';
+    }
+    await contract.save();
+
+    res.status(201).json({ contract: renewal, previous: contract });
+  } catch (error) {
+    console.error('Renew AMC error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
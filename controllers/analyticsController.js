@@ -0,0 +1,81 @@
+import {
+  parseAnalyticsFilters,
+  perJobType,
+  volumeOverTime,
+  responseTimes,
+  visitLeadTimes,
+  quotedRevenue,
+  topCustomersAndOutlets,
+  mergeTopLists
+} from '../utils/analytics.js';
+
+// Shared wrapper: parse filters, run the metric, echo the filters back for the chart legend
+const runMetric = (name, metric) => async (req, res) => {
+  try {
+    const { filters, error } = parseAnalyticsFilters(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const data = await metric(filters);
+    res.json({
+      filters: {
+        from: filters.range?.$gte || null,
+        to: filters.range?.$lte || null,
+        categories: filters.categories,
+        jobTypes: filters.jobTypes,
+        interval: filters.interval
+      },
+      data
+    });
+  } catch (error) {
+    console.error(`Analytics ${name} error:`, error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+const topLists = async (filters) => {
+  const perType = await perJobType(filters, topCustomersAndOutlets);
+  // Each job type contributes its own top N, so the combined ranking is approximate past the first few rows
+  return {
+    customers: mergeTopLists(perType, 'customers', row => row.userId.toString(), filters.limit),
+    outlets: mergeTopLists(perType, 'outlets', row => `${row.userId}:${row.outletName}`, filters.limit),
+    byJobType: perType
+  };
+};
+
+// @desc    Job counts per period by status and category
+// @route   GET /api/analytics/volume?from=&to=&category=&jobType=&interval=day|week|month
+// @access  Private/Admin
+export const getVolume = runMetric('volume', filters => perJobType(filters, volumeOverTime));
+
+// @desc    Average and percentile time to first reply and time to close
+// @route   GET /api/analytics/response-times
+// @access  Private/Admin
+export const getResponseTimes = runMetric('response times', filters => perJobType(filters, responseTimes));
+
+// @desc    Visit scheduling lead times
+// @route   GET /api/analytics/visit-lead-times
+// @access  Private/Admin
+export const getVisitLeadTimes = runMetric('visit lead times', filters => perJobType(filters, visitLeadTimes));
+
+// @desc    Quoted revenue from timeline price lists
+// @route   GET /api/analytics/revenue
+// @access  Private/Admin
+export const getQuotedRevenue = runMetric('revenue', filters => perJobType(filters, quotedRevenue));
+
+// @desc    Top customers and outlets by job volume
+// @route   GET /api/analytics/top?limit=10
+// @access  Private/Admin
+export const getTopCustomersAndOutlets = runMetric('top', topLists);
+
+// @desc    Every dashboard metric in one call
+// @route   GET /api/analytics/overview
+// @access  Private/Admin
+export const getOverview = runMetric('overview', async (filters) => ({
+  volume: await perJobType(filters, volumeOverTime),
+  responseTimes: await perJobType(filters, responseTimes),
+  visitLeadTimes: await perJobType(filters, visitLeadTimes),
+  revenue: await perJobType(filters, quotedRevenue),
+  top: await topLists(filters)
+}));
@@ -0,0 +1,218 @@
+import mongoose from 'mongoose';
+import Asset from '../models/Asset.js';
+import User from '../models/User.js';
+import Ticket from '../models/Ticket.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import { recordAudit } from '../utils/audit.js';
+import { escapeRegex } from '../utils/search.js';
+
+const EDITABLE_FIELDS = ['category', 'type', 'label', 'make', 'model', 'serialNumber', 'installDate', 'warrantyExpiry', 'status', 'notes'];
+
+// Copy editable fields from the request body, turning blank strings into unset values
+const pickAssetFields = (body) => {
+  const fields = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] === undefined) continue;
+    fields[key] = body[key] === '' ? null : body[key];
+  }
+  return fields;
+};
+
+// Match an outlet on the customer's profile by _id or name
+const findOutlet = (user, outletId, outletName) => {
+  return user.outlets.find(outlet =>
+    (outletId && outlet._id.toString() === String(outletId)) ||
+    (!outletId && outletName && outlet.outletName === outletName)
+  );
+};
+
+const duplicateSerialResponse = (res) => res.status(400).json({ message: 'An asset with this make and serial number already exists' });
+
+// @desc    List assets (admin sees all, customers see their own)
+// @route   GET /api/assets
+// @access  Private
+export const getAssets = async (req, res) => {
+  try {
+    const { userId, outletName, category, status, warranty, search } = req.query;
+
+    const query = {};
+    if (req.user.role !== 'admin') {
+      query.userId = req.user._id;
+    } else if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+      query.userId = userId;
+    }
+    if (outletName) query.outletName = outletName;
+    if (category) query.category = category;
+    if (status) query.status = status;
+
+    if (warranty === 'active') {
+      query.warrantyExpiry = { $gte: new Date() };
+    } else if (warranty === 'expired') {
+      query.warrantyExpiry = { $lt: new Date() };
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+      query.$or = [{ assetTag: pattern }, { label: pattern }, { make: pattern }, { model: pattern }, { serialNumber: pattern }];
+    }
+
+    const assets = await Asset.find(query)
+      .populate('userId', 'name companyName')
+      .sort({ outletName: 1, category: 1, label: 1 });
+
+    res.json(assets);
+  } catch (error) {
+    console.error('Get assets error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get an asset with its service history
+// @route   GET /api/assets/:id
+// @access  Private
+export const getAssetById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    const asset = await Asset.findById(id).populate('userId', 'name companyName email phone');
+    if (!asset || (req.user.role !== 'admin' && asset.userId._id.toString() !== req.user._id.toString())) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    const fields = 'category title status outletName createdAt completedAt assignedVisitAt';
+    const [tickets, serviceRequests] = await Promise.all([
+      Ticket.find({ assets: asset._id }).select(`ticketId ${fields}`).lean(),
+      ServiceRequest.find({ assets: asset._id }).select(`requestId isPreventive ${fields}`).lean()
+    ]);
+
+    const serviceHistory = [
+      ...tickets.map(ticket => ({ jobType: 'ticket', reference: ticket.ticketId, ...ticket })),
+      ...serviceRequests.map(request => ({ jobType: 'service-request', reference: request.requestId, ...request }))
+    ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({ ...asset.toObject(), serviceHistory });
+  } catch (error) {
+    console.error('Get asset error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Register an asset at a customer outlet
+// @route   POST /api/assets
+// @access  Private/Admin
+export const createAsset = async (req, res) => {
+  try {
+    const { userId, outletId, outletName } = req.body;
+    const fields = pickAssetFields(req.body);
+
+    if (!userId || (!outletId && !outletName) || !fields.category || !fields.type) {
+      return res.status(400).json({ message: 'Please provide userId, outlet, category and type' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(userId);
+    if (!user || user.role !== 'user') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const outlet = findOutlet(user, outletId, outletName);
+    if (!outlet) {
+      return res.status(400).json({ message: 'Outlet not found for this customer' });
+    }
+
+    const asset = await Asset.create({
+      ...fields,
+      userId: user._id,
+      outletId: outlet._id,
+      outletName: outlet.outletName,
+      createdBy: req.user.name
+    });
+
+    res.status(201).json(asset);
+  } catch (error) {
+    if (error.code === 11000) return duplicateSerialResponse(res);
+    console.error('Create asset error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update an asset (including moving it to another outlet of the same customer)
+// @route   PUT /api/assets/:id
+// @access  Private/Admin
+export const updateAsset = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { outletId, outletName } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    const asset = await Asset.findById(id);
+    if (!asset) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    if (outletId || outletName) {
+      const user = await User.findById(asset.userId);
+      const outlet = user && findOutlet(user, outletId, outletName);
+      if (!outlet) {
+        return res.status(400).json({ message: 'Outlet not found for this customer' });
+      }
+      asset.outletId = outlet._id;
+      asset.outletName = outlet.outletName;
+    }
+
+    asset.set(pickAssetFields(req.body));
+    await asset.save();
+
+    res.json(asset);
+  } catch (error) {
+    if (error.code === 11000) return duplicateSerialResponse(res);
+    console.error('Update asset error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete an asset with no service history (retire it otherwise)
+// @route   DELETE /api/assets/:id
+// @access  Private/Admin
+export const deleteAsset = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    const asset = await Asset.findById(id);
+    if (!asset) {
+      return res.status(404).json({ message: 'Asset not found' });
+    }
+
+    const [ticketCount, requestCount] = await Promise.all([
+      Ticket.countDocuments({ assets: asset._id }),
+      ServiceRequest.countDocuments({ assets: asset._id })
+    ]);
+    if (ticketCount + requestCount > 0) {
+      return res.status(400).json({ message: 'Asset has service history. Set its status to Retired instead of deleting it' });
+    }
+
+    await asset.deleteOne();
+    await recordAudit(req, 'asset.deleted', {
+      target: asset,
+      before: { userId: asset.userId, category: asset.category, make: asset.make, model: asset.model, serialNumber: asset.serialNumber }
+    });
+    res.json({ message: 'Asset deleted successfully' });
+  } catch (error) {
+    console.error('Delete asset error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
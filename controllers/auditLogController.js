@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import AuditLog, { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { MAX_PAGE_SIZE } from '../utils/listing.js';
+import { escapeRegex } from '../utils/search.js';
+
+// @desc    Query the audit log (newest first)
+// @route   GET /api/audit-logs?actor=&action=&targetModel=&targetId=&target=&ip=&from=&to=&page=&limit=
+// @access  Private/Admin
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { actor, action, targetModel, targetId, target, ip, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const query = {};
+
+    // An actor id, or part of the actor's name / email (String() as a repeated ?actor= is an array)
+    if (actor) {
+      const actorText = String(actor).trim();
+      query.$or = mongoose.Types.ObjectId.isValid(actorText)
+        ? [{ actor: actorText }]
+        : [{ actorName: new RegExp(escapeRegex(actorText), 'i') }, { actorEmail: new RegExp(escapeRegex(actorText), 'i') }];
+    }
+
+    // Comma separated actions; 'ticket.*' matches every action on tickets
+    if (action) {
+      const actions = String(action).split(',').flatMap(item => {
+        const name = item.trim();
+        return name.endsWith('.*')
+          ? AUDIT_ACTIONS.filter(known => known.startsWith(name.slice(0, -1)))
+          : AUDIT_ACTIONS.filter(known => known === name);
+      });
+      if (actions.length === 0) {
+        return res.status(400).json({ message: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+      }
+      query.action = { $in: actions };
+    }
+
+    if (targetModel) {
+      // Entries record the Mongoose model name of their target
+      if (!mongoose.modelNames().includes(String(targetModel))) {
+        return res.status(400).json({ message: `targetModel must be one of: ${mongoose.modelNames().join(', ')}` });
+      }
+      query.targetModel = String(targetModel);
+    }
+    if (targetId) {
+      if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        return res.status(400).json({ message: 'Invalid targetId' });
+      }
+      query.targetId = targetId;
+    }
+    // TKT- / SRV- id, email or template name
+    if (target) query.targetLabel = new RegExp(`^${escapeRegex(String(target).trim())}`, 'i');
+    if (ip) query.ip = String(ip).trim();
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if ([query.createdAt.$gte, query.createdAt.$lte].some(date => date && isNaN(date))) {
+        return res.status(400).json({ message: 'from and to must be valid dates' });
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({ entries, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Actions that can appear in the audit log (for filter menus)
+// @route   GET /api/audit-logs/actions
+// @access  Private/Admin
+export const getAuditActions = async (req, res) => {
+  res.json(AUDIT_ACTIONS);
+};
+
+// @desc    Get one audit entry
+// @route   GET /api/audit-logs/:id
+// @access  Private/Admin
+export const getAuditLogById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Audit entry not found' });
+    }
+
+    const entry = await AuditLog.findById(id);
+    if (!entry) {
+      return res.status(404).json({ message: 'Audit entry not found' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
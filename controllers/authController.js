@@ -1,84 +1,156 @@
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
 import User from '../models/User.js';
-import { sendEmail } from '../config/email.js';
+import { sendAccountLockedNotification, sendEmailVerification, sendPasswordResetEmail } from '../config/email.js';
+import { issueSession, rotateSession, revokeFamily, revokeAllSessions, generateChallengeToken, verifyChallengeToken, hashToken } from '../utils/tokens.js';
+import { ACCOUNT_POLICY, IP_POLICY, getThrottleState, registerAttempt, releaseAttempt, clearThrottle } from '../utils/authThrottle.js';
+import { generateSecret, verifyTotp, buildOtpauthUri, generateRecoveryCodes } from '../utils/totp.js';
+import { recordAudit } from '../utils/audit.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
-// ---------------- TOKEN GENERATOR ----------------
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
-  });
+// ---------------- AUTH RESPONSE HELPERS ----------------
+const toAuthUser = (user) => {
+  if (user.role === "admin") {
+    return {
+      id: user._id,
+      name: user.name,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      companyName: user.companyName,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+    };
+  }
+
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    companyName: user.companyName,
+    outlets: user.outlets || [],
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+  };
 };
 
-// ---------------- ADMIN CREDENTIAL CHECK ----------------
-const checkAdminCredentials = (username, password) => {
-  const adminCreds = process.env.ADMIN_CREDENTIALS || "";
-  const pairs = adminCreds.split(",").map(p => p.trim());
+// Issue a session once the password is verified, or stop at the 2FA step.
+// Admins without 2FA must enrol before they get a session.
+const completeLogin = async (user, req, res) => {
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user._id, "2fa-login")
+    });
+  }
+
+  if (user.role === "admin") {
+    return res.json({
+      twoFactorSetupRequired: true,
+      challengeToken: generateChallengeToken(user._id, "2fa-setup")
+    });
+  }
 
-  return pairs.some(pair => {
-    const [user, pass] = pair.split(":");
-    return user === username && pass === password;
+  const { token, refreshToken } = await issueSession(user._id, req);
+  await recordAudit(req, "auth.login", { actor: user, target: user });
+  return res.json({ token, refreshToken, user: toAuthUser(user) });
+};
+
+// ---------------- LOGIN THROTTLING ----------------
+// Compared against when the account doesn't exist so response timing is uniform
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+const sendThrottled = (res, throttle) => {
+  res.set("Retry-After", String(throttle.retryAfter));
+  return res.status(429).json({
+    message: throttle.locked
+      ? "Too many failed attempts. Please try again later."
+      : "Please wait before trying again.",
+    retryAfter: throttle.retryAfter
   });
 };
 
+// Count the attempt against the IP and the account identifier (known or not) before the
+// credentials are checked. Returns the account's { refused, lockedNow, lockedUntil }.
+const countLoginAttempt = async (req, accountKey) => {
+  const ip = await registerAttempt(`ip:${req.ip}`, IP_POLICY);
+  const account = await registerAttempt(accountKey, ACCOUNT_POLICY);
+  return { ...account, refused: ip.refused || account.refused };
+};
+
+// Email the account owner when a failed attempt has just locked the account
+const notifyLockout = (attempt, user) => {
+  if (attempt.lockedNow && user) {
+    setImmediate(async () => {
+      try {
+        await sendAccountLockedNotification(user, attempt.lockedUntil);
+      } catch (emailError) {
+        console.error("Email sending failed:", emailError);
+      }
+    });
+  }
+};
+
+// A successful attempt no longer counts against the account or the IP
+const clearLoginAttempt = async (req, accountKey) => {
+  await clearThrottle([accountKey]);
+  await releaseAttempt(`ip:${req.ip}`);
+};
+
 // ---------------- LOGIN (USER / ADMIN AUTO-DETECT) ----------------
 export const login = async (req, res) => {
   try {
     const { email, password, username } = req.body;
+    const isAdminLogin = Boolean(username && password);
 
-    // ========== ADMIN LOGIN ==========
-    if (username && password) {
-      const isValidAdmin = checkAdminCredentials(username, password);
-
-      if (!isValidAdmin) {
-        return res.status(401).json({ message: "Invalid admin credentials" });
-      }
+    if (!isAdminLogin && (!email || !password))
+      return res.status(400).json({ message: "Email & password required" });
 
-      // Return admin session without saving to database to keep DB clean
-      const adminEmail = `admin-${username}@system.local`;
-      const adminId = `admin-session-${Buffer.from(username).toString('hex')}`;
-      const token = generateToken(adminId);
+    const accountKey = isAdminLogin
+      ? `account:admin:${username.toLowerCase().trim()}`
+      : `account:${email.toLowerCase().trim()}`;
 
-      return res.json({
-        token,
-        user: {
-          id: adminId,
-          name: `Admin ${username}`,
-          email: adminEmail,
-          role: "admin",
-          companyName: "System Admin"
-        },
-      });
+    const throttle = await getThrottleState([`ip:${req.ip}`, accountKey]);
+    if (throttle.retryAfter > 0) {
+      return sendThrottled(res, throttle);
     }
 
-    // ========== USER LOGIN ==========
-    if (!email || !password)
-      return res.status(400).json({ message: "Email & password required" });
+    const attempt = await countLoginAttempt(req, accountKey);
+    if (attempt.refused) {
+      return sendThrottled(res, await getThrottleState([`ip:${req.ip}`, accountKey]));
+    }
 
-    const user = await User.findOne({ email: email.toLowerCase() });
-    if (!user)
-      return res.status(401).json({ message: "Email not registered" });
+    const user = isAdminLogin
+      ? await User.findOne({ username: username.toLowerCase().trim(), role: "admin" })
+      : await User.findOne({ email: email.toLowerCase().trim() });
+
+    // Same message whether the account is missing or the password is wrong
+    const isMatch = user
+      ? await user.comparePassword(password)
+      : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+
+    if (!user || !isMatch) {
+      notifyLockout(attempt, user);
+      await recordAudit(req, "auth.login_failed", {
+        actor: user || null,
+        target: user || undefined,
+        targetLabel: isAdminLogin ? username : email,
+        details: { reason: user ? "wrong_password" : "unknown_account" }
+      });
+      return res.status(401).json({
+        message: isAdminLogin ? "Invalid admin credentials" : "Invalid email or password"
+      });
+    }
 
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch)
-      return res.status(401).json({ message: "Invalid password" });
+    await clearLoginAttempt(req, accountKey);
 
-    const token = generateToken(user._id);
+    if (!user.isActive) {
+      await recordAudit(req, "auth.login_failed", { actor: user, target: user, details: { reason: "account_disabled" } });
+      return res.status(403).json({ message: "This account has been disabled" });
+    }
 
-    return res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        companyName: user.companyName,
-        outlets: user.outlets || []
-      },
-    });
+    return completeLogin(user, req, res);
 
   } catch (err) {
     console.error("Login error:", err);
@@ -86,6 +158,18 @@ export const login = async (req, res) => {
   }
 };
 
+// ---------------- EMAIL VERIFICATION HELPERS ----------------
+// Same hashed-token scheme as password reset: only the SHA-256 hash is stored
+const sendVerificationLink = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  user.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  user.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  await user.save({ validateBeforeSave: false });
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  await sendEmailVerification(user, `${frontendUrl}/verify-email/${verificationToken}`);
+};
+
 // ---------------- REGISTER ----------------
 export const register = async (req, res) => {
   try {
@@ -112,6 +196,7 @@ export const register = async (req, res) => {
       phone,
       email: email.toLowerCase(),
       passwordHash: password,
+      emailVerified: false,
       address: primaryOutlet.address,
       location: {
         lat: parseFloat(primaryOutlet.lat),
@@ -127,18 +212,21 @@ export const register = async (req, res) => {
       }))
     });
 
-    const token = generateToken(user._id);
+    // Send verification email in background (non-blocking)
+    setImmediate(async () => {
+      try {
+        await sendVerificationLink(user);
+      } catch (emailError) {
+        console.error('Email sending failed:', emailError);
+      }
+    });
+
+    const { token, refreshToken } = await issueSession(user._id, req);
 
     return res.status(201).json({
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        companyName: user.companyName,
-        outlets: user.outlets || []
-      },
+      refreshToken,
+      user: toAuthUser(user),
     });
 
   } catch (err) {
@@ -147,6 +235,351 @@ export const register = async (req, res) => {
   }
 };
 
+// ---------------- VERIFY EMAIL ----------------
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (!token) {
+      return res.status(400).json({ message: "Verification token is required" });
+    }
+
+    const emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken,
+      emailVerificationExpire: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired verification link" });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return res.json({ message: "Email verified successfully" });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ---------------- RESEND VERIFICATION EMAIL ----------------
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified !== false) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    try {
+      await sendVerificationLink(user);
+    } catch (error) {
+      console.error("Email send error:", error);
+      return res.status(500).json({ message: "Error sending email. Please try again later." });
+    }
+
+    return res.json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ---------------- 2FA HELPERS ----------------
+// Mark a TOTP step as used (with any other 2FA fields in `fields`), but only if no request
+// has used this or a later step meanwhile, so parallel requests can't replay one code.
+// Returns false when another request got there first.
+const claimTotpStep = async (userId, step, fields = {}) => {
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      "twoFactor.enabled": true,
+      $or: [{ "twoFactor.lastUsedStep": null }, { "twoFactor.lastUsedStep": { $lt: step } }]
+    },
+    { $set: { "twoFactor.lastUsedStep": step, ...fields } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Codes arrive as strings; anything else (numbers, arrays, objects) is a bad request
+const isCodeValue = (value) => value === undefined || typeof value === "string";
+
+// ---------------- 2FA: VERIFY LOGIN ----------------
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode) || !isCodeValue(code) || !isCodeValue(recoveryCode)) {
+      return res.status(400).json({ message: "Challenge token and code (or recovery code) are required" });
+    }
+
+    const userId = verifyChallengeToken(challengeToken, "2fa-login");
+    if (!userId) {
+      return res.status(401).json({ message: "Login session expired. Please sign in again." });
+    }
+
+    const twoFactorKey = `2fa:${userId}`;
+    const throttle = await getThrottleState([`ip:${req.ip}`, twoFactorKey]);
+    if (throttle.retryAfter > 0) {
+      return sendThrottled(res, throttle);
+    }
+
+    const attempt = await countLoginAttempt(req, twoFactorKey);
+    if (attempt.refused) {
+      return sendThrottled(res, await getThrottleState([`ip:${req.ip}`, twoFactorKey]));
+    }
+
+    const user = await User.findById(userId)
+      .select("+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep");
+
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({ message: "Login session expired. Please sign in again." });
+    }
+
+    if (code) {
+      const step = verifyTotp(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep ?? null });
+      if (step === null || !(await claimTotpStep(user._id, step))) {
+        notifyLockout(attempt, user);
+        await recordAudit(req, "auth.login_failed", { actor: user, target: user, details: { reason: "invalid_2fa_code" } });
+        return res.status(401).json({ message: "Invalid authentication code" });
+      }
+    } else {
+      // Recovery codes are single use: only the request that removes the code may use it
+      const codeHash = hashToken(recoveryCode.trim().toLowerCase());
+      const used = await User.updateOne(
+        { _id: user._id, "twoFactor.recoveryCodes": codeHash },
+        { $pull: { "twoFactor.recoveryCodes": codeHash } }
+      );
+      if (used.modifiedCount !== 1) {
+        notifyLockout(attempt, user);
+        await recordAudit(req, "auth.login_failed", { actor: user, target: user, details: { reason: "invalid_recovery_code" } });
+        return res.status(401).json({ message: "Invalid recovery code" });
+      }
+      user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(hash => hash !== codeHash);
+    }
+
+    await clearLoginAttempt(req, twoFactorKey);
+
+    const { token, refreshToken } = await issueSession(user._id, req);
+    await recordAudit(req, "auth.login", { actor: user, target: user, details: { twoFactor: code ? "totp" : "recovery_code" } });
+
+    return res.json({
+      token,
+      refreshToken,
+      user: toAuthUser(user),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length
+    });
+  } catch (err) {
+    console.error("Verify 2FA error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ---------------- 2FA: START ENROLLMENT ----------------
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    return res.json({
+      secret,
+      otpauthUrl: buildOtpauthUri(secret, user.username || user.email)
+    });
+  } catch (err) {
+    console.error("Setup 2FA error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ---------------- 2FA: CONFIRM ENROLLMENT ----------------
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || !isCodeValue(code)) {
+      return res.status(400).json({ message: "Authentication code is required" });
+    }
+
+    const user = await User.findById(req.user._id).select("+twoFactor.pendingSecret");
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(c => hashToken(c));
+    await user.save({ validateBeforeSave: false });
+
+    const response = {
+      message: "Two-factor authentication enabled",
+      recoveryCodes
+    };
+
+    // Admins enrolling during their first login get their session now
+    if (req.twoFactorSetupChallenge) {
+      const { token, refreshToken } = await issueSession(user._id, req);
+      await recordAudit(req, "auth.login", { actor: user, target: user, details: { twoFactor: "enrolled" } });
+      Object.assign(response, { token, refreshToken, user: toAuthUser(user) });
+    }
+
+    return res.json(response);
+  } catch (err) {
+    console.error("Enable 2FA error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ---------------- 2FA: DISABLE ----------------
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (req.user.role === "admin") {
+      return res.status(403).json({ message: "Two-factor authentication is required for admin accounts" });
+    }
+
+    if (!password || !code || !isCodeValue(code)) {
+      return res.status(400).json({ message: "Password and authentication code are required" });
+    }
+
+    const user = await User.findById(req.user._id).select("+twoFactor.secret +twoFactor.lastUsedStep");
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(401).json({ message: "Invalid password" });
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep ?? null });
+    if (step === null || !(await claimTotpStep(user._id, step))) {
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    return res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error("Disable 2FA error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ---------------- 2FA: REGENERATE RECOVERY CODES ----------------
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || !isCodeValue(code)) {
+      return res.status(400).json({ message: "Authentication code is required" });
+    }
+
+    const user = await User.findById(req.user._id).select("+twoFactor.secret +twoFactor.lastUsedStep");
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const step = verifyTotp(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep ?? null });
+    const recoveryCodes = generateRecoveryCodes();
+    if (step === null || !(await claimTotpStep(user._id, step, { "twoFactor.recoveryCodes": recoveryCodes.map(c => hashToken(c)) }))) {
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    console.error("Regenerate recovery codes error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ---------------- REFRESH TOKEN ----------------
+export const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const session = await rotateSession(refreshToken, req);
+    if (!session) {
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await revokeAllSessions(session.userId);
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+
+    // Sessions started before the last password change or "log out everywhere" are over,
+    // as the auth middleware does for access tokens
+    const revokedBefore = Math.max(user.passwordChangedAt?.getTime() || 0, user.tokensRevokedAt?.getTime() || 0);
+    if (session.familyCreatedAt.getTime() < revokedBefore) {
+      await revokeFamily(session.family);
+      return res.status(401).json({ message: "Invalid or expired refresh token" });
+    }
+
+    return res.json({ token: session.token, refreshToken: session.refreshToken });
+  } catch (err) {
+    console.error("Refresh token error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ---------------- LOGOUT (CURRENT SESSION) ----------------
+export const logout = async (req, res) => {
+  try {
+    await revokeFamily(req.tokenFamily);
+    return res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ---------------- LOGOUT (ALL SESSIONS) ----------------
+export const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+    await User.updateOne({ _id: req.user._id }, { $set: { tokensRevokedAt: new Date() } });
+    return res.json({ message: "Logged out of all sessions" });
+  } catch (err) {
+    console.error("Logout all error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
 // ---------------- CHECK AVAILABILITY ----------------
 export const checkAvailability = async (req, res) => {
   try {
@@ -264,10 +697,10 @@ export const forgotPassword = async (req, res) => {
       });
     }
 
-    // Don't allow password reset for admin accounts
+    // Admin passwords are managed through /api/admins; respond exactly as for an unknown email
     if (user.role === 'admin') {
-      return res.status(403).json({
-        message: "Password reset is not available for admin accounts. Please contact system administrator."
+      return res.json({
+        message: "If that email exists in our system, a password reset link has been sent."
       });
     }
 
@@ -285,62 +718,23 @@ export const forgotPassword = async (req, res) => {
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
     const resetUrl = `${frontendUrl}/reset-password/${resetToken}`;
 
-    // Send email
-    const subject = 'Password Reset Request - AK SecureTech Ltd';
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9fafb;">
-        <div style="background-color: white; border-radius: 8px; padding: 30px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-          <h2 style="color: #1f2937; margin-top: 0; border-bottom: 2px solid #3b82f6; padding-bottom: 10px;">
-            Password Reset Request
-          </h2>
-          
-          <p style="color: #4b5563; line-height: 1.6;">Dear <strong>${user.name}</strong>,</p>
-          
-          <p style="color: #4b5563; line-height: 1.6;">
-            We received a request to reset your password. Click the button below to reset your password:
-          </p>
-          
-          <div style="text-align: center; margin: 30px 0;">
-            <a href="${resetUrl}" 
-               style="display: inline-block; padding: 12px 30px; background-color: #3b82f6; color: white; 
-                      text-decoration: none; border-radius: 6px; font-weight: 600;">
-              Reset Password
-            </a>
-          </div>
-          
-          <p style="color: #6b7280; font-size: 14px; line-height: 1.6;">
-            Or copy and paste this link into your browser:
-          </p>
-          <p style="color: #3b82f6; font-size: 12px; word-break: break-all; background-color: #f3f4f6; 
-                     padding: 10px; border-radius: 4px;">
-            ${resetUrl}
-          </p>
-          
-          <p style="color: #6b7280; font-size: 14px; line-height: 1.6;">
-            This link will expire in 10 minutes. If you didn't request this, please ignore this email.
-          </p>
-          
-          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e5e7eb; text-align: center;">
-            <p style="color: #9ca3af; font-size: 12px; margin: 5px 0;">AK SecureTech Ltd - Installation and Services</p>
-          </div>
-        </div>
-      </div>
-    `;
+    await recordAudit(req, "auth.password_reset_requested", { actor: user, target: user });
 
     try {
-      await sendEmail(user.email, subject, html);
+      await sendPasswordResetEmail(user, resetUrl, 10);
       return res.json({
         message: "If that email exists in our system, a password reset link has been sent."
       });
     } catch (error) {
       console.error("Email send error:", error);
-      // Clear the reset token if email fails
+      // Clear the reset token if the email could not be queued
       user.resetPasswordToken = undefined;
       user.resetPasswordExpire = undefined;
       await user.save({ validateBeforeSave: false });
 
-      return res.status(500).json({
-        message: "Error sending email. Please try again later."
+      // Same response as the success path so delivery failures don't reveal which emails exist
+      return res.json({
+        message: "If that email exists in our system, a password reset link has been sent."
       });
     }
 
@@ -409,8 +803,19 @@ export const resetPassword = async (req, res) => {
     user.passwordHash = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+
+    // The link was delivered by email, so using it proves the address (invited accounts start unverified)
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpire = undefined;
+    }
     await user.save();
 
+    // End every existing session; the user must log in with the new password
+    await revokeAllSessions(user._id);
+    await recordAudit(req, "auth.password_reset", { actor: user, target: user });
+
     return res.json({ message: "Password reset successfully" });
 
   } catch (err) {
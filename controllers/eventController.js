@@ -0,0 +1,59 @@
+import jwt from 'jsonwebtoken';
+import { addClient, writeEvent } from '../utils/realtime.js';
+import { isSessionActive } from '../utils/tokens.js';
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// @desc    Server-Sent Events stream of ticket and service request events
+// @route   GET /api/events (token in Authorization header or ?token= for EventSource)
+// @access  Private
+export const streamEvents = async (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop nginx from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  // Ask EventSource to wait a few seconds before reconnecting
+  res.write('retry: 5000\n\n');
+  writeEvent(res, null, 'ready', { userId: req.user._id, role: req.user.role });
+
+  const removeClient = addClient(res, req.user);
+
+  let heartbeat;
+  let expiryTimer;
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiryTimer);
+    removeClient();
+    res.end();
+  };
+
+  // The stream must not outlive the access token; the client reconnects with a refreshed one
+  const { exp } = jwt.decode(req.streamToken) || {};
+  if (exp) {
+    expiryTimer = setTimeout(() => {
+      writeEvent(res, null, 'token_expired', {});
+      close();
+    }, Math.max(exp * 1000 - Date.now(), 0));
+  }
+
+  // Comments keep proxies from closing idle connections; logged-out sessions are dropped here too
+  heartbeat = setInterval(async () => {
+    try {
+      if (!(await isSessionActive(req.tokenFamily))) {
+        writeEvent(res, null, 'session_revoked', {});
+        return close();
+      }
+      res.write(': ping\n\n');
+    } catch (error) {
+      console.error('Event stream heartbeat error:', error);
+    }
+  }, HEARTBEAT_MS);
+
+  req.on('close', close);
+};
@@ -0,0 +1,172 @@
+import Ticket from '../models/Ticket.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import User, { USER_ROLES } from '../models/User.js';
+import { buildJobFilters, parseSort } from '../utils/listing.js';
+import { EXPORT_FORMATS, streamExport, latestTimelineFields } from '../utils/export.js';
+
+const JOB_COLUMNS = [
+  { header: 'Reference', key: 'reference', width: 14 },
+  { header: 'Category', key: 'category', width: 16 },
+  { header: 'Title', key: 'title', width: 30 },
+  { header: 'Description', key: 'description', width: 40 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Outlet', key: 'outletName', width: 22 },
+  { header: 'Address', key: 'address', width: 36 },
+  { header: 'Customer Name', key: 'customerName', width: 20 },
+  { header: 'Company', key: 'customerCompany', width: 24 },
+  { header: 'Customer Email', key: 'customerEmail', width: 26 },
+  { header: 'Customer Phone', key: 'customerPhone', width: 16 },
+  { header: 'Technician', key: 'technician', width: 18 },
+  { header: 'SLA Status', key: 'slaStatus', width: 12 },
+  { header: 'Preferred Visit', key: 'preferredVisitAt', width: 20 },
+  { header: 'Assigned Visit', key: 'assignedVisitAt', width: 20 },
+  { header: 'Created At', key: 'createdAt', width: 20 },
+  { header: 'Completed At', key: 'completedAt', width: 20 },
+  { header: 'Latest Note', key: 'latestNote', width: 40 },
+  { header: 'Latest Note By', key: 'latestNoteBy', width: 18 },
+  { header: 'Latest Note At', key: 'latestNoteAt', width: 20 },
+  { header: 'Total Price', key: 'totalPrice', width: 12 }
+];
+
+const USER_COLUMNS = [
+  { header: 'Name', key: 'name', width: 20 },
+  { header: 'Company', key: 'companyName', width: 24 },
+  { header: 'Email', key: 'email', width: 26 },
+  { header: 'Phone', key: 'phone', width: 16 },
+  { header: 'Role', key: 'role', width: 12 },
+  { header: 'Address', key: 'address', width: 36 },
+  { header: 'Outlets', key: 'outlets', width: 36 },
+  { header: 'Outlet Count', key: 'outletCount', width: 12 },
+  { header: 'Tickets', key: 'ticketCount', width: 10 },
+  { header: 'Service Requests', key: 'serviceRequestCount', width: 16 },
+  { header: 'Email Verified', key: 'emailVerified', width: 14 },
+  { header: 'Active', key: 'isActive', width: 10 },
+  { header: 'Created At', key: 'createdAt', width: 20 }
+];
+
+const getFormat = (req) => (req.query.format || 'csv').toLowerCase();
+
+const mapJobRow = (job) => ({
+  reference: job.ticketId || job.requestId,
+  category: job.category,
+  title: job.title,
+  description: job.description,
+  status: job.status,
+  outletName: job.outletName,
+  address: job.address,
+  customerName: job.userId?.name,
+  customerCompany: job.userId?.companyName,
+  customerEmail: job.userId?.email,
+  customerPhone: job.userId?.phone,
+  technician: job.assignedTo?.name,
+  slaStatus: job.sla?.status,
+  preferredVisitAt: job.preferredVisitAt,
+  assignedVisitAt: job.assignedVisitAt,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  ...latestTimelineFields(job.timeline)
+});
+
+// Shared handler for the ticket and service request exports (same filters as the listings)
+const exportJobs = (Model, filename, sheetName) => async (req, res) => {
+  try {
+    const format = getFormat(req);
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { filter, error } = await buildJobFilters(Model, req.query, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const sort = parseSort(req.query.sort);
+    if (sort.error) {
+      return res.status(400).json({ message: sort.error });
+    }
+
+    const cursor = Model.find(filter)
+      .select('-images -timeline.images -timeline.seenBy -timeline.priceList -assignmentHistory')
+      .populate('userId', 'name companyName email phone')
+      .populate('assignedTo', 'name')
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .lean()
+      .cursor({ batchSize: 200 });
+
+    await streamExport(req, res, { format, filename, sheetName, columns: JOB_COLUMNS, cursor, mapRow: mapJobRow });
+  } catch (error) {
+    console.error(`Export ${filename} error:`, error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Export tickets as CSV / XLSX (same filters as GET /api/tickets)
+// @route   GET /api/tickets/export?format=csv|xlsx
+// @access  Private/Admin
+export const exportTickets = exportJobs(Ticket, 'tickets', 'Tickets');
+
+// @desc    Export service requests as CSV / XLSX (same filters as GET /api/service-requests)
+// @route   GET /api/service-requests/export?format=csv|xlsx
+// @access  Private/Admin
+export const exportServiceRequests = exportJobs(ServiceRequest, 'service-requests', 'Service Requests');
+
+// @desc    Export users as CSV / XLSX (same role filter as GET /api/users)
+// @route   GET /api/users/export?format=csv|xlsx&role=
+// @access  Private/Admin
+export const exportUsers = async (req, res) => {
+  try {
+    const format = getFormat(req);
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    if (req.query.role && !USER_ROLES.includes(req.query.role)) {
+      return res.status(400).json({ message: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    const query = req.query.role
+      ? { role: req.query.role }
+      : { role: { $ne: 'admin' } };
+
+    // Job counts come from two grouped queries rather than one count per row
+    const countByUser = async (Model) => {
+      const rows = await Model.aggregate([{ $group: { _id: '$userId', count: { $sum: 1 } } }]);
+      return new Map(rows.map(row => [row._id.toString(), row.count]));
+    };
+    const [ticketCounts, requestCounts] = await Promise.all([countByUser(Ticket), countByUser(ServiceRequest)]);
+
+    const cursor = User.find(query)
+      .select('name companyName email phone role address outlets.outletName emailVerified isActive createdAt')
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor({ batchSize: 200 });
+
+    await streamExport(req, res, {
+      format,
+      filename: 'users',
+      sheetName: 'Users',
+      columns: USER_COLUMNS,
+      cursor,
+      mapRow: (user) => ({
+        name: user.name,
+        companyName: user.companyName,
+        email: user.email,
+        phone: user.phone,
+        role: user.role,
+        address: user.address,
+        outlets: (user.outlets || []).map(outlet => outlet.outletName).join('; '),
+        outletCount: (user.outlets || []).length,
+        ticketCount: ticketCounts.get(user._id.toString()) || 0,
+        serviceRequestCount: requestCounts.get(user._id.toString()) || 0,
+        // Accounts from before email verification have no flag and count as verified
+        emailVerified: user.emailVerified !== false ? 'Yes' : 'No',
+        isActive: user.isActive !== false ? 'Yes' : 'No',
+        createdAt: user.createdAt
+      })
+    });
+  } catch (error) {
+    console.error('Export users error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
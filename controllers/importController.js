@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { readSpreadsheet } from '../utils/spreadsheet.js';
+import { sendAccountInvite } from '../config/email.js';
+
+const MAX_ROWS = 2000;
+const INVITE_EXPIRY_DAYS = 7;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Accepted header spellings (normalised: lowercase, letters and digits only)
+const COLUMN_ALIASES = {
+  name: 'name',
+  customername: 'name',
+  contactname: 'name',
+  companyname: 'companyName',
+  company: 'companyName',
+  email: 'email',
+  emailaddress: 'email',
+  phone: 'phone',
+  phonenumber: 'phone',
+  mobile: 'phone',
+  outletname: 'outletName',
+  outlet: 'outletName',
+  address: 'address',
+  outletaddress: 'address',
+  lat: 'lat',
+  latitude: 'lat',
+  lng: 'lng',
+  lon: 'lng',
+  long: 'lng',
+  longitude: 'lng'
+};
+
+const REQUIRED_COLUMNS = ['email', 'outletName', 'address'];
+
+const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Per-row checks that don't need the database
+const validateRow = ({ values }) => {
+  const errors = [];
+  if (!values.email) errors.push('Email is required');
+  else if (!EMAIL_PATTERN.test(values.email)) errors.push('Email is not valid');
+  if (!values.outletName) errors.push('Outlet name is required');
+  if (!values.address) errors.push('Outlet address is required');
+
+  const hasLat = Boolean(values.lat);
+  const hasLng = Boolean(values.lng);
+  if (hasLat !== hasLng) {
+    errors.push('Provide both latitude and longitude, or neither');
+  } else if (hasLat && (!Number.isFinite(Number(values.lat)) || !Number.isFinite(Number(values.lng)))) {
+    errors.push('Latitude and longitude must be numbers');
+  }
+  return errors;
+};
+
+// Group rows by email and settle account-level fields; conflicting values are row errors
+const groupByCustomer = (rows, report) => {
+  const groups = new Map();
+
+  for (const row of rows) {
+    const entry = report.get(row.rowNumber);
+    if (entry.errors.length > 0) continue;
+
+    const email = row.values.email.toLowerCase();
+    if (!groups.has(email)) {
+      groups.set(email, { email, name: '', companyName: '', phone: '', rows: [] });
+    }
+    const group = groups.get(email);
+
+    for (const field of ['name', 'companyName', 'phone']) {
+      const value = row.values[field];
+      if (!value) continue;
+      if (!group[field]) group[field] = value;
+      else if (!sameText(group[field], value)) {
+        entry.errors.push(`${field} "${value}" conflicts with "${group[field]}" on an earlier row for ${email}`);
+      }
+    }
+
+    if (group.rows.some(other => sameText(other.values.outletName, row.values.outletName))) {
+      entry.errors.push(`Outlet "${row.values.outletName}" appears more than once for ${email}`);
+    }
+
+    if (entry.errors.length === 0) group.rows.push(row);
+  }
+
+  return groups;
+};
+
+const toOutlet = ({ values }) => ({
+  outletName: values.outletName,
+  address: values.address,
+  location: values.lat ? { lat: Number(values.lat), lng: Number(values.lng) } : undefined
+});
+
+// Plan creates / updates against the database, recording the same uniqueness errors as register
+const planImport = async (groups, report) => {
+  const emails = [...groups.keys()];
+  const phones = [...groups.values()].map(group => group.phone).filter(Boolean);
+
+  const [byEmail, byPhone] = await Promise.all([
+    User.find({ email: { $in: emails } }),
+    User.find({ phone: { $in: phones } }).select('email phone').lean()
+  ]);
+  const existingByEmail = new Map(byEmail.map(user => [user.email, user]));
+  const phoneOwner = new Map(byPhone.map(user => [user.phone, user.email]));
+
+  // The same phone can't be claimed by two customers in one file either
+  const phoneInFile = new Map();
+  const plans = [];
+
+  for (const group of groups.values()) {
+    const groupErrors = [];
+    const existing = existingByEmail.get(group.email);
+
+    if (existing && existing.role !== 'user') {
+      groupErrors.push('This email belongs to a staff account');
+    }
+
+    if (!existing) {
+      if (!group.name || !group.companyName || !group.phone) {
+        groupErrors.push('Name, company name and phone are required for new customers');
+      }
+    }
+
+    if (group.phone && (!existing || group.phone !== existing.phone)) {
+      const owner = phoneOwner.get(group.phone);
+      if (owner && owner !== group.email) {
+        groupErrors.push('User already exists with this phone number');
+      }
+      const claimedBy = phoneInFile.get(group.phone);
+      if (claimedBy && claimedBy !== group.email) {
+        groupErrors.push(`Phone number is also used for ${claimedBy} in this file`);
+      }
+      phoneInFile.set(group.phone, group.email);
+    }
+
+    for (const row of group.rows) {
+      const entry = report.get(row.rowNumber);
+      entry.errors.push(...groupErrors);
+      entry.action = existing ? 'update' : 'create';
+      const current = existing?.outlets.find(outlet => sameText(outlet.outletName, row.values.outletName));
+      entry.outletAction = current ? 'update' : 'add';
+    }
+
+    if (groupErrors.length === 0) plans.push({ group, existing });
+  }
+
+  return plans;
+};
+
+// Apply one customer's rows: create the account (with an invite token) or merge outlets into it
+const applyPlan = async ({ group, existing }) => {
+  if (!existing) {
+    const outlets = group.rows.map(toOutlet);
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+
+    const user = await User.create({
+      name: group.name,
+      companyName: group.companyName,
+      phone: group.phone,
+      email: group.email,
+      // Unusable random password until the customer sets their own through the invite link
+      passwordHash: crypto.randomBytes(32).toString('hex'),
+      emailVerified: false,
+      invitedAt: new Date(),
+      resetPasswordToken: crypto.createHash('sha256').update(inviteToken).digest('hex'),
+      resetPasswordExpire: Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000,
+      address: outlets[0].address,
+      location: outlets[0].location,
+      outlets
+    });
+    return { user, inviteToken };
+  }
+
+  if (group.name) existing.name = group.name;
+  if (group.companyName) existing.companyName = group.companyName;
+  if (group.phone) existing.phone = group.phone;
+
+  // Update outlets in place (keeping their _id for assets and contracts) or append new ones
+  for (const row of group.rows) {
+    const outlet = toOutlet(row);
+    const current = existing.outlets.find(o => sameText(o.outletName, outlet.outletName));
+    if (current) {
+      current.address = outlet.address;
+      if (outlet.location) current.location = outlet.location;
+    } else {
+      existing.outlets.push(outlet);
+    }
+  }
+
+  await existing.save();
+  return { user: existing };
+};
+
+// @desc    Bulk create / update customers and outlets from CSV or XLSX (dry run unless commit=true)
+// @route   POST /api/users/import?commit=true&sendInvites=false
+// @access  Private/Admin
+export const importCustomers = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a .csv or .xlsx file in the "file" field' });
+    }
+
+    const commit = String(req.query.commit ?? req.body.commit) === 'true';
+    const sendInvites = String(req.query.sendInvites ?? req.body.sendInvites) !== 'false';
+
+    const { rows, columns } = await readSpreadsheet(req.file, COLUMN_ALIASES);
+
+    const missingColumns = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missingColumns.length > 0) {
+      return res.status(400).json({ message: `Missing required column(s): ${missingColumns.join(', ')}` });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'The file has no data rows' });
+    }
+
+    if (rows.length > MAX_ROWS) {
+      return res.status(400).json({ message: `Please split the file; at most ${MAX_ROWS} rows can be imported at once` });
+    }
+
+    const report = new Map(rows.map(row => [row.rowNumber, {
+      row: row.rowNumber,
+      email: row.values.email,
+      outletName: row.values.outletName,
+      action: null,
+      outletAction: null,
+      errors: validateRow(row)
+    }]));
+
+    const groups = groupByCustomer(rows, report);
+    const plans = await planImport(groups, report);
+
+    const entries = [...report.values()];
+    const errorRows = entries.filter(entry => entry.errors.length > 0);
+    const summary = {
+      rows: entries.length,
+      errorRows: errorRows.length,
+      customersToCreate: plans.filter(plan => !plan.existing).length,
+      customersToUpdate: plans.filter(plan => plan.existing).length,
+      outletsToAdd: entries.filter(entry => entry.errors.length === 0 && entry.outletAction === 'add').length,
+      outletsToUpdate: entries.filter(entry => entry.errors.length === 0 && entry.outletAction === 'update').length
+    };
+
+    if (!commit || errorRows.length > 0) {
+      // Nothing is written unless the whole file is clean
+      return res.status(commit ? 400 : 200).json({
+        dryRun: true,
+        message: errorRows.length > 0
+          ? `${errorRows.length} row(s) have errors. Fix them and upload the file again.`
+          : 'Dry run passed. Upload again with commit=true to import.',
+        summary,
+        rows: entries
+      });
+    }
+
+    const created = [];
+    const failed = [];
+    let updated = 0;
+
+    for (const plan of plans) {
+      try {
+        const result = await applyPlan(plan);
+        if (result.inviteToken) created.push(result);
+        else updated++;
+      } catch (applyError) {
+        // e.g. a phone / email registered by someone else since the dry run
+        const message = applyError.code === 11000 ? 'User already exists with this email or phone number' : applyError.message;
+        failed.push({ email: plan.group.email, rows: plan.group.rows.map(row => row.rowNumber), message });
+      }
+    }
+
+    // Send invites in background (non-blocking)
+    if (sendInvites && created.length > 0) {
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+      setImmediate(async () => {
+        for (const { user, inviteToken } of created) {
+          try {
+            await sendAccountInvite(user, `${frontendUrl}/reset-password/${inviteToken}`, INVITE_EXPIRY_DAYS);
+          } catch (emailError) {
+            console.error('Email sending failed:', emailError);
+          }
+        }
+      });
+    }
+
+    res.status(failed.length > 0 ? 207 : 201).json({
+      dryRun: false,
+      message: `Imported ${created.length} new and ${updated} existing customer(s)`,
+      summary: {
+        ...summary,
+        created: created.length,
+        updated,
+        failed: failed.length,
+        invitesSent: sendInvites ? created.length : 0
+      },
+      failed
+    });
+  } catch (error) {
+    console.error('Import customers error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,353 @@
+import { simpleParser } from 'mailparser';
+import Ticket from '../models/Ticket.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import User from '../models/User.js';
+import InboundEmail, { INBOUND_EMAIL_STATUSES } from '../models/InboundEmail.js';
+import { storeFile } from '../config/cloudinary.js';
+import { sendNewTicketNotification, sendTicketConfirmation } from '../config/email.js';
+import { sendJobMessage } from '../config/messaging.js';
+import { parseReplyAddress, findJobReference, stripQuotedReply, guessCategory, isSenderAuthenticated } from '../utils/inboundEmail.js';
+import { buildSla } from '../utils/sla.js';
+import { publishJobEvent } from '../utils/realtime.js';
+import { notifyAdmins, preview } from '../utils/notifications.js';
+import { secretMatches } from '../utils/tokens.js';
+import { MAX_PAGE_SIZE } from '../utils/listing.js';
+
+const MAX_ATTACHMENTS = 10;
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024; // Same limit as the upload routes
+
+const JOB_TYPES = {
+  ticket: { Model: Ticket, modelName: 'Ticket', referenceField: 'ticketId', eventType: 'ticket' },
+  serviceRequest: { Model: ServiceRequest, modelName: 'ServiceRequest', referenceField: 'requestId', eventType: 'service-request' }
+};
+
+// Addresses from a parsed address header (a single object or a list of them)
+const addressesOf = (field) => [].concat(field || [])
+  .flatMap(entry => (typeof entry === 'string' ? [{ address: entry }] : entry.value || []))
+  .map(entry => entry.address)
+  .filter(Boolean);
+
+// A signed reply address can show up in To / Cc, or only in the envelope headers relays add
+const recipientAddresses = (mail) => [
+  ...addressesOf(mail.to),
+  ...addressesOf(mail.cc),
+  ...['delivered-to', 'x-original-to', 'envelope-to'].flatMap(header => addressesOf(mail.headers.get(header)))
+];
+
+// Our sending addresses; EMAIL_FROM may be in "Name <address>" form
+const ownAddresses = () => [process.env.EMAIL_FROM, process.env.EMAIL_USER]
+  .filter(Boolean)
+  .map(value => (/<([^>]+)>/.exec(value)?.[1] || value).trim().toLowerCase());
+
+// Out-of-office replies, bounces and our own emails coming back would otherwise loop
+const isAutomatic = (mail, from) => {
+  const autoSubmitted = String(mail.headers.get('auto-submitted') || 'no').toLowerCase();
+  const precedence = String(mail.headers.get('precedence') || '').toLowerCase();
+
+  return autoSubmitted !== 'no' ||
+    ['bulk', 'junk', 'list', 'auto_reply'].includes(precedence) ||
+    /^(mailer-daemon|postmaster)@/.test(from) ||
+    ownAddresses().includes(from);
+};
+
+const findJob = async (mail) => {
+  const signed = parseReplyAddress(recipientAddresses(mail));
+  if (signed) {
+    const job = await JOB_TYPES[signed.type].Model.findById(signed.id);
+    if (job) return { job, type: signed.type, matchedBy: 'reply_address' };
+  }
+
+  const found = findJobReference(mail.subject);
+  if (found) {
+    const { Model, referenceField } = JOB_TYPES[found.type];
+    const job = await Model.findOne({ [referenceField]: found.reference });
+    if (job) return { job, type: found.type, matchedBy: 'subject' };
+  }
+
+  return null;
+};
+
+// Save image and PDF attachments the way uploads are saved; anything else is skipped.
+// Images embedded in the HTML (signature logos and the like) are left out altogether.
+const storeAttachments = async (attachments = []) => {
+  const images = [];
+  let skipped = 0;
+
+  for (const attachment of attachments.filter(item => !item.related)) {
+    if (images.length >= MAX_ATTACHMENTS || attachment.size > MAX_ATTACHMENT_SIZE) {
+      skipped += 1;
+      continue;
+    }
+    try {
+      images.push(await storeFile(attachment.content, attachment.contentType, 'email'));
+    } catch (error) {
+      console.warn(`Skipped email attachment ${attachment.filename || ''}: ${error.message}`);
+      skipped += 1;
+    }
+  }
+
+  return { images, skipped };
+};
+
+// Append the reply to the job's timeline as the customer, the same as a comment posted in the app.
+// `commit` records the new entry on the inbound email log before any notifications go out.
+const appendReply = async ({ job, type }, user, note, images, commit) => {
+  const { Model, eventType } = JOB_TYPES[type];
+
+  job.timeline.push({
+    note: note || 'Sent attachments by email',
+    images: images.length > 0 ? images : undefined,
+    addedBy: user.name,
+    seenBy: []
+  });
+  await job.save();
+  await commit({ status: 'appended', timelineEntryId: job.timeline[job.timeline.length - 1]._id });
+
+  const updatedJob = await Model.findById(job._id).populate('userId', 'name companyName email phone address location');
+  const comment = updatedJob.timeline[updatedJob.timeline.length - 1];
+
+  await notifyAdmins(updatedJob, 'customer_reply', { message: preview(comment.note), timelineEntryId: comment._id });
+  publishJobEvent(eventType, 'comment_added', updatedJob, {
+    timelineEntryId: comment._id,
+    note: comment.note,
+    addedBy: comment.addedBy,
+    addedByRole: user.role,
+    addedAt: comment.addedAt,
+    via: 'email'
+  });
+
+  return { job: updatedJob, comment };
+};
+
+// Open a ticket at the customer's first outlet (or their own address). Returns { reason }
+// when there isn't enough to go on. `commit` records the ticket on the inbound email log
+// before any notifications go out.
+const openTicket = async (user, subject, description, images, commit) => {
+  const hasLocation = (location) => location && location.lat != null && location.lng != null;
+  const outlet = (user.outlets || []).find(item => hasLocation(item.location)) ||
+    (user.address && hasLocation(user.location)
+      ? { outletName: user.companyName, address: user.address, location: user.location }
+      : null);
+
+  if (!outlet) {
+    return { reason: 'Customer has no outlet with an address and location' };
+  }
+
+  const category = guessCategory(`${subject}\n${description}`);
+  if (!category) {
+    return { reason: 'Could not tell the ticket category (set INBOUND_EMAIL_DEFAULT_CATEGORY)' };
+  }
+
+  const ticket = await Ticket.create({
+    userId: user._id,
+    category,
+    title: subject || `Email from ${user.name}`,
+    description,
+    images,
+    address: outlet.address,
+    outletName: outlet.outletName,
+    location: {
+      lat: outlet.location.lat,
+      lng: outlet.location.lng
+    },
+    sla: await buildSla(category)
+  });
+  await commit({ status: 'created', jobModel: 'Ticket', jobId: ticket._id, reference: ticket.ticketId });
+
+  const populatedTicket = await Ticket.findById(ticket._id).populate('userId', 'name companyName email phone');
+
+  setImmediate(async () => {
+    try {
+      await sendNewTicketNotification(populatedTicket, user);
+      await sendTicketConfirmation(populatedTicket, user);
+    } catch (emailError) {
+      console.error('Email sending failed:', emailError);
+    }
+  });
+
+  await notifyAdmins(populatedTicket, 'job_created', { message: preview(populatedTicket.description) });
+  setImmediate(() => sendJobMessage('job_created', 'job_confirmation', populatedTicket));
+  publishJobEvent('ticket', 'created', populatedTicket, { category, outletName: populatedTicket.outletName, via: 'email' });
+
+  return { ticket: populatedTicket };
+};
+
+// Work out what to do with a parsed email. Returns the fields to log; `commit` logs them early
+// once the reply or ticket has been written.
+const processEmail = async (mail, from, commit) => {
+  if (!from) {
+    return { status: 'ignored', reason: 'No sender address' };
+  }
+  if (isAutomatic(mail, from)) {
+    return { status: 'ignored', reason: 'Automatic reply or bounce' };
+  }
+
+  const [user, match] = await Promise.all([
+    User.findOne({ email: from }),
+    findJob(mail)
+  ]);
+  const sender = user?._id;
+  const text = stripQuotedReply(mail.text);
+  // From is trivially forged. A signed reply address proves the sender got our email; anything
+  // else needs the relay to have authenticated the sender's domain.
+  const authenticated = isSenderAuthenticated(mail.headers.get('authentication-results'), from);
+
+  if (match) {
+    const { job, type, matchedBy } = match;
+    const reference = job[JOB_TYPES[type].referenceField];
+    const matched = { matchedBy, jobModel: JOB_TYPES[type].modelName, jobId: job._id, reference, sender };
+
+    if (!user || user.isActive === false || job.userId.toString() !== user._id.toString()) {
+      return { ...matched, status: 'rejected', reason: `Sender is not the customer on ${reference}` };
+    }
+    if (matchedBy === 'subject' && !authenticated) {
+      return { ...matched, status: 'rejected', reason: 'Sender could not be authenticated (no DKIM / SPF pass for their domain)' };
+    }
+
+    const { images, skipped } = await storeAttachments(mail.attachments);
+    if (!text && images.length === 0) {
+      return { ...matched, status: 'ignored', reason: 'Empty reply', skippedAttachments: skipped };
+    }
+
+    const { comment } = await appendReply(match, user, text, images, fields => commit({ ...matched, ...fields }));
+    return { ...matched, status: 'appended', timelineEntryId: comment._id, attachments: images.length, skippedAttachments: skipped };
+  }
+
+  if (process.env.INBOUND_EMAIL_CREATE_TICKETS !== 'true') {
+    return { status: 'ignored', reason: 'No matching ticket or service request', sender };
+  }
+  if (!user || user.role !== 'user' || user.isActive === false) {
+    return { status: 'ignored', reason: 'Sender is not a known customer', sender };
+  }
+  if (!authenticated) {
+    return { status: 'rejected', reason: 'Sender could not be authenticated (no DKIM / SPF pass for their domain)', sender };
+  }
+  // Same gate as raising a job in the app (requireVerifiedEmail)
+  if (user.emailVerified === false) {
+    return { status: 'ignored', reason: 'Customer has not verified their email address', sender };
+  }
+  if (!text) {
+    return { status: 'ignored', reason: 'Empty email', sender };
+  }
+
+  const { images, skipped } = await storeAttachments(mail.attachments);
+  const { ticket, reason } = await openTicket(user, (mail.subject || '').trim(), text, images, fields => commit({ sender, ...fields }));
+  if (!ticket) {
+    return { status: 'ignored', reason, sender, skippedAttachments: skipped };
+  }
+
+  return {
+    status: 'created',
+    sender,
+    jobModel: 'Ticket',
+    jobId: ticket._id,
+    reference: ticket.ticketId,
+    attachments: images.length,
+    skippedAttachments: skipped
+  };
+};
+
+// @desc    Receive a raw MIME email (customer reply or new request) from the mail relay or provider
+// @route   POST /api/inbound-email
+// @access  Public (shared secret in the X-Webhook-Secret header)
+export const receiveInboundEmail = async (req, res) => {
+  let claim = null;
+  let committed = false;
+  try {
+    const secret = process.env.INBOUND_EMAIL_SECRET;
+    if (!secret) {
+      return res.status(503).json({ message: 'Inbound email not configured' });
+    }
+    if (!secretMatches(req.get('x-webhook-secret'), secret)) {
+      return res.status(401).json({ message: 'Invalid webhook secret' });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ message: 'Send the raw MIME message as the request body (Content-Type: message/rfc822)' });
+    }
+
+    const mail = await simpleParser(req.body);
+    const from = (addressesOf(mail.from)[0] || '').toLowerCase();
+
+    // Claim the Message-ID first so a redelivery arriving meanwhile is skipped, not appended twice
+    try {
+      claim = await InboundEmail.create({
+        messageId: mail.messageId,
+        from,
+        subject: mail.subject,
+        status: 'ignored',
+        reason: 'Processing'
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.json({ status: 'duplicate', messageId: mail.messageId });
+      }
+      throw error;
+    }
+
+    // Drop the 'Processing' placeholder; only ignored / rejected results carry a reason
+    const record = async (fields) => {
+      claim.reason = undefined;
+      Object.assign(claim, fields);
+      await claim.save();
+    };
+
+    const result = await processEmail(mail, from, async (fields) => {
+      // From here on the reply / ticket exists, so the claim must survive any later failure
+      committed = true;
+      await record(fields);
+    });
+    await record(result);
+
+    res.json({
+      id: claim._id,
+      status: claim.status,
+      reason: claim.reason,
+      reference: claim.reference,
+      attachments: claim.attachments
+    });
+  } catch (error) {
+    // Release the claim so the sender's retry is processed, unless the reply or ticket was
+    // already written: a retry would then append or open it a second time
+    if (claim && !committed) {
+      await InboundEmail.deleteOne({ _id: claim._id }).catch(() => {});
+    }
+    console.error('Inbound email error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Log of received emails and what became of them (newest first)
+// @route   GET /api/inbound-email?status=&from=&page=&limit=
+// @access  Private/Admin
+export const getInboundEmails = async (req, res) => {
+  try {
+    const { status, from } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const query = {};
+    if (status) {
+      const statuses = String(status).split(',').filter(s => INBOUND_EMAIL_STATUSES.includes(s));
+      if (statuses.length === 0) {
+        return res.status(400).json({ message: `status must be one of: ${INBOUND_EMAIL_STATUSES.join(', ')}` });
+      }
+      query.status = { $in: statuses };
+    }
+    if (from) query.from = String(from).toLowerCase().trim();
+
+    const [emails, total] = await Promise.all([
+      InboundEmail.find(query)
+        .populate('sender', 'name companyName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      InboundEmail.countDocuments(query)
+    ]);
+
+    res.json({ emails, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Get inbound emails error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,523 @@
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import Counter from '../models/Counter.js';
+import Quote from '../models/Quote.js';
+import Settings from '../models/Settings.js';
+import Ticket from '../models/Ticket.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import { calculateGst, getFinancialYear, formatDocumentNumber, getSupplyType } from '../utils/gst.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+import { syncInvoicePayments } from '../utils/ledger.js';
+import { sendInvoiceEmail } from '../config/email.js';
+import { recordAudit } from '../utils/audit.js';
+
+const JOB_MODELS = {
+  Ticket,
+  ServiceRequest
+};
+
+const JOB_TYPE_ALIASES = {
+  ticket: 'Ticket',
+  Ticket: 'Ticket',
+  'service-request': 'ServiceRequest',
+  serviceRequest: 'ServiceRequest',
+  ServiceRequest: 'ServiceRequest'
+};
+
+// Job statuses that can be billed
+const BILLABLE_STATUSES = {
+  Ticket: ['Closed'],
+  ServiceRequest: ['Completed']
+};
+
+const getBilling = async () => {
+  const settings = await Settings.findOne() || new Settings({});
+  return settings.billing;
+};
+
+const jobReference = (job) => (job ? job.ticketId || job.requestId : undefined);
+
+// Default price lines for a job: the accepted quote if there is one,
+// otherwise the most recent timeline entry that carries a price list
+const getJobPriceLines = async (jobModel, job) => {
+  const quote = await Quote.findOne({ jobModel, jobId: job._id, status: 'Accepted' }).sort({ respondedAt: -1 });
+  if (quote) {
+    return quote.lineItems.map(item => ({
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice
+    }));
+  }
+
+  const priced = [...job.timeline].reverse().find(entry => entry.priceList && entry.priceList.length > 0);
+  if (!priced) return [];
+
+  return priced.priceList.map(item => ({
+    description: item.description,
+    quantity: 1,
+    unitPrice: item.price
+  }));
+};
+
+// Validate raw line items and apply default GST rate / HSN-SAC code; returns { items } or { error }
+const normaliseLines = (lineItems, billing, gstRate) => {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    return { error: 'No price lines found for this job. Please provide lineItems.' };
+  }
+
+  const items = [];
+  for (const [index, item] of lineItems.entries()) {
+    const quantity = item.quantity !== undefined ? Number(item.quantity) : 1;
+    const unitPrice = Number(item.unitPrice !== undefined ? item.unitPrice : item.price);
+    const rate = Number(item.gstRate !== undefined ? item.gstRate : (gstRate !== undefined ? gstRate : billing.defaultGstRate));
+
+    if (!item.description || !(quantity > 0) || !(unitPrice >= 0) || !(rate >= 0)) {
+      return { error: `Invalid line item at position ${index + 1}` };
+    }
+
+    items.push({
+      description: item.description,
+      hsnSac: item.hsnSac || billing.defaultHsnSac,
+      quantity,
+      unitPrice,
+      gstRate: rate
+    });
+  }
+
+  return { items };
+};
+
+// Assign the next gap-free number for the document's type and financial year.
+// An existing draft is claimed first (Draft -> Finalising) so parallel requests can't both
+// finalise it, and a number whose save fails goes back to the counter for the next document.
+// Returns false when another request already claimed the draft.
+const finaliseDocument = async (invoice, finalisedBy) => {
+  const isDraft = !invoice.isNew;
+  if (isDraft) {
+    const claimed = await Invoice.findOneAndUpdate({ _id: invoice._id, status: 'Draft' }, { $set: { status: 'Finalising' } });
+    if (!claimed) return false;
+  }
+
+  const now = new Date();
+  const financialYear = getFinancialYear(now);
+  const prefix = invoice.documentType === 'Credit Note' ? 'CN' : 'INV';
+  const counterKey = `${prefix.toLowerCase()}:${financialYear}`;
+  let seq = null;
+
+  try {
+    invoice.status = 'Finalised';
+    invoice.financialYear = financialYear;
+    invoice.issuedAt = now;
+    invoice.finalisedAt = now;
+    invoice.finalisedBy = finalisedBy;
+    await invoice.validate();
+
+    seq = await Counter.next(counterKey);
+    invoice.invoiceNumber = formatDocumentNumber(prefix, financialYear, seq);
+    await invoice.save();
+  } catch (error) {
+    if (seq !== null) {
+      await Counter.release(counterKey, seq).catch(releaseError => console.error('Release document number failed:', releaseError));
+    }
+    if (isDraft) {
+      await Invoice.updateOne({ _id: invoice._id, status: 'Finalising' }, { $set: { status: 'Draft' } });
+    }
+    throw error;
+  }
+  return true;
+};
+
+// Render the PDF and email it to the customer in background
+const emailInBackground = (invoice, job) => {
+  setImmediate(async () => {
+    try {
+      const pdf = await renderInvoicePdf(invoice, jobReference(job));
+      await sendInvoiceEmail(invoice, pdf);
+      await Invoice.updateOne({ _id: invoice._id }, { $set: { emailedAt: new Date() } });
+    } catch (emailError) {
+      console.error('Email sending failed:', emailError);
+    }
+  });
+};
+
+const findInvoiceForUser = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const invoice = await Invoice.findById(id);
+  if (!invoice) return null;
+
+  // Customers only ever see their own finalised documents
+  if (user.role !== 'admin' && (invoice.userId.toString() !== user._id.toString() || invoice.status !== 'Finalised')) {
+    return null;
+  }
+  return invoice;
+};
+
+// @desc    Create a draft invoice from a closed / completed job
+// @route   POST /api/invoices
+// @access  Private/Admin
+export const createInvoice = async (req, res) => {
+  try {
+    const { jobType, jobId, lineItems, gstRate, placeOfSupply, customerGstin } = req.body;
+
+    const jobModel = JOB_TYPE_ALIASES[jobType];
+    if (!jobModel || !jobId) {
+      return res.status(400).json({ message: 'Please provide jobType (ticket or service-request) and jobId' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const job = await JOB_MODELS[jobModel].findById(jobId).populate('userId', 'name companyName email phone address');
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (!BILLABLE_STATUSES[jobModel].includes(job.status)) {
+      return res.status(400).json({ message: `Only ${BILLABLE_STATUSES[jobModel].join(' / ')} jobs can be invoiced` });
+    }
+
+    const existing = await Invoice.findOne({ jobModel, jobId, documentType: 'Invoice' });
+    if (existing) {
+      return res.status(400).json({ message: `An invoice already exists for this job (${existing.invoiceNumber || 'draft'})`, invoiceId: existing._id });
+    }
+
+    const billing = await getBilling();
+    const sourceLines = lineItems !== undefined ? lineItems : await getJobPriceLines(jobModel, job);
+    const { items, error } = normaliseLines(sourceLines, billing, gstRate);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const supplyPlace = placeOfSupply || billing.state;
+    const supplyType = getSupplyType(billing.state, supplyPlace);
+    const customer = job.userId;
+
+    const invoice = await Invoice.create({
+      jobModel,
+      jobId,
+      userId: customer._id,
+      customer: {
+        name: customer.name,
+        companyName: customer.companyName,
+        email: customer.email,
+        phone: customer.phone,
+        address: job.address || customer.address,
+        gstin: customerGstin ? customerGstin.toUpperCase().trim() : undefined
+      },
+      seller: {
+        legalName: billing.legalName,
+        gstin: billing.gstin,
+        address: billing.address,
+        state: billing.state
+      },
+      placeOfSupply: supplyPlace,
+      supplyType,
+      ...calculateGst(items, supplyType),
+      createdBy: req.user.name
+    });
+
+    res.status(201).json(invoice);
+  } catch (error) {
+    console.error('Create invoice error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List invoices and credit notes (customers see their own finalised documents)
+// @route   GET /api/invoices
+// @access  Private
+export const getInvoices = async (req, res) => {
+  try {
+    const { jobId, userId, status, documentType, financialYear } = req.query;
+
+    const query = {};
+    if (req.user.role !== 'admin') {
+      query.userId = req.user._id;
+      query.status = 'Finalised';
+    } else {
+      if (userId && mongoose.Types.ObjectId.isValid(userId)) query.userId = userId;
+      if (status) query.status = status;
+    }
+    if (jobId && mongoose.Types.ObjectId.isValid(jobId)) query.jobId = jobId;
+    if (documentType) query.documentType = documentType;
+    if (financialYear) query.financialYear = financialYear;
+
+    const invoices = await Invoice.find(query)
+      .populate('jobId', 'ticketId requestId title status')
+      .sort({ createdAt: -1 });
+
+    res.json(invoices);
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a single invoice / credit note
+// @route   GET /api/invoices/:id
+// @access  Private
+export const getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await findInvoiceForUser(req.params.id, req.user);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    await invoice.populate('jobId', 'ticketId requestId title status');
+    const creditNotes = invoice.documentType === 'Invoice'
+      ? await Invoice.find({ originalInvoice: invoice._id, status: 'Finalised' }).sort({ createdAt: 1 })
+      : [];
+
+    res.json({ ...invoice.toObject(), creditNotes });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Edit a draft invoice
+// @route   PUT /api/invoices/:id
+// @access  Private/Admin
+export const updateInvoice = async (req, res) => {
+  try {
+    const { lineItems, gstRate, placeOfSupply, customerGstin } = req.body;
+
+    const invoice = await findInvoiceForUser(req.params.id, req.user);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status !== 'Draft') {
+      return res.status(400).json({ message: 'Finalised invoices cannot be edited. Issue a credit note instead.' });
+    }
+
+    const billing = await getBilling();
+
+    if (placeOfSupply) {
+      invoice.placeOfSupply = placeOfSupply;
+      invoice.supplyType = getSupplyType(invoice.seller.state, placeOfSupply);
+    }
+    if (customerGstin !== undefined) {
+      invoice.customer.gstin = customerGstin ? customerGstin.toUpperCase().trim() : undefined;
+    }
+
+    const sourceLines = lineItems !== undefined
+      ? lineItems
+      : invoice.lineItems.map(line => ({
+          description: line.description,
+          hsnSac: line.hsnSac,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+          gstRate: gstRate !== undefined ? gstRate : line.gstRate
+        }));
+
+    const { items, error } = normaliseLines(sourceLines, billing, gstRate);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    invoice.set(calculateGst(items, invoice.supplyType));
+    await invoice.save();
+
+    res.json(invoice);
+  } catch (error) {
+    console.error('Update invoice error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Finalise a draft invoice: assigns its number, locks it and emails the PDF
+// @route   POST /api/invoices/:id/finalise
+// @access  Private/Admin
+export const finaliseInvoice = async (req, res) => {
+  try {
+    const invoice = await findInvoiceForUser(req.params.id, req.user);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status !== 'Draft') {
+      return res.status(400).json({ message: 'Invoice is already finalised' });
+    }
+
+    const billing = await getBilling();
+    invoice.dueDate = new Date(Date.now() + billing.paymentTermsDays * 24 * 60 * 60 * 1000);
+
+    if (!(await finaliseDocument(invoice, req.user.name))) {
+      return res.status(409).json({ message: 'Invoice is already being finalised' });
+    }
+
+    const job = await JOB_MODELS[invoice.jobModel].findById(invoice.jobId);
+    emailInBackground(invoice, job);
+
+    res.json(invoice);
+  } catch (error) {
+    console.error('Finalise invoice error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Issue a credit note against a finalised invoice (full reversal when no lineItems are given)
+// @route   POST /api/invoices/:id/credit-notes
+// @access  Private/Admin
+export const createCreditNote = async (req, res) => {
+  try {
+    const { reason, lineItems } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ message: 'Please provide a reason for the credit note' });
+    }
+
+    const invoice = await findInvoiceForUser(req.params.id, req.user);
+    if (!invoice || invoice.documentType !== 'Invoice') {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status !== 'Finalised') {
+      return res.status(400).json({ message: 'Draft invoices can be edited directly' });
+    }
+
+    const billing = await getBilling();
+    const sourceLines = lineItems !== undefined
+      ? lineItems
+      : invoice.lineItems.map(line => ({
+          description: line.description,
+          hsnSac: line.hsnSac,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+          gstRate: line.gstRate
+        }));
+
+    const { items, error } = normaliseLines(sourceLines, billing);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const totals = calculateGst(items, invoice.supplyType);
+
+    // Reserve the credit first so concurrent credit notes can't over-credit the invoice
+    const credited = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, $expr: { $lte: [{ $round: [{ $add: ['$creditedAmount', totals.grandTotal] }, 2] }, '$grandTotal'] } },
+      { $inc: { creditedAmount: totals.grandTotal } },
+      { new: true }
+    );
+    if (!credited) {
+      const current = await Invoice.findById(invoice._id);
+      const remaining = Math.round((current.grandTotal - current.creditedAmount) * 100) / 100;
+      return res.status(400).json({ message: `Credit exceeds the remaining invoice value (₹${remaining})` });
+    }
+
+    const creditNote = new Invoice({
+      documentType: 'Credit Note',
+      jobModel: invoice.jobModel,
+      jobId: invoice.jobId,
+      userId: invoice.userId,
+      originalInvoice: invoice._id,
+      customer: invoice.customer,
+      seller: invoice.seller,
+      placeOfSupply: invoice.placeOfSupply,
+      supplyType: invoice.supplyType,
+      reason,
+      ...totals,
+      createdBy: req.user.name
+    });
+
+    try {
+      await finaliseDocument(creditNote, req.user.name);
+    } catch (error) {
+      await Invoice.updateOne({ _id: invoice._id }, { $inc: { creditedAmount: -totals.grandTotal } });
+      throw error;
+    }
+
+    // Crediting can settle the remaining balance, so refresh the payment status too
+    await syncInvoicePayments(credited);
+
+    const job = await JOB_MODELS[invoice.jobModel].findById(invoice.jobId);
+    emailInBackground(creditNote, job);
+
+    res.status(201).json(creditNote);
+  } catch (error) {
+    console.error('Create credit note error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Download invoice / credit note as PDF
+// @route   GET /api/invoices/:id/pdf
+// @access  Private
+export const downloadInvoicePdf = async (req, res) => {
+  try {
+    const invoice = await findInvoiceForUser(req.params.id, req.user);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const job = await JOB_MODELS[invoice.jobModel].findById(invoice.jobId);
+    const pdf = await renderInvoicePdf(invoice, jobReference(job));
+    const filename = `${invoice.invoiceNumber || `draft-${invoice._id}`}.pdf`;
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Download invoice PDF error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Re-send a finalised invoice / credit note to the customer
+// @route   POST /api/invoices/:id/email
+// @access  Private/Admin
+export const emailInvoice = async (req, res) => {
+  try {
+    const invoice = await findInvoiceForUser(req.params.id, req.user);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status !== 'Finalised') {
+      return res.status(400).json({ message: 'Only finalised invoices can be emailed' });
+    }
+
+    const job = await JOB_MODELS[invoice.jobModel].findById(invoice.jobId);
+    emailInBackground(invoice, job);
+
+    res.json({ message: 'Invoice email queued' });
+  } catch (error) {
+    console.error('Email invoice error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a draft invoice
+// @route   DELETE /api/invoices/:id
+// @access  Private/Admin
+export const deleteInvoice = async (req, res) => {
+  try {
+    const invoice = await findInvoiceForUser(req.params.id, req.user);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status !== 'Draft') {
+      return res.status(400).json({ message: 'Finalised invoices cannot be deleted. Issue a credit note instead.' });
+    }
+
+    await Invoice.deleteOne({ _id: invoice._id });
+    await recordAudit(req, 'invoice.deleted', {
+      target: invoice,
+      targetLabel: invoice.invoiceNumber || 'Draft',
+      before: { customer: invoice.customer?.companyName || invoice.customer?.name, grandTotal: invoice.grandTotal, status: invoice.status }
+    });
+
+    res.json({ message: 'Draft invoice deleted successfully' });
+  } catch (error) {
+    console.error('Delete invoice error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
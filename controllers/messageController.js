@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import Message, { MESSAGE_STATUSES } from '../models/Message.js';
+import { applyStatusCallback, getMessagingProvider, MESSAGE_CHANNELS } from '../config/messaging.js';
+import { MAX_PAGE_SIZE } from '../utils/listing.js';
+import { secretMatches } from '../utils/tokens.js';
+
+// @desc    List WhatsApp / SMS messages with their delivery status
+// @route   GET /api/messages?jobId=&userId=&channel=&status=&limit=
+// @access  Private/Admin
+export const getMessages = async (req, res) => {
+  try {
+    const { jobId, userId, channel, status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const query = {};
+    if (jobId && mongoose.Types.ObjectId.isValid(jobId)) query.jobId = jobId;
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) query.recipient = userId;
+    if (channel && MESSAGE_CHANNELS.includes(channel)) query.channel = channel;
+    if (status && MESSAGE_STATUSES.includes(status)) query.status = status;
+
+    const messages = await Message.find(query)
+      .populate('recipient', 'name companyName phone')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json(messages);
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get one message with its status history
+// @route   GET /api/messages/:id
+// @access  Private/Admin
+export const getMessageById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const message = await Message.findById(id).populate('recipient', 'name companyName phone');
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    res.json(message);
+  } catch (error) {
+    console.error('Get message error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delivery status callback from a messaging provider
+// @route   POST /api/messages/status/:provider
+// @access  Public (shared secret in the X-Webhook-Secret header)
+export const messageStatusWebhook = async (req, res) => {
+  try {
+    const secret = process.env.MESSAGING_WEBHOOK_SECRET;
+    if (!secret) {
+      return res.status(503).json({ message: 'Messaging webhook not configured' });
+    }
+    if (!secretMatches(req.get('x-webhook-secret'), secret)) {
+      return res.status(401).json({ message: 'Invalid webhook secret' });
+    }
+
+    try {
+      getMessagingProvider(req.params.provider);
+    } catch (error) {
+      return res.status(404).json({ message: error.message });
+    }
+
+    const result = await applyStatusCallback(req.params.provider, req.body);
+
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    if (result.notFound) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    res.json({ id: result.message._id, status: result.message.status });
+  } catch (error) {
+    console.error('Message status webhook error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
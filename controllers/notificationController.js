@@ -0,0 +1,190 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import Ticket from '../models/Ticket.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import User from '../models/User.js';
+import { encodeCursor, decodeCursor, buildCursorFilter, MAX_PAGE_SIZE } from '../utils/listing.js';
+import { publishJobEvent } from '../utils/realtime.js';
+import { NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS, parsePreferencesUpdate, describePreferences } from '../utils/preferences.js';
+
+const JOB_MODELS = {
+  Ticket,
+  ServiceRequest
+};
+
+const JOB_TYPES = {
+  Ticket: 'ticket',
+  ServiceRequest: 'service-request'
+};
+
+const SORT = { field: 'createdAt', direction: -1 };
+
+// Reading a notification about a timeline entry also records the read receipt on that entry
+const markTimelineSeen = async (notifications, userId) => {
+  for (const notification of notifications) {
+    if (!notification.timelineEntryId) continue;
+
+    const Model = JOB_MODELS[notification.jobModel];
+    const job = await Model.findOneAndUpdate(
+      { _id: notification.jobId, 'timeline._id': notification.timelineEntryId },
+      { $addToSet: { 'timeline.$.seenBy': userId } },
+      { new: true, timestamps: false }
+    ).select('ticketId requestId title status userId assignedTo');
+
+    if (job) {
+      publishJobEvent(JOB_TYPES[notification.jobModel], 'reply_seen', job, {
+        timelineEntryId: notification.timelineEntryId,
+        seenBy: userId
+      });
+    }
+  }
+};
+
+// @desc    List the logged-in user's notifications (newest first, cursor paginated)
+// @route   GET /api/notifications?unread=true&limit=&cursor=
+// @access  Private
+export const getNotifications = async (req, res) => {
+  try {
+    const { unread, cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+    const filter = { recipient: req.user._id };
+    if (unread === 'true') filter.readAt = null;
+
+    const decodedCursor = cursor ? decodeCursor(cursor, SORT) : null;
+    if (cursor && !decodedCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const pageFilter = decodedCursor ? { $and: [filter, buildCursorFilter(decodedCursor, SORT)] } : filter;
+
+    const [rows, unreadCount] = await Promise.all([
+      Notification.find(pageFilter).sort({ createdAt: -1, _id: -1 }).limit(limit + 1),
+      Notification.countDocuments({ recipient: req.user._id, readAt: null })
+    ]);
+
+    const hasMore = rows.length > limit;
+    const notifications = hasMore ? rows.slice(0, limit) : rows;
+
+    res.json({
+      notifications,
+      unreadCount,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(notifications[notifications.length - 1], SORT) : null
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Unread notification count for the badge
+// @route   GET /api/notifications/unread-count
+// @access  Private
+export const getUnreadCount = async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+    res.json({ count });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Mark one notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+export const markNotificationRead = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOne({ _id: id, recipient: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+      await markTimelineSeen([notification], req.user._id);
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Mark all notifications as read (optionally only those for one job)
+// @route   PUT /api/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { jobId } = req.body;
+
+    const filter = { recipient: req.user._id, readAt: null };
+    if (jobId) {
+      if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        return res.status(400).json({ message: 'Invalid job id' });
+      }
+      filter.jobId = jobId;
+    }
+
+    const withReceipts = await Notification.find({ ...filter, timelineEntryId: { $ne: null } })
+      .select('jobModel jobId timelineEntryId')
+      .lean();
+
+    const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    await markTimelineSeen(withReceipts, req.user._id);
+
+    res.json({ message: 'Notifications marked as read', updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the logged-in user's notification preferences (defaults filled in)
+// @route   GET /api/notifications/preferences
+// @access  Private
+export const getPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+    res.json({
+      preferences: describePreferences(user.notificationPreferences),
+      events: NOTIFICATION_EVENTS,
+      channels: NOTIFICATION_CHANNELS
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update notification preferences (partial: only the events / settings sent are changed)
+// @route   PUT /api/notifications/preferences
+// @access  Private
+export const updatePreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('notificationPreferences');
+
+    const current = user.toObject().notificationPreferences || {};
+    const { preferences, error } = parsePreferencesUpdate(req.body || {}, current);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    user.notificationPreferences = preferences;
+    await user.save();
+
+    res.json({ preferences: describePreferences(user.notificationPreferences) });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import Outbox, { OUTBOX_STATUSES } from '../models/Outbox.js';
+import { outboxEvents } from '../utils/outbox.js';
+import { MAX_PAGE_SIZE } from '../utils/listing.js';
+import { ACCOUNT_EVENT } from '../utils/preferences.js';
+
+// Bodies and attachment contents are left out of lists
+const LIST_FIELDS = '-html -attachments.content';
+
+// Sent account emails can't be resent: their body has been redacted and their link may
+// already have been used
+const RESENDABLE = {
+  $or: [
+    { status: { $in: ['dead', 'retrying'] } },
+    { status: 'sent', event: { $ne: ACCOUNT_EVENT } }
+  ]
+};
+
+const requeue = (resentBy) => ({
+  $set: {
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    resentBy,
+    resentAt: new Date()
+  }
+});
+
+// @desc    Delivery log of queued / sent / failed emails (newest first)
+// @route   GET /api/outbox?status=&event=&to=&page=&limit=
+// @access  Private/Admin
+export const getOutbox = async (req, res) => {
+  try {
+    const { status, event, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const query = {};
+    if (status) {
+      const statuses = String(status).split(',').filter(s => OUTBOX_STATUSES.includes(s));
+      if (statuses.length === 0) {
+        return res.status(400).json({ message: `status must be one of: ${OUTBOX_STATUSES.join(', ')}` });
+      }
+      query.status = { $in: statuses };
+    }
+    if (event) query.event = event;
+    if (to) query.to = String(to).toLowerCase().trim();
+
+    const [emails, total] = await Promise.all([
+      Outbox.find(query)
+        .select(LIST_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Outbox.countDocuments(query)
+    ]);
+
+    res.json({ emails, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error('Get outbox error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Count of emails in each state
+// @route   GET /api/outbox/stats
+// @access  Private/Admin
+export const getOutboxStats = async (req, res) => {
+  try {
+    const rows = await Outbox.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    const counts = Object.fromEntries(OUTBOX_STATUSES.map(status => [status, 0]));
+    for (const row of rows) counts[row._id] = row.count;
+
+    const oldestPending = await Outbox.findOne({ status: { $in: ['pending', 'retrying'] } })
+      .sort({ createdAt: 1 })
+      .select('createdAt');
+
+    res.json({ counts, oldestPendingAt: oldestPending?.createdAt || null });
+  } catch (error) {
+    console.error('Get outbox stats error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    One email with its body and attempt log
+// @route   GET /api/outbox/:id
+// @access  Private/Admin
+export const getOutboxEmail = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    const email = await Outbox.findById(id).select('-attachments.content');
+    if (!email) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    // Never show the links in account emails, even before they are delivered
+    if (email.event === ACCOUNT_EVENT) {
+      email.html = undefined;
+    }
+
+    res.json(email);
+  } catch (error) {
+    console.error('Get outbox email error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Queue an email again (dead letters, emails still retrying, or a sent email other than an account email)
+// @route   POST /api/outbox/:id/resend
+// @access  Private/Admin
+export const resendOutboxEmail = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Email not found' });
+    }
+
+    const email = await Outbox.findOneAndUpdate(
+      { _id: id, ...RESENDABLE },
+      requeue(req.user.name),
+      { new: true }
+    ).select(LIST_FIELDS);
+
+    if (!email) {
+      const exists = await Outbox.exists({ _id: id });
+      return exists
+        ? res.status(409).json({ message: 'Email is already queued or being sent, or is a delivered account email' })
+        : res.status(404).json({ message: 'Email not found' });
+    }
+
+    outboxEvents.emit('queued', email._id);
+
+    res.json(email);
+  } catch (error) {
+    console.error('Resend outbox email error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Queue every dead-letter email again
+// @route   POST /api/outbox/resend-dead
+// @access  Private/Admin
+export const resendDeadEmails = async (req, res) => {
+  try {
+    const result = await Outbox.updateMany({ status: 'dead' }, requeue(req.user.name));
+
+    if (result.modifiedCount > 0) {
+      outboxEvents.emit('queued');
+    }
+
+    res.json({ message: `${result.modifiedCount} email(s) queued again`, count: result.modifiedCount });
+  } catch (error) {
+    console.error('Resend dead emails error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
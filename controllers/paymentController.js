@@ -0,0 +1,283 @@
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import User from '../models/User.js';
+import { syncInvoicePayments, canPayFilter, buildCustomerLedger } from '../utils/ledger.js';
+import { sendPaymentReminder } from '../config/email.js';
+
+const PAYMENT_METHODS = Payment.schema.path('method').enumValues;
+
+// @desc    Record a (full or partial) payment against a finalised invoice
+// @route   POST /api/invoices/:id/payments
+// @access  Private/Admin
+export const recordPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, method, reference, paidAt, notes } = req.body;
+
+    const paymentAmount = Math.round(Number(amount) * 100) / 100;
+    if (!(paymentAmount > 0) || !PAYMENT_METHODS.includes(method)) {
+      return res.status(400).json({ message: `Please provide a positive amount and a method (${PAYMENT_METHODS.join(', ')})` });
+    }
+
+    if ((method === 'Cheque' || method === 'UPI' || method === 'Bank Transfer') && !reference) {
+      return res.status(400).json({ message: `Please provide the ${method === 'Cheque' ? 'cheque number' : 'transaction reference'}` });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const invoice = await Invoice.findById(id);
+    if (!invoice || invoice.documentType !== 'Invoice') {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    if (invoice.status !== 'Finalised') {
+      return res.status(400).json({ message: 'Payments can only be recorded against finalised invoices' });
+    }
+
+    const paymentDate = paidAt ? new Date(paidAt) : new Date();
+    if (Number.isNaN(paymentDate.getTime()) || paymentDate > new Date()) {
+      return res.status(400).json({ message: 'paidAt must be a valid date that is not in the future' });
+    }
+
+    // Reserve the amount on the invoice first so parallel payments can't overpay it
+    const reserved = await Invoice.findOneAndUpdate(canPayFilter(invoice._id, paymentAmount), { $inc: { amountPaid: paymentAmount } });
+    if (!reserved) {
+      const current = await Invoice.findById(invoice._id);
+      return res.status(400).json({ message: `Payment exceeds the outstanding amount (₹${current.outstanding})` });
+    }
+
+    let payment;
+    try {
+      payment = await Payment.create({
+        invoiceId: invoice._id,
+        userId: invoice.userId,
+        amount: paymentAmount,
+        method,
+        reference,
+        paidAt: paymentDate,
+        notes,
+        recordedBy: req.user.name
+      });
+    } catch (error) {
+      await Invoice.updateOne({ _id: invoice._id }, { $inc: { amountPaid: -paymentAmount } });
+      throw error;
+    }
+
+    const updatedInvoice = await syncInvoicePayments(invoice);
+
+    res.status(201).json({ payment, invoice: updatedInvoice });
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List payments for an invoice (customers only for their own invoices)
+// @route   GET /api/invoices/:id/payments
+// @access  Private
+export const getInvoicePayments = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const invoice = await Invoice.findById(id);
+    if (!invoice || (req.user.role !== 'admin' && (invoice.userId.toString() !== req.user._id.toString() || invoice.status !== 'Finalised'))) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const query = { invoiceId: invoice._id };
+    if (req.user.role !== 'admin') {
+      query.status = 'Received';
+    }
+
+    const payments = await Payment.find(query).sort({ paidAt: 1 });
+    res.json(payments);
+  } catch (error) {
+    console.error('Get invoice payments error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List payments across customers
+// @route   GET /api/payments
+// @access  Private/Admin
+export const getPayments = async (req, res) => {
+  try {
+    const { userId, method, status, from, to } = req.query;
+
+    const query = {};
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) query.userId = userId;
+    if (method) query.method = method;
+    if (status) query.status = status;
+    if (from || to) {
+      query.paidAt = {};
+      if (from) query.paidAt.$gte = new Date(from);
+      if (to) query.paidAt.$lte = new Date(to);
+    }
+
+    const payments = await Payment.find(query)
+      .populate('invoiceId', 'invoiceNumber grandTotal')
+      .populate('userId', 'name companyName email phone')
+      .sort({ paidAt: -1 });
+
+    res.json(payments);
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Void a payment recorded in error (or a bounced cheque)
+// @route   POST /api/payments/:id/void
+// @access  Private/Admin
+export const voidPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ message: 'Please provide a reason' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // Claim the payment so a double-submitted void only takes the amount off the invoice once
+    const payment = await Payment.findOneAndUpdate(
+      { _id: id, status: 'Received' },
+      { $set: { status: 'Voided', voidedAt: new Date(), voidedBy: req.user.name, voidReason: reason } },
+      { new: true }
+    );
+    if (!payment) {
+      const exists = await Payment.exists({ _id: id });
+      return exists
+        ? res.status(400).json({ message: 'Payment is already voided' })
+        : res.status(404).json({ message: 'Payment not found' });
+    }
+
+    await Invoice.updateOne({ _id: payment.invoiceId }, { $inc: { amountPaid: -payment.amount } });
+    const invoice = await syncInvoicePayments({ _id: payment.invoiceId });
+
+    res.json({ payment, invoice });
+  } catch (error) {
+    console.error('Void payment error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Customer ledger with outstanding balance and ageing buckets
+// @route   GET /api/users/:id/ledger
+// @access  Private/Admin
+export const getCustomerLedger = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const user = await User.findById(id).select('name companyName email phone');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const ledger = await buildCustomerLedger(user._id);
+    res.json({ user, ...ledger });
+  } catch (error) {
+    console.error('Get customer ledger error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Logged-in customer's own ledger
+// @route   GET /api/payments/ledger
+// @access  Private
+export const getMyLedger = async (req, res) => {
+  try {
+    const ledger = await buildCustomerLedger(req.user._id);
+    res.json(ledger);
+  } catch (error) {
+    console.error('Get my ledger error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Overdue invoices still carrying a balance
+const findOverdueInvoices = (extra = {}) => {
+  return Invoice.find({
+    documentType: 'Invoice',
+    status: 'Finalised',
+    paymentStatus: { $ne: 'Paid' },
+    dueDate: { $lt: new Date() },
+    ...extra
+  });
+};
+
+// @desc    Send a payment reminder for one overdue invoice
+// @route   POST /api/invoices/:id/reminder
+// @access  Private/Admin
+export const sendInvoiceReminder = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const [invoice] = await findOverdueInvoices({ _id: id });
+    if (!invoice || invoice.outstanding <= 0) {
+      return res.status(400).json({ message: 'Invoice is not overdue' });
+    }
+
+    await sendPaymentReminder(invoice);
+    invoice.lastReminderAt = new Date();
+    await invoice.save();
+
+    res.json({ message: 'Payment reminder sent', invoice });
+  } catch (error) {
+    console.error('Send payment reminder error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Send payment reminders for all overdue invoices (optionally for one customer)
+// @route   POST /api/payments/reminders
+// @access  Private/Admin
+export const sendOverdueReminders = async (req, res) => {
+  try {
+    const { userId, minDaysSinceLastReminder = 7 } = req.body;
+
+    const extra = {};
+    if (userId && mongoose.Types.ObjectId.isValid(userId)) extra.userId = userId;
+
+    // Skip invoices reminded recently so repeated clicks don't spam customers
+    const cutoff = new Date(Date.now() - Number(minDaysSinceLastReminder) * 24 * 60 * 60 * 1000);
+    extra.$or = [{ lastReminderAt: { $exists: false } }, { lastReminderAt: null }, { lastReminderAt: { $lt: cutoff } }];
+
+    const invoices = (await findOverdueInvoices(extra)).filter(invoice => invoice.outstanding > 0);
+
+    // Send in background (non-blocking)
+    setImmediate(async () => {
+      for (const invoice of invoices) {
+        try {
+          await sendPaymentReminder(invoice);
+          await Invoice.updateOne({ _id: invoice._id }, { $set: { lastReminderAt: new Date() } });
+        } catch (emailError) {
+          console.error('Email sending failed:', emailError);
+        }
+      }
+    });
+
+    res.json({ message: `Sending ${invoices.length} payment reminder(s)`, count: invoices.length });
+  } catch (error) {
+    console.error('Send overdue reminders error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,452 @@
+import mongoose from 'mongoose';
+import Quote from '../models/Quote.js';
+import Ticket from '../models/Ticket.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import { sendAdminReplyNotification, sendServiceRequestReplyNotification, sendQuoteDecisionNotification } from '../config/email.js';
+import { notifyCustomer } from '../utils/notifications.js';
+import { statusChangeFields, announceStatusChange, emailStatusChange } from '../utils/jobStatus.js';
+
+const QUOTE_STATUSES = Quote.schema.path('status').enumValues;
+
+const JOB_MODELS = {
+  Ticket,
+  ServiceRequest
+};
+
+// Accept the API-facing job type names as well as the model names
+const JOB_TYPE_ALIASES = {
+  ticket: 'Ticket',
+  Ticket: 'Ticket',
+  'service-request': 'ServiceRequest',
+  serviceRequest: 'ServiceRequest',
+  ServiceRequest: 'ServiceRequest'
+};
+
+// Validate and normalise line items; returns { lineItems, totalPrice } or { error }
+const parseLineItems = (lineItems) => {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    return { error: 'Please provide at least one line item' };
+  }
+
+  const parsed = [];
+  for (const [index, item] of lineItems.entries()) {
+    const quantity = item.quantity !== undefined ? Number(item.quantity) : 1;
+    const unitPrice = Number(item.unitPrice !== undefined ? item.unitPrice : item.price);
+
+    if (!item.description || !Number.isFinite(quantity) || quantity <= 0 || !Number.isFinite(unitPrice) || unitPrice < 0) {
+      return { error: `Invalid line item at position ${index + 1}` };
+    }
+
+    parsed.push({
+      sNo: index + 1,
+      description: item.description,
+      quantity,
+      unitPrice,
+      price: Math.round(quantity * unitPrice * 100) / 100
+    });
+  }
+
+  const totalPrice = Math.round(parsed.reduce((sum, item) => sum + item.price, 0) * 100) / 100;
+  return { lineItems: parsed, totalPrice };
+};
+
+const jobLabel = (quote) => (quote.jobModel === 'Ticket' ? 'ticket' : 'service request');
+
+const findQuote = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  await Quote.expireStale();
+  return Quote.findById(id);
+};
+
+const canView = (quote, user) => {
+  return user.role === 'admin' || quote.userId.toString() === user._id.toString();
+};
+
+// Append a quote event to the job timeline (price lines included so the existing UI shows them)
+const addQuoteTimelineEntry = async (quote, note, addedBy, withPrices = false) => {
+  const Model = JOB_MODELS[quote.jobModel];
+  const job = await Model.findById(quote.jobId);
+  if (!job) return null;
+
+  job.timeline.push({
+    note,
+    addedBy,
+    seenBy: [],
+    priceList: withPrices
+      ? quote.lineItems.map(item => ({ sNo: item.sNo, description: item.description, price: item.price }))
+      : undefined,
+    totalPrice: withPrices ? quote.totalPrice : undefined
+  });
+
+  await job.save();
+  return job;
+};
+
+// @desc    Create a draft quote for a ticket or service request
+// @route   POST /api/quotes
+// @access  Private/Admin
+export const createQuote = async (req, res) => {
+  try {
+    const { jobType, jobId, lineItems, validUntil, notes, autoStartOnAccept } = req.body;
+
+    const jobModel = JOB_TYPE_ALIASES[jobType];
+    if (!jobModel || !jobId || !validUntil) {
+      return res.status(400).json({ message: 'Please provide jobType (ticket or service-request), jobId, line items and validUntil' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const job = await JOB_MODELS[jobModel].findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const validUntilDate = new Date(validUntil);
+    if (Number.isNaN(validUntilDate.getTime()) || validUntilDate <= new Date()) {
+      return res.status(400).json({ message: 'validUntil must be a future date' });
+    }
+
+    const parsed = parseLineItems(lineItems);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    const quote = await Quote.create({
+      jobModel,
+      jobId,
+      userId: job.userId,
+      lineItems: parsed.lineItems,
+      totalPrice: parsed.totalPrice,
+      validUntil: validUntilDate,
+      notes,
+      autoStartOnAccept: autoStartOnAccept !== undefined ? Boolean(autoStartOnAccept) : true,
+      createdBy: req.user.name
+    });
+
+    res.status(201).json(quote);
+  } catch (error) {
+    console.error('Create quote error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List quotes (admin sees all, customers see their own; drafts are admin-only)
+// @route   GET /api/quotes
+// @access  Private
+export const getQuotes = async (req, res) => {
+  try {
+    const { jobId, status } = req.query;
+
+    await Quote.expireStale();
+
+    const query = {};
+    const statusConditions = [];
+    if (req.user.role !== 'admin') {
+      query.userId = req.user._id;
+      statusConditions.push({ status: { $ne: 'Draft' } });
+    }
+    if (jobId) {
+      if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        return res.json([]);
+      }
+      query.jobId = jobId;
+    }
+    if (status) {
+      if (!QUOTE_STATUSES.includes(String(status))) {
+        return res.status(400).json({ message: `status must be one of: ${QUOTE_STATUSES.join(', ')}` });
+      }
+      // Alongside the draft exclusion, never in place of it
+      statusConditions.push({ status: String(status) });
+    }
+    if (statusConditions.length > 0) {
+      query.$and = statusConditions;
+    }
+
+    const quotes = await Quote.find(query)
+      .populate('jobId', 'ticketId requestId title status')
+      .populate('userId', 'name companyName email phone')
+      .sort({ createdAt: -1 });
+
+    res.json(quotes);
+  } catch (error) {
+    console.error('Get quotes error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a single quote
+// @route   GET /api/quotes/:id
+// @access  Private
+export const getQuoteById = async (req, res) => {
+  try {
+    const quote = await findQuote(req.params.id);
+
+    if (!quote || !canView(quote, req.user) || (req.user.role !== 'admin' && quote.status === 'Draft')) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    await quote.populate('jobId', 'ticketId requestId title status');
+    await quote.populate('userId', 'name companyName email phone');
+
+    res.json(quote);
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Edit a draft quote
+// @route   PUT /api/quotes/:id
+// @access  Private/Admin
+export const updateQuote = async (req, res) => {
+  try {
+    const { lineItems, validUntil, notes, autoStartOnAccept } = req.body;
+
+    const quote = await findQuote(req.params.id);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    if (quote.status !== 'Draft') {
+      return res.status(400).json({ message: 'Only draft quotes can be edited. Create a revision instead.' });
+    }
+
+    if (lineItems !== undefined) {
+      const parsed = parseLineItems(lineItems);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      quote.lineItems = parsed.lineItems;
+      quote.totalPrice = parsed.totalPrice;
+    }
+    if (validUntil) {
+      const validUntilDate = new Date(validUntil);
+      if (Number.isNaN(validUntilDate.getTime()) || validUntilDate <= new Date()) {
+        return res.status(400).json({ message: 'validUntil must be a future date' });
+      }
+      quote.validUntil = validUntilDate;
+    }
+    if (notes !== undefined) quote.notes = notes;
+    if (autoStartOnAccept !== undefined) quote.autoStartOnAccept = Boolean(autoStartOnAccept);
+
+    await quote.save();
+
+    res.json(quote);
+  } catch (error) {
+    console.error('Update quote error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Start a new revision of a sent, rejected or expired quote (back to draft)
+// @route   POST /api/quotes/:id/revise
+// @access  Private/Admin
+export const reviseQuote = async (req, res) => {
+  try {
+    const { lineItems, validUntil, notes } = req.body;
+
+    const quote = await findQuote(req.params.id);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    if (!['Sent', 'Rejected', 'Expired'].includes(quote.status)) {
+      return res.status(400).json({ message: `A ${quote.status.toLowerCase()} quote cannot be revised` });
+    }
+
+    const validUntilDate = new Date(validUntil);
+    if (!validUntil || Number.isNaN(validUntilDate.getTime()) || validUntilDate <= new Date()) {
+      return res.status(400).json({ message: 'validUntil must be a future date' });
+    }
+
+    const parsed = lineItems !== undefined ? parseLineItems(lineItems) : { lineItems: quote.lineItems, totalPrice: quote.totalPrice };
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    quote.revisions.push({
+      revision: quote.revision,
+      status: quote.status,
+      lineItems: quote.lineItems,
+      totalPrice: quote.totalPrice,
+      validUntil: quote.validUntil,
+      notes: quote.notes,
+      revisedBy: req.user.name
+    });
+
+    quote.revision += 1;
+    quote.status = 'Draft';
+    quote.lineItems = parsed.lineItems;
+    quote.totalPrice = parsed.totalPrice;
+    quote.validUntil = validUntilDate;
+    if (notes !== undefined) quote.notes = notes;
+    quote.sentAt = undefined;
+    quote.respondedAt = undefined;
+    quote.rejectionReason = undefined;
+
+    await quote.save();
+
+    res.json(quote);
+  } catch (error) {
+    console.error('Revise quote error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Send a draft quote to the customer
+// @route   POST /api/quotes/:id/send
+// @access  Private/Admin
+export const sendQuote = async (req, res) => {
+  try {
+    const quote = await findQuote(req.params.id);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    if (quote.status !== 'Draft') {
+      return res.status(400).json({ message: 'Only draft quotes can be sent' });
+    }
+
+    if (quote.validUntil <= new Date()) {
+      return res.status(400).json({ message: 'Quote validity has passed. Update validUntil before sending.' });
+    }
+
+    quote.status = 'Sent';
+    quote.sentAt = new Date();
+    await quote.save();
+
+    const validUntilText = quote.validUntil.toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' });
+    const note = `Quote ${quote.quoteNumber}${quote.revision > 1 ? ` (revision ${quote.revision})` : ''} sent for ₹${quote.totalPrice}. Valid until ${validUntilText}. Please accept or reject it from your dashboard.`
+      + (quote.notes ? `\n\n${quote.notes}` : '');
+
+    const job = await addQuoteTimelineEntry(quote, note, req.user.name, true);
+    if (job) {
+      await notifyCustomer(job, 'quote_sent', {
+        message: `Quote ${quote.quoteNumber} for ₹${quote.totalPrice} is awaiting your decision`,
+        timelineEntryId: job.timeline[job.timeline.length - 1]._id
+      });
+    }
+
+    // Notify the customer in background
+    if (job) {
+      setImmediate(async () => {
+        try {
+          await job.populate('userId', 'name companyName email phone address location');
+          if (quote.jobModel === 'Ticket') {
+            await sendAdminReplyNotification(job, job.userId, note, job.assignedVisitAt || null, false, 'quote_sent');
+          } else {
+            await sendServiceRequestReplyNotification(job, job.userId, note, job.assignedVisitAt || null, false, 'quote_sent');
+          }
+        } catch (emailError) {
+          console.error('Email sending failed:', emailError);
+        }
+      });
+    }
+
+    res.json(quote);
+  } catch (error) {
+    console.error('Send quote error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Shared accept / reject flow for the customer who owns the quote
+const respondToQuote = async (req, res, decision) => {
+  let quote = await findQuote(req.params.id);
+
+  if (!quote || quote.userId.toString() !== req.user._id.toString() || quote.status === 'Draft') {
+    return res.status(404).json({ message: 'Quote not found' });
+  }
+
+  if (quote.status !== 'Sent') {
+    return res.status(400).json({ message: `This quote is ${quote.status.toLowerCase()} and can no longer be ${decision === 'Accepted' ? 'accepted' : 'rejected'}` });
+  }
+
+  const decisionFields = { status: decision, respondedAt: new Date() };
+  if (decision === 'Rejected' && req.body.reason) {
+    decisionFields.rejectionReason = req.body.reason;
+  }
+
+  // Only one decision wins if the customer accepts and rejects at the same time, and only
+  // while the quote is still valid (the expiry sweep may not have run yet)
+  const decided = await Quote.findOneAndUpdate(
+    { _id: quote._id, status: 'Sent', validUntil: { $gt: decisionFields.respondedAt } },
+    { $set: decisionFields },
+    { new: true }
+  );
+  if (!decided) {
+    const current = await Quote.findById(quote._id);
+    if (current && ['Sent', 'Expired'].includes(current.status)) {
+      return res.status(400).json({ message: 'This quote has expired and can no longer be accepted or rejected' });
+    }
+    return res.status(409).json({ message: 'This quote has already been answered' });
+  }
+  quote = decided;
+
+  const note = decision === 'Accepted'
+    ? `Quote ${quote.quoteNumber} (₹${quote.totalPrice}) accepted by customer.`
+    : `Quote ${quote.quoteNumber} (₹${quote.totalPrice}) rejected by customer.${quote.rejectionReason ? `\nReason: ${quote.rejectionReason}` : ''}`;
+
+  let job = await addQuoteTimelineEntry(quote, note, req.user.name);
+
+  // Accepting can kick off the work automatically, with the same SLA, audit and customer
+  // updates as an admin status change
+  if (job && decision === 'Accepted' && quote.autoStartOnAccept && job.status === 'New') {
+    const started = await JOB_MODELS[quote.jobModel].findOneAndUpdate(
+      { _id: job._id, status: 'New' },
+      {
+        $set: statusChangeFields(job, 'In Progress'),
+        $push: { timeline: { note: `Status changed to In Progress after quote acceptance.`, addedBy: 'System', seenBy: [] } }
+      },
+      { new: true }
+    ).populate('userId', 'name companyName email phone address location');
+
+    if (started) {
+      job = started;
+      await announceStatusChange(req, job, 'New', { changedBy: 'System', details: { quoteNumber: quote.quoteNumber } });
+      emailStatusChange(job, job.status);
+    }
+  }
+
+  if (job) {
+    setImmediate(async () => {
+      try {
+        await sendQuoteDecisionNotification(quote, job, req.user);
+      } catch (emailError) {
+        console.error('Email sending failed:', emailError);
+      }
+    });
+  }
+
+  return res.json({
+    quote,
+    jobStatus: job ? job.status : undefined,
+    message: `Quote ${decision.toLowerCase()}. The ${jobLabel(quote)} timeline has been updated.`
+  });
+};
+
+// @desc    Accept a sent quote
+// @route   POST /api/quotes/:id/accept
+// @access  Private (quote owner)
+export const acceptQuote = async (req, res) => {
+  try {
+    return await respondToQuote(req, res, 'Accepted');
+  } catch (error) {
+    console.error('Accept quote error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Reject a sent quote
+// @route   POST /api/quotes/:id/reject
+// @access  Private (quote owner)
+export const rejectQuote = async (req, res) => {
+  try {
+    return await respondToQuote(req, res, 'Rejected');
+  } catch (error) {
+    console.error('Reject quote error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,160 @@
+import Ticket from '../models/Ticket.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import User from '../models/User.js';
+import { escapeRegex, tokenize, parseReferenceQuery, buildSnippets } from '../utils/search.js';
+import { jobOwnershipFilter } from '../utils/listing.js';
+
+const SOURCES = {
+  ticket: { Model: Ticket, idField: 'ticketId', prefix: 'TKT' },
+  'service-request': { Model: ServiceRequest, idField: 'requestId', prefix: 'SRV' }
+};
+
+// Score boosts layered on top of MongoDB's text score
+const REFERENCE_SCORE = 100;
+const COMPANY_SCORE = 4;
+const PARTIAL_SCORE = 1;
+
+const SELECT_FIELDS = 'ticketId requestId userId category title description status address outletName timeline.note timeline.addedBy timeline.addedAt assignedTo createdAt completedAt';
+
+// Collect candidate jobs from one collection as Map<id, { job, score }>
+const searchSource = async ({ Model, idField, prefix }, { query, terms, reference, companyUserIds, baseFilter, limit }) => {
+  const results = new Map();
+  const add = (jobs, scoreOf) => {
+    for (const job of jobs) {
+      const key = job._id.toString();
+      const existing = results.get(key);
+      const score = scoreOf(job);
+      if (existing) existing.score += score;
+      else results.set(key, { job, score });
+    }
+  };
+
+  // Partial TKT-/SRV- references
+  if (reference && (!reference.prefix || reference.prefix === prefix)) {
+    const jobs = await Model.find({ ...baseFilter, [idField]: reference.pattern }).select(SELECT_FIELDS).limit(limit).lean();
+    add(jobs, () => REFERENCE_SCORE);
+  }
+
+  // Ranked full-text search over title, description, outlet, address and timeline notes
+  const textJobs = await Model.find(
+    { ...baseFilter, $text: { $search: query } },
+    { score: { $meta: 'textScore' } }
+  )
+    .select(SELECT_FIELDS)
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+  add(textJobs, job => job.score);
+
+  // Customer company name lives on the user, so match the customers first
+  if (companyUserIds.length > 0) {
+    const jobs = await Model.find({ ...baseFilter, userId: { $in: companyUserIds } })
+      .select(SELECT_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    add(jobs, () => COMPANY_SCORE);
+  }
+
+  // Text indexes only match whole (stemmed) words; fall back to substrings so "cam" finds "camera"
+  if (results.size < limit && terms.length > 0) {
+    const pattern = new RegExp(terms.map(escapeRegex).join('|'), 'i');
+    const jobs = await Model.find({
+      ...baseFilter,
+      _id: { $nin: [...results.keys()] },
+      $or: [{ title: pattern }, { outletName: pattern }, { description: pattern }, { 'timeline.note': pattern }, { address: pattern }]
+    })
+      .select(SELECT_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(limit - results.size)
+      .lean();
+    add(jobs, () => PARTIAL_SCORE);
+  }
+
+  return results;
+};
+
+// @desc    Ranked search across tickets and service requests with highlighted snippets
+// @route   GET /api/search?q=&type=ticket|service-request&status=
+// @access  Private
+export const searchJobs = async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    const { type, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    if (query.length < 2) {
+      return res.status(400).json({ message: 'Search query must be at least 2 characters' });
+    }
+
+    if (type && !SOURCES[type]) {
+      return res.status(400).json({ message: 'type must be ticket or service-request' });
+    }
+
+    const terms = tokenize(query);
+    const reference = parseReferenceQuery(query);
+    const baseFilter = jobOwnershipFilter(req.user);
+    if (status) baseFilter.status = status;
+
+    // Customers only ever see their own jobs, so company matching is for staff
+    let companyUserIds = [];
+    if (req.user.role !== 'user' && terms.length > 0) {
+      const companyPattern = new RegExp(escapeRegex(query), 'i');
+      const users = await User.find({ role: 'user', companyName: companyPattern }).select('_id').limit(50).lean();
+      companyUserIds = users.map(user => user._id);
+    }
+
+    // Enough candidates from each source to fill the requested page after merging
+    const fetchLimit = page * limit;
+    const sourceNames = type ? [type] : Object.keys(SOURCES);
+    const merged = [];
+
+    for (const name of sourceNames) {
+      const results = await searchSource(SOURCES[name], { query, terms, reference, companyUserIds, baseFilter, limit: fetchLimit });
+      for (const { job, score } of results.values()) {
+        merged.push({ jobType: name, job, score });
+      }
+    }
+
+    merged.sort((a, b) => b.score - a.score || new Date(b.job.createdAt) - new Date(a.job.createdAt));
+    const pageItems = merged.slice((page - 1) * limit, page * limit);
+
+    // Populate customer details for the page only
+    const customerIds = [...new Set(pageItems.map(item => item.job.userId.toString()))];
+    const customers = await User.find({ _id: { $in: customerIds } }).select('name companyName').lean();
+    const customerById = new Map(customers.map(customer => [customer._id.toString(), customer]));
+
+    const snippetTerms = reference ? [...terms, reference.digits] : terms;
+    const results = pageItems.map(({ jobType, job, score }) => {
+      const customer = customerById.get(job.userId.toString()) || null;
+      return {
+        jobType,
+        _id: job._id,
+        reference: job.ticketId || job.requestId,
+        title: job.title,
+        category: job.category,
+        status: job.status,
+        outletName: job.outletName,
+        customer,
+        createdAt: job.createdAt,
+        completedAt: job.completedAt,
+        score: Math.round(score * 100) / 100,
+        snippets: buildSnippets({ ...job, userId: customer }, snippetTerms)
+      };
+    });
+
+    res.json({
+      query,
+      results,
+      pagination: {
+        page,
+        limit,
+        hasMore: merged.length > page * limit
+      }
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -1,10 +1,20 @@
+import mongoose from 'mongoose';
 import ServiceRequest from '../models/ServiceRequest.js';
 import User from '../models/User.js';
-import { sendNewServiceRequestNotification, sendServiceRequestConfirmation, sendServiceRequestReplyNotification } from '../config/email.js';
+import Notification from '../models/Notification.js';
+import { sendNewServiceRequestNotification, sendServiceRequestConfirmation, sendServiceRequestReplyNotification, sendJobAssignmentNotification } from '../config/email.js';
+import { buildSla } from '../utils/sla.js';
+import { resolveJobAssets } from '../utils/assets.js';
+import { publishJobEvent } from '../utils/realtime.js';
+import { notifyCustomer, notifyAdmins, preview } from '../utils/notifications.js';
+import { sendJobMessage } from '../config/messaging.js';
+import { buildJobFilters, parseSort, decodeCursor, paginateJobs, MAX_PAGE_SIZE } from '../utils/listing.js';
+import { recordAudit } from '../utils/audit.js';
+import { statusChangeFields, statusEmailText, announceStatusChange } from '../utils/jobStatus.js';
 
 export const createServiceRequest = async (req, res) => {
   try {
-    const { category, title, description, preferredVisitAt, address, outletName, location, cameraType, cameraCount } = req.body;
+    const { category, title, description, preferredVisitAt, address, outletName, location, assetIds, cameraType, cameraCount } = req.body;
     const userId = req.user._id;
 
     if (!category || !title || !description || !address || !outletName || !location) {
@@ -16,6 +26,11 @@ export const createServiceRequest = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const { assets, error: assetError } = await resolveJobAssets(assetIds, userId);
+    if (assetError) {
+      return res.status(400).json({ message: assetError });
+    }
+
     const images = req.files ? req.files.map(file => {
       if (file.path && typeof file.path === 'string' && file.path.startsWith('http')) {
         return file.path;
@@ -38,12 +53,14 @@ export const createServiceRequest = async (req, res) => {
       preferredVisitAt: preferredVisitAt || null,
       address,
       outletName,
+      assets,
       location: {
         lat: location.lat,
         lng: location.lng
       },
       cameraType,
-      cameraCount
+      cameraCount,
+      sla: await buildSla(category)
     });
 
     const populatedRequest = await ServiceRequest.findById(serviceRequest._id).populate('userId', 'name companyName email phone');
@@ -58,6 +75,10 @@ export const createServiceRequest = async (req, res) => {
       }
     });
 
+    await notifyAdmins(populatedRequest, 'job_created', { message: preview(populatedRequest.description) });
+    setImmediate(() => sendJobMessage('job_created', 'job_confirmation', populatedRequest));
+    publishJobEvent('service-request', 'created', populatedRequest, { category: populatedRequest.category, outletName: populatedRequest.outletName });
+
     res.status(201).json(populatedRequest);
   } catch (error) {
     console.error('Create service request error:', error);
@@ -67,32 +88,46 @@ export const createServiceRequest = async (req, res) => {
 
 export const getServiceRequests = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const role = req.user.role;
+    const { cursor } = req.query;
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
 
-    let query = {};
-    if (role !== 'admin') {
-      query.userId = userId;
+    const { filter, error } = await buildJobFilters(ServiceRequest, req.query, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const sort = parseSort(req.query.sort);
+    if (sort.error) {
+      return res.status(400).json({ message: sort.error });
+    }
+
+    // Cursor pagination is stable while new requests arrive; page numbers are kept for older clients
+    const decodedCursor = cursor ? decodeCursor(cursor, sort) : null;
+    if (cursor && !decodedCursor) {
+      return res.status(400).json({ message: 'Invalid cursor. Restart from the first page with the same sort' });
     }
 
-    const [requests, total] = await Promise.all([
-      ServiceRequest.find(query)
-        .populate('userId', 'name companyName email phone address location')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit),
-      ServiceRequest.countDocuments(query)
-    ]);
+    const { items, total, hasMore, nextCursor } = await paginateJobs(ServiceRequest, {
+      filter,
+      sort,
+      cursor: decodedCursor,
+      skip: (page - 1) * limit,
+      limit,
+      populate: [
+        ['userId', 'name companyName email phone address location'],
+        ['assignedTo', 'name email phone']
+      ]
+    });
 
     res.json({
-      requests,
+      requests: items,
       total,
-      page,
+      ...(decodedCursor ? {} : { page }),
       pages: Math.ceil(total / limit),
-      hasMore: page * limit < total
+      limit,
+      hasMore,
+      nextCursor
     });
   } catch (error) {
     console.error('Get service requests error:', error);
@@ -106,13 +141,17 @@ export const getServiceRequestById = async (req, res) => {
     const userId = req.user._id;
     const role = req.user.role;
 
-    const serviceRequest = await ServiceRequest.findById(id).populate('userId', 'name companyName email phone address location');
+    const serviceRequest = await ServiceRequest.findById(id)
+      .populate('userId', 'name companyName email phone address location')
+      .populate('assignedTo', 'name email phone')
+      .populate('assets', 'assetTag category type label make model serialNumber warrantyExpiry status');
 
     if (!serviceRequest) {
       return res.status(404).json({ message: 'Service request not found' });
     }
 
-    if (role !== 'admin' && serviceRequest.userId._id.toString() !== userId.toString()) {
+    const isAssignedTechnician = role === 'technician' && serviceRequest.assignedTo && serviceRequest.assignedTo._id.toString() === userId.toString();
+    if (role !== 'admin' && !isAssignedTechnician && serviceRequest.userId._id.toString() !== userId.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -126,7 +165,7 @@ export const getServiceRequestById = async (req, res) => {
 export const updateServiceRequest = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, assignedVisitAt } = req.body;
+    const { status, assignedVisitAt, assignedTo } = req.body;
     const role = req.user.role;
 
     if (role !== 'admin') {
@@ -140,20 +179,70 @@ export const updateServiceRequest = async (req, res) => {
 
     const oldStatus = serviceRequest.status;
     const oldVisitAt = serviceRequest.assignedVisitAt;
+    const oldAssignee = serviceRequest.assignedTo;
 
-    if (status) {
-      if (status === 'Completed' && serviceRequest.status !== 'Completed') {
-        serviceRequest.completedAt = new Date();
-      } else if (status !== 'Completed' && serviceRequest.status === 'Completed') {
-        serviceRequest.completedAt = null;
-      }
-      serviceRequest.status = status;
+    // Completing, rejecting or reopening also updates the SLA status and completedAt
+    if (status && status !== serviceRequest.status) {
+      serviceRequest.set(statusChangeFields(serviceRequest, status));
     }
     if (assignedVisitAt) serviceRequest.assignedVisitAt = assignedVisitAt;
 
+    // assignedTo: null unassigns, an ID (re)assigns when it differs from the current technician
+    let newTechnician = null;
+    if (assignedTo !== undefined) {
+      const currentAssignee = serviceRequest.assignedTo ? serviceRequest.assignedTo.toString() : null;
+      const nextAssignee = assignedTo ? assignedTo.toString() : null;
+
+      if (currentAssignee !== nextAssignee) {
+        if (nextAssignee) {
+          if (!mongoose.Types.ObjectId.isValid(nextAssignee)) {
+            return res.status(400).json({ message: 'Invalid technician ID' });
+          }
+          newTechnician = await User.findOne({ _id: nextAssignee, role: 'technician' });
+          if (!newTechnician) {
+            return res.status(400).json({ message: 'Technician not found' });
+          }
+        }
+
+        serviceRequest.assignedTo = nextAssignee;
+        serviceRequest.assignmentHistory.push({ technician: nextAssignee, assignedBy: req.user.name });
+      }
+    }
+
     await serviceRequest.save();
 
-    const updatedRequest = await ServiceRequest.findById(id).populate('userId', 'name companyName email phone address location');
+    const updatedRequest = await ServiceRequest.findById(id)
+      .populate('userId', 'name companyName email phone address location')
+      .populate('assignedTo', 'name email phone');
+
+    if (status && status !== oldStatus) {
+      await announceStatusChange(req, updatedRequest, oldStatus);
+    }
+    if (assignedVisitAt && (!oldVisitAt || new Date(assignedVisitAt).getTime() !== new Date(oldVisitAt).getTime())) {
+      await recordAudit(req, 'service_request.visit_scheduled', {
+        target: updatedRequest,
+        before: { assignedVisitAt: oldVisitAt || null },
+        after: { assignedVisitAt: updatedRequest.assignedVisitAt }
+      });
+    }
+    if (String(oldAssignee || '') !== String(serviceRequest.assignedTo || '')) {
+      await recordAudit(req, 'service_request.assigned', {
+        target: updatedRequest,
+        before: { assignedTo: oldAssignee || null },
+        after: { assignedTo: serviceRequest.assignedTo || null }
+      });
+    }
+
+    // Notify the newly assigned technician (in background)
+    if (newTechnician) {
+      setImmediate(async () => {
+        try {
+          await sendJobAssignmentNotification(updatedRequest, newTechnician, updatedRequest.userId);
+        } catch (emailError) {
+          console.error('Email sending failed:', emailError);
+        }
+      });
+    }
 
     // Send email notification if visit time was set or status changed (in background)
     if (updatedRequest.userId && (assignedVisitAt || (status && status !== oldStatus))) {
@@ -166,21 +255,15 @@ export const updateServiceRequest = async (req, res) => {
           }
 
           if (status && status !== oldStatus) {
-            if (status === 'Completed') {
-              replyMessage += `Your service request has been completed.\n\n`;
-              replyMessage += `Thank you for using our service.\n\n`;
-            } else if (status === 'Rejected') {
-              replyMessage += `Your service request has been rejected.\n\n`;
-            } else {
-              replyMessage += `Your service request status has been updated to: ${status}.\n\n`;
-            }
+            replyMessage += statusEmailText(updatedRequest, status);
           }
 
           if (replyMessage) {
             if (status !== 'Completed' && status !== 'Rejected') {
               replyMessage += `Please check your dashboard for more details.`;
             }
-            await sendServiceRequestReplyNotification(updatedRequest, updatedRequest.userId, replyMessage, assignedVisitAt || null, status === 'Completed' || status === 'Rejected');
+            const event = status && status !== oldStatus ? 'status_changed' : 'visit_scheduled';
+            await sendServiceRequestReplyNotification(updatedRequest, updatedRequest.userId, replyMessage, assignedVisitAt || null, status === 'Completed' || status === 'Rejected', event);
           }
         } catch (emailError) {
           console.error('Email sending failed:', emailError);
@@ -188,6 +271,12 @@ export const updateServiceRequest = async (req, res) => {
       });
     }
 
+    if (assignedVisitAt && (!oldVisitAt || new Date(assignedVisitAt).getTime() !== new Date(oldVisitAt).getTime())) {
+      const visitText = new Date(assignedVisitAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Kolkata' });
+      await notifyCustomer(updatedRequest, 'visit_scheduled', { message: `Visit scheduled for ${visitText}` });
+      setImmediate(() => sendJobMessage('visit_scheduled', 'visit_scheduled', updatedRequest, { visitTime: visitText }));
+    }
+
     res.json(updatedRequest);
   } catch (error) {
     console.error('Update service request error:', error);
@@ -241,6 +330,11 @@ export const addComment = async (req, res) => {
       }
     }
 
+    // The first admin reply stops the first-response SLA clock
+    if (role === 'admin' && serviceRequest.sla && serviceRequest.sla.resolutionDueAt && !serviceRequest.sla.firstResponseAt) {
+      serviceRequest.sla.firstResponseAt = new Date();
+    }
+
     serviceRequest.timeline.push({
       note,
       images: images.length > 0 ? images : undefined,
@@ -265,6 +359,23 @@ export const addComment = async (req, res) => {
       });
     }
 
+    const comment = updatedRequest.timeline[updatedRequest.timeline.length - 1];
+    const commentDetails = { message: preview(note), timelineEntryId: comment._id };
+    if (role === 'admin') {
+      await notifyCustomer(updatedRequest, 'admin_reply', commentDetails);
+      setImmediate(() => sendJobMessage('admin_reply', 'admin_reply', updatedRequest, { message: note }));
+    } else {
+      await notifyAdmins(updatedRequest, 'customer_reply', commentDetails);
+    }
+    publishJobEvent('service-request', 'comment_added', updatedRequest, {
+      timelineEntryId: comment._id,
+      note: comment.note,
+      addedBy: comment.addedBy,
+      addedByRole: role,
+      addedAt: comment.addedAt,
+      totalPrice: comment.totalPrice
+    });
+
     res.json(updatedRequest);
   } catch (error) {
     console.error('Add comment error:', error);
@@ -272,6 +383,18 @@ export const addComment = async (req, res) => {
   }
 };
 
+// Assign or reassign a service request to a technician (admin only)
+export const assignServiceRequest = async (req, res) => {
+  const { technicianId } = req.body;
+
+  if (technicianId === undefined) {
+    return res.status(400).json({ message: 'Please provide a technicianId (or null to unassign)' });
+  }
+
+  req.body = { assignedTo: technicianId };
+  return updateServiceRequest(req, res);
+};
+
 // Delete service request (admin or owner)
 export const deleteServiceRequest = async (req, res) => {
   try {
@@ -290,6 +413,11 @@ export const deleteServiceRequest = async (req, res) => {
     }
 
     await ServiceRequest.findByIdAndDelete(id);
+    await Notification.deleteMany({ jobId: id });
+    await recordAudit(req, 'service_request.deleted', {
+      target: serviceRequest,
+      before: { title: serviceRequest.title, status: serviceRequest.status, userId: serviceRequest.userId, category: serviceRequest.category }
+    });
 
     res.json({ message: 'Service request deleted successfully' });
   } catch (error) {
@@ -297,45 +425,3 @@ export const deleteServiceRequest = async (req, res) => {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
-
-export const markReplyAsSeen = async (req, res) => {
-  try {
-    const { requestId, timelineIndex } = req.params;
-    const userId = req.user._id;
-
-    const serviceRequest = await ServiceRequest.findById(requestId);
-    if (!serviceRequest) {
-      return res.status(404).json({ message: 'Service request not found' });
-    }
-
-    if (serviceRequest.userId.toString() !== userId.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    const timelineItem = serviceRequest.timeline[timelineIndex];
-    if (!timelineItem) {
-      return res.status(404).json({ message: 'Timeline item not found' });
-    }
-
-    if (!timelineItem.seenBy) {
-      timelineItem.seenBy = [];
-    }
-
-    if (!timelineItem.seenBy.includes(userId)) {
-      timelineItem.seenBy.push(userId);
-      await serviceRequest.save();
-    }
-
-    const updatedRequest = await ServiceRequest.findById(requestId).populate('userId', 'name companyName email phone');
-    res.json(updatedRequest);
-  } catch (error) {
-    console.error('Mark reply as seen error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-};
-
-
-
-
-
-
@@ -1,11 +1,37 @@
+import mongoose from 'mongoose';
 import Settings from '../models/Settings.js';
+import Ticket from '../models/Ticket.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import {
+    EMAIL_TEMPLATES,
+    LAYOUT_NAME,
+    templateNames,
+    defaultTemplate,
+    renderEmail,
+    buildSampleContext,
+    previewTemplateFor
+} from '../utils/emailTemplates.js';
+import { recordAudit, changedFields } from '../utils/audit.js';
+
+const AUDITED_SETTINGS = ['supportPhone', 'supportEmail', 'supportWhatsApp', 'slaPolicies', 'slaAtRiskPercent', 'billing'];
+
+// Settings as recorded in the audit log (SLA policies without their subdocument ids, which
+// change on every save)
+const auditedSettings = (settings) => {
+    const plain = settings.toObject();
+    return {
+        ...plain,
+        slaPolicies: (plain.slaPolicies || []).map(({ category, firstResponseHours, resolutionHours }) => ({ category, firstResponseHours, resolutionHours }))
+    };
+};
 
 // @desc    Get global settings
 // @route   GET /api/settings
 // @access  Public
 export const getSettings = async (req, res) => {
     try {
-        let settings = await Settings.findOne();
+        // Template overrides are served separately to admins
+        let settings = await Settings.findOne().select('-emailTemplates');
 
         if (!settings) {
             // Create default settings if none exist
@@ -24,7 +50,30 @@ export const getSettings = async (req, res) => {
 // @access  Private/Admin
 export const updateSettings = async (req, res) => {
     try {
-        const { supportPhone, supportEmail, supportWhatsApp } = req.body;
+        const { supportPhone, supportEmail, supportWhatsApp, slaPolicies, slaAtRiskPercent, billing } = req.body;
+
+        if (slaPolicies !== undefined) {
+            if (!Array.isArray(slaPolicies)) {
+                return res.status(400).json({ message: 'slaPolicies must be an array' });
+            }
+
+            const categories = Ticket.schema.path('category').enumValues;
+            for (const policy of slaPolicies) {
+                if (!categories.includes(policy.category)) {
+                    return res.status(400).json({ message: `Invalid SLA category: ${policy.category}` });
+                }
+                const firstResponseHours = Number(policy.firstResponseHours);
+                const resolutionHours = Number(policy.resolutionHours);
+                if (!(firstResponseHours > 0) || !(resolutionHours > 0) || firstResponseHours > resolutionHours) {
+                    return res.status(400).json({ message: `Invalid SLA hours for ${policy.category}` });
+                }
+            }
+
+            const seen = new Set(slaPolicies.map(p => p.category));
+            if (seen.size !== slaPolicies.length) {
+                return res.status(400).json({ message: 'Each category can only have one SLA policy' });
+            }
+        }
 
         let settings = await Settings.findOne();
 
@@ -32,15 +81,224 @@ export const updateSettings = async (req, res) => {
             settings = new Settings({});
         }
 
+        const before = auditedSettings(settings);
+
         if (supportPhone) settings.supportPhone = supportPhone;
         if (supportEmail) settings.supportEmail = supportEmail;
         if (supportWhatsApp) settings.supportWhatsApp = supportWhatsApp;
+        if (slaPolicies !== undefined) {
+            settings.slaPolicies = slaPolicies.map(p => ({
+                category: p.category,
+                firstResponseHours: Number(p.firstResponseHours),
+                resolutionHours: Number(p.resolutionHours)
+            }));
+        }
+        if (slaAtRiskPercent !== undefined) {
+            const percent = Number(slaAtRiskPercent);
+            if (!(percent >= 1 && percent <= 100)) {
+                return res.status(400).json({ message: 'slaAtRiskPercent must be between 1 and 100' });
+            }
+            settings.slaAtRiskPercent = percent;
+        }
+        if (billing && typeof billing === 'object') {
+            const { legalName, gstin, address, state, defaultGstRate, defaultHsnSac, paymentTermsDays } = billing;
+            if (legalName !== undefined) settings.billing.legalName = legalName;
+            if (gstin !== undefined) settings.billing.gstin = gstin.toUpperCase().trim();
+            if (address !== undefined) settings.billing.address = address;
+            if (state !== undefined) settings.billing.state = state;
+            if (defaultHsnSac !== undefined) settings.billing.defaultHsnSac = defaultHsnSac;
+            if (defaultGstRate !== undefined) {
+                if (!(Number(defaultGstRate) >= 0)) {
+                    return res.status(400).json({ message: 'defaultGstRate must be a non-negative number' });
+                }
+                settings.billing.defaultGstRate = Number(defaultGstRate);
+            }
+            if (paymentTermsDays !== undefined) {
+                if (!(Number(paymentTermsDays) >= 0)) {
+                    return res.status(400).json({ message: 'paymentTermsDays must be a non-negative number' });
+                }
+                settings.billing.paymentTermsDays = Number(paymentTermsDays);
+            }
+        }
 
         await settings.save();
 
+        const changes = changedFields(before, auditedSettings(settings), AUDITED_SETTINGS);
+        if (Object.keys(changes.after).length > 0) {
+            await recordAudit(req, 'settings.updated', { target: settings, targetLabel: 'Settings', ...changes });
+        }
+
         res.json(settings);
     } catch (err) {
         console.error('Error updating settings:', err);
         res.status(500).json({ message: 'Server error', error: err.message });
     }
 };
+
+const findOverride = (settings, name) => (settings?.emailTemplates || []).find(template => template.name === name);
+
+const loadPreviewJob = async (jobId) => {
+    if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+    const populate = { path: 'userId', select: 'name companyName email phone outlets' };
+    return (await Ticket.findById(jobId).populate(populate)) || (await ServiceRequest.findById(jobId).populate(populate));
+};
+
+// @desc    List email templates with their shipped default and any admin override
+// @route   GET /api/settings/email-templates
+// @access  Private/Admin
+export const getEmailTemplates = async (req, res) => {
+    try {
+        const settings = await Settings.findOne().select('emailTemplates').lean();
+
+        const templates = templateNames().map(name => {
+            const override = findOverride(settings, name);
+            return {
+                name,
+                kind: EMAIL_TEMPLATES[name] ? 'template' : (name === LAYOUT_NAME ? 'layout' : 'partial'),
+                description: EMAIL_TEMPLATES[name]?.description,
+                variables: EMAIL_TEMPLATES[name]?.variables,
+                default: defaultTemplate(name),
+                override: override || null
+            };
+        });
+
+        res.json(templates);
+    } catch (err) {
+        console.error('Error fetching email templates:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+};
+
+// @desc    Override an email template, the layout or a partial (validated by rendering a sample)
+// @route   PUT /api/settings/email-templates/:name
+// @access  Private/Admin
+export const updateEmailTemplate = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { subject, body } = req.body;
+
+        const shipped = defaultTemplate(name);
+        if (!shipped) {
+            return res.status(404).json({ message: 'Email template not found' });
+        }
+        if (subject !== undefined && !EMAIL_TEMPLATES[name]) {
+            return res.status(400).json({ message: 'Only email templates have a subject' });
+        }
+        if ((subject !== undefined && typeof subject !== 'string') || (body !== undefined && typeof body !== 'string')) {
+            return res.status(400).json({ message: 'subject and body must be strings' });
+        }
+        if (subject === undefined && body === undefined) {
+            return res.status(400).json({ message: 'Please provide a subject or body' });
+        }
+
+        let settings = await Settings.findOne();
+        if (!settings) {
+            settings = new Settings({});
+        }
+
+        const existing = findOverride(settings, name);
+        const draft = {
+            subject: subject !== undefined ? subject.trim() || undefined : existing?.subject,
+            body: body !== undefined && body.trim() ? body : (existing?.body || shipped.body)
+        };
+
+        try {
+            const template = previewTemplateFor(name);
+            await renderEmail(template, buildSampleContext(template), { [name]: draft });
+        } catch (renderError) {
+            return res.status(400).json({ message: `Template error: ${renderError.message}` });
+        }
+
+        const before = existing ? { subject: existing.subject, body: existing.body } : null;
+
+        if (existing) {
+            existing.subject = draft.subject;
+            existing.body = draft.body;
+            existing.updatedBy = req.user.name;
+            existing.updatedAt = new Date();
+        } else {
+            settings.emailTemplates.push({ name, ...draft, updatedBy: req.user.name });
+        }
+
+        await settings.save();
+        await recordAudit(req, 'email_template.updated', { target: settings, targetLabel: name, before, after: draft });
+
+        res.json(findOverride(settings, name));
+    } catch (err) {
+        console.error('Error updating email template:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+};
+
+// @desc    Remove an override so the shipped template is used again
+// @route   DELETE /api/settings/email-templates/:name
+// @access  Private/Admin
+export const resetEmailTemplate = async (req, res) => {
+    try {
+        const { name } = req.params;
+
+        if (!defaultTemplate(name)) {
+            return res.status(404).json({ message: 'Email template not found' });
+        }
+
+        // Returns the settings as they were, so the removed override can be audited
+        const previous = await Settings.findOneAndUpdate({}, { $pull: { emailTemplates: { name } } });
+        const removed = findOverride(previous, name);
+        if (removed) {
+            await recordAudit(req, 'email_template.reset', {
+                target: previous,
+                targetLabel: name,
+                before: { subject: removed.subject, body: removed.body }
+            });
+        }
+
+        res.json({ message: 'Email template reset to default', default: defaultTemplate(name) });
+    } catch (err) {
+        console.error('Error resetting email template:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+};
+
+// @desc    Render a template (optionally with unsaved edits) against a sample ticket or a real job
+// @route   POST /api/settings/email-templates/:name/preview
+// @access  Private/Admin
+export const previewEmailTemplate = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { subject, body, jobId, template } = req.body || {};
+
+        if (!defaultTemplate(name)) {
+            return res.status(404).json({ message: 'Email template not found' });
+        }
+
+        // Layouts and partials are previewed inside a template (?template= or a sensible default)
+        const key = EMAIL_TEMPLATES[name] ? name : (EMAIL_TEMPLATES[template] ? template : previewTemplateFor(name));
+
+        let job;
+        if (jobId) {
+            job = await loadPreviewJob(jobId);
+            if (!job) {
+                return res.status(404).json({ message: 'Job not found' });
+            }
+        }
+
+        const drafts = {};
+        if (subject !== undefined || body !== undefined) {
+            drafts[name] = {};
+            if (typeof subject === 'string' && subject.trim()) drafts[name].subject = subject;
+            if (typeof body === 'string' && body.trim()) drafts[name].body = body;
+        }
+
+        let rendered;
+        try {
+            rendered = await renderEmail(key, buildSampleContext(key, { job, user: job?.userId }), drafts);
+        } catch (renderError) {
+            return res.status(400).json({ message: `Template error: ${renderError.message}` });
+        }
+
+        res.json({ template: key, ...rendered });
+    } catch (err) {
+        console.error('Error previewing email template:', err);
+        res.status(500).json({ message: 'Server error', error: err.message });
+    }
+};
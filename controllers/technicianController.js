@@ -0,0 +1,29 @@
+import Ticket from '../models/Ticket.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+
+// Get jobs (tickets and service requests) assigned to the logged-in technician
+export const getMyJobs = async (req, res) => {
+  try {
+    const technicianId = req.user._id;
+    const { status } = req.query;
+
+    const query = { assignedTo: technicianId };
+    if (status) {
+      query.status = status;
+    }
+
+    const [tickets, serviceRequests] = await Promise.all([
+      Ticket.find(query)
+        .populate('userId', 'name companyName email phone address location')
+        .sort({ assignedVisitAt: 1, createdAt: -1 }),
+      ServiceRequest.find(query)
+        .populate('userId', 'name companyName email phone address location')
+        .sort({ assignedVisitAt: 1, createdAt: -1 })
+    ]);
+
+    res.json({ tickets, serviceRequests });
+  } catch (error) {
+    console.error('Get technician jobs error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
@@ -1,10 +1,20 @@
+import mongoose from 'mongoose';
 import Ticket from '../models/Ticket.js';
 import User from '../models/User.js';
-import { sendNewTicketNotification, sendTicketConfirmation, sendAdminReplyNotification } from '../config/email.js';
+import Notification from '../models/Notification.js';
+import { sendNewTicketNotification, sendTicketConfirmation, sendAdminReplyNotification, sendJobAssignmentNotification } from '../config/email.js';
+import { buildSla } from '../utils/sla.js';
+import { resolveJobAssets } from '../utils/assets.js';
+import { publishJobEvent } from '../utils/realtime.js';
+import { notifyCustomer, notifyAdmins, preview } from '../utils/notifications.js';
+import { sendJobMessage } from '../config/messaging.js';
+import { buildJobFilters, parseSort, decodeCursor, paginateJobs, MAX_PAGE_SIZE } from '../utils/listing.js';
+import { recordAudit } from '../utils/audit.js';
+import { statusChangeFields, statusEmailText, announceStatusChange } from '../utils/jobStatus.js';
 
 export const createTicket = async (req, res) => {
   try {
-    const { category, title, description, preferredVisitAt, address, outletName, location } = req.body;
+    const { category, title, description, preferredVisitAt, address, outletName, location, assetIds } = req.body;
     const userId = req.user._id;
 
     // Basic required fields
@@ -18,6 +28,11 @@ export const createTicket = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const { assets, error: assetError } = await resolveJobAssets(assetIds, userId);
+    if (assetError) {
+      return res.status(400).json({ message: assetError });
+    }
+
     // Get image URLs from uploaded files (Cloudinary or local)
     // CloudinaryStorage returns the URL in file.path (or file.secure_url/file.url)
     // Local storage returns file.filename that needs to be prefixed with /uploads/
@@ -54,10 +69,12 @@ export const createTicket = async (req, res) => {
       preferredVisitAt: preferredVisitAt || null,
       address,
       outletName,
+      assets,
       location: {
         lat: location.lat,
         lng: location.lng
-      }
+      },
+      sla: await buildSla(category)
     });
 
     const populatedTicket = await Ticket.findById(ticket._id).populate('userId', 'name companyName email phone');
@@ -73,6 +90,10 @@ export const createTicket = async (req, res) => {
       }
     });
 
+    await notifyAdmins(populatedTicket, 'job_created', { message: preview(populatedTicket.description) });
+    setImmediate(() => sendJobMessage('job_created', 'job_confirmation', populatedTicket));
+    publishJobEvent('ticket', 'created', populatedTicket, { category: populatedTicket.category, outletName: populatedTicket.outletName });
+
     res.status(201).json(populatedTicket);
   } catch (error) {
     console.error('Create ticket error:', error);
@@ -82,27 +103,63 @@ export const createTicket = async (req, res) => {
 
 export const getTickets = async (req, res) => {
   try {
-    const userId = req.user._id;
     const role = req.user.role;
-    const { showAll = 'false' } = req.query;
+    const { showAll = 'false', cursor, limit } = req.query;
 
-    let query = {};
-    if (role !== 'admin') {
-      // Regular users only see their own tickets
-      query.userId = userId;
-    } else if (showAll === 'false') {
+    const { filter, error } = await buildJobFilters(Ticket, req.query, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const sort = parseSort(req.query.sort);
+    if (sort.error) {
+      return res.status(400).json({ message: sort.error });
+    }
+
+    let query = filter;
+    if (role === 'admin' && showAll === 'false') {
       // For admin, only show non-viewed tickets by default
-      query.$or = [
-        { viewedByAdmin: { $exists: false } },
-        { viewedByAdmin: false }
-      ];
+      query = {
+        $and: [
+          filter,
+          { $or: [{ viewedByAdmin: { $exists: false } }, { viewedByAdmin: false }] }
+        ]
+      };
     }
 
-    const tickets = await Ticket.find(query)
-      .populate('userId', 'name companyName email phone' + (role === 'admin' ? ' address location' : ''))
-      .sort({ createdAt: -1 });
+    const populate = [
+      ['userId', 'name companyName email phone' + (role === 'admin' ? ' address location' : '')],
+      ['assignedTo', 'name email phone']
+    ];
 
-    res.json(tickets);
+    // Older clients that don't ask for a page still get the plain array
+    if (cursor === undefined && limit === undefined) {
+      let finder = Ticket.find(query).sort({ [sort.field]: sort.direction, _id: sort.direction });
+      for (const args of populate) finder = finder.populate(...args);
+      return res.json(await finder);
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+    const decodedCursor = cursor ? decodeCursor(cursor, sort) : null;
+    if (cursor && !decodedCursor) {
+      return res.status(400).json({ message: 'Invalid cursor. Restart from the first page with the same sort' });
+    }
+
+    const { items, total, hasMore, nextCursor } = await paginateJobs(Ticket, {
+      filter: query,
+      sort,
+      cursor: decodedCursor,
+      limit: pageSize,
+      populate
+    });
+
+    res.json({
+      tickets: items,
+      total,
+      limit: pageSize,
+      hasMore,
+      nextCursor
+    });
   } catch (error) {
     console.error('Get tickets error:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
@@ -115,14 +172,18 @@ export const getTicketById = async (req, res) => {
     const userId = req.user._id;
     const role = req.user.role;
 
-    const ticket = await Ticket.findById(id).populate('userId', 'name companyName email phone address location');
+    const ticket = await Ticket.findById(id)
+      .populate('userId', 'name companyName email phone address location')
+      .populate('assignedTo', 'name email phone')
+      .populate('assets', 'assetTag category type label make model serialNumber warrantyExpiry status');
 
     if (!ticket) {
       return res.status(404).json({ message: 'Ticket not found' });
     }
 
-    // Check if user has access to this ticket
-    if (role !== 'admin' && ticket.userId._id.toString() !== userId.toString()) {
+    // Check if user has access to this ticket (owner, assigned technician or admin)
+    const isAssignedTechnician = role === 'technician' && ticket.assignedTo && ticket.assignedTo._id.toString() === userId.toString();
+    if (role !== 'admin' && !isAssignedTechnician && ticket.userId._id.toString() !== userId.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -136,7 +197,7 @@ export const getTicketById = async (req, res) => {
 export const updateTicket = async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, assignedVisitAt } = req.body;
+    const { status, assignedVisitAt, assignedTo } = req.body;
     const role = req.user.role;
 
     if (role !== 'admin') {
@@ -155,8 +216,9 @@ export const updateTicket = async (req, res) => {
     const updateData = {};
 
     // Only update status if it's provided and different from current status
+    // (closing or reopening also sets completedAt and the SLA status)
     if (status && status !== ticket.status) {
-      updateData.status = status;
+      Object.assign(updateData, statusChangeFields(ticket, status));
     }
 
     // Only update assignedVisitAt if it's explicitly provided in the request
@@ -171,17 +233,36 @@ export const updateTicket = async (req, res) => {
       }
     }
 
-    // Auto-set completedAt when status becomes Closed
-    if (status === 'Closed' && ticket.status !== 'Closed') {
-      updateData.completedAt = new Date();
-    } else if (status && status !== 'Closed' && ticket.status === 'Closed') {
-      // If reopening, clear the completedAt date
-      updateData.completedAt = null;
+    // Only update assignedTo if it's explicitly provided (null unassigns)
+    // and is different from the current technician
+    let newTechnician = null;
+    if (assignedTo !== undefined) {
+      const currentAssignee = ticket.assignedTo ? ticket.assignedTo.toString() : null;
+      const nextAssignee = assignedTo ? assignedTo.toString() : null;
+
+      if (currentAssignee !== nextAssignee) {
+        if (nextAssignee) {
+          if (!mongoose.Types.ObjectId.isValid(nextAssignee)) {
+            return res.status(400).json({ message: 'Invalid technician ID' });
+          }
+          newTechnician = await User.findOne({ _id: nextAssignee, role: 'technician' });
+          if (!newTechnician) {
+            return res.status(400).json({ message: 'Technician not found' });
+          }
+        }
+
+        updateData.assignedTo = nextAssignee;
+        updateData.$push = {
+          assignmentHistory: { technician: nextAssignee, assignedBy: req.user.name }
+        };
+      }
     }
 
     // If there are no changes, return the current ticket
     if (Object.keys(updateData).length === 0) {
-      const currentTicket = await Ticket.findById(id).populate('userId', 'name companyName email phone address location');
+      const currentTicket = await Ticket.findById(id)
+        .populate('userId', 'name companyName email phone address location')
+        .populate('assignedTo', 'name email phone');
       return res.json(currentTicket);
     }
 
@@ -190,12 +271,44 @@ export const updateTicket = async (req, res) => {
       { _id: id },
       updateData,
       { new: true, timestamps: false }
-    ).populate('userId', 'name companyName email phone address location');
+    )
+      .populate('userId', 'name companyName email phone address location')
+      .populate('assignedTo', 'name email phone');
 
     if (!updatedTicket) {
       return res.status(404).json({ message: 'Ticket not found after update' });
     }
 
+    if (updateData.status) {
+      await announceStatusChange(req, updatedTicket, oldStatus);
+    }
+    if (updateData.assignedVisitAt) {
+      await recordAudit(req, 'ticket.visit_scheduled', {
+        target: updatedTicket,
+        before: { assignedVisitAt: oldVisitAt || null },
+        after: { assignedVisitAt: updatedTicket.assignedVisitAt }
+      });
+    }
+    if (updateData.assignedTo !== undefined) {
+      await recordAudit(req, 'ticket.assigned', {
+        target: updatedTicket,
+        before: { assignedTo: ticket.assignedTo || null },
+        after: { assignedTo: updateData.assignedTo }
+      });
+    }
+
+    // Notify the newly assigned technician (in background)
+    if (newTechnician) {
+      setImmediate(async () => {
+        try {
+          await sendJobAssignmentNotification(updatedTicket, newTechnician, updatedTicket.userId);
+        } catch (emailError) {
+          console.error('Email sending failed:', emailError);
+          // Don't fail the request if email fails
+        }
+      });
+    }
+
     // Send email notification if visit time was set or status changed (in background)
     if (updatedTicket.userId && (assignedVisitAt || (status && status !== oldStatus))) {
       setImmediate(async () => {
@@ -207,19 +320,15 @@ export const updateTicket = async (req, res) => {
           }
 
           if (status && status !== oldStatus) {
-            if (status === 'Closed') {
-              replyMessage += `Your ticket has been closed as the service is completed.\n\n`;
-              replyMessage += `Thank you for using our service. If you have any further issues, please create a new ticket.\n\n`;
-            } else {
-              replyMessage += `Your ticket status has been updated to: ${status}.\n\n`;
-            }
+            replyMessage += statusEmailText(updatedTicket, status);
           }
 
           if (replyMessage) {
             if (status !== 'Closed') {
               replyMessage += `Please check your dashboard for more details.`;
             }
-            await sendAdminReplyNotification(updatedTicket, updatedTicket.userId, replyMessage, assignedVisitAt || null, status === 'Closed');
+            const event = status && status !== oldStatus ? 'status_changed' : 'visit_scheduled';
+            await sendAdminReplyNotification(updatedTicket, updatedTicket.userId, replyMessage, assignedVisitAt || null, status === 'Closed', event);
           }
         } catch (emailError) {
           console.error('Email sending failed:', emailError);
@@ -228,6 +337,12 @@ export const updateTicket = async (req, res) => {
       });
     }
 
+    if (assignedVisitAt && (!oldVisitAt || new Date(assignedVisitAt).getTime() !== new Date(oldVisitAt).getTime())) {
+      const visitText = new Date(assignedVisitAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Kolkata' });
+      await notifyCustomer(updatedTicket, 'visit_scheduled', { message: `Visit scheduled for ${visitText}` });
+      setImmediate(() => sendJobMessage('visit_scheduled', 'visit_scheduled', updatedTicket, { visitTime: visitText }));
+    }
+
     res.json(updatedTicket);
   } catch (error) {
     console.error('Update ticket error:', error);
@@ -282,6 +397,11 @@ export const addComment = async (req, res) => {
       }
     }
 
+    // The first admin reply stops the first-response SLA clock
+    if (role === 'admin' && ticket.sla && ticket.sla.resolutionDueAt && !ticket.sla.firstResponseAt) {
+      ticket.sla.firstResponseAt = new Date();
+    }
+
     ticket.timeline.push({
       note,
       images: images.length > 0 ? images : undefined,
@@ -308,6 +428,23 @@ export const addComment = async (req, res) => {
       });
     }
 
+    const comment = updatedTicket.timeline[updatedTicket.timeline.length - 1];
+    const commentDetails = { message: preview(note), timelineEntryId: comment._id };
+    if (role === 'admin') {
+      await notifyCustomer(updatedTicket, 'admin_reply', commentDetails);
+      setImmediate(() => sendJobMessage('admin_reply', 'admin_reply', updatedTicket, { message: note }));
+    } else {
+      await notifyAdmins(updatedTicket, 'customer_reply', commentDetails);
+    }
+    publishJobEvent('ticket', 'comment_added', updatedTicket, {
+      timelineEntryId: comment._id,
+      note: comment.note,
+      addedBy: comment.addedBy,
+      addedByRole: role,
+      addedAt: comment.addedAt,
+      totalPrice: comment.totalPrice
+    });
+
     res.json(updatedTicket);
   } catch (error) {
     console.error('Add comment error:', error);
@@ -315,6 +452,18 @@ export const addComment = async (req, res) => {
   }
 };
 
+// Assign or reassign a ticket to a technician (admin only)
+export const assignTicket = async (req, res) => {
+  const { technicianId } = req.body;
+
+  if (technicianId === undefined) {
+    return res.status(400).json({ message: 'Please provide a technicianId (or null to unassign)' });
+  }
+
+  req.body = { assignedTo: technicianId };
+  return updateTicket(req, res);
+};
+
 // Delete ticket (admin or owner)
 export const deleteTicket = async (req, res) => {
   try {
@@ -333,6 +482,11 @@ export const deleteTicket = async (req, res) => {
     }
 
     await Ticket.findByIdAndDelete(id);
+    await Notification.deleteMany({ jobId: id });
+    await recordAudit(req, 'ticket.deleted', {
+      target: ticket,
+      before: { title: ticket.title, status: ticket.status, userId: ticket.userId, category: ticket.category }
+    });
 
     res.json({ message: 'Ticket deleted successfully' });
   } catch (error) {
@@ -363,44 +517,3 @@ export const markTicketsAsViewed = async (req, res) => {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
-
-export const markReplyAsSeen = async (req, res) => {
-  try {
-    const { ticketId, timelineIndex } = req.params;
-    const userId = req.user._id;
-
-    const ticket = await Ticket.findById(ticketId);
-    if (!ticket) {
-      return res.status(404).json({ message: 'Ticket not found' });
-    }
-
-    // Check if user has access to this ticket
-    if (ticket.userId.toString() !== userId.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
-    const timelineItem = ticket.timeline[timelineIndex];
-    if (!timelineItem) {
-      return res.status(404).json({ message: 'Timeline item not found' });
-    }
-
-    // Check if already seen
-    if (!timelineItem.seenBy) {
-      timelineItem.seenBy = [];
-    }
-
-    if (!timelineItem.seenBy.includes(userId)) {
-      timelineItem.seenBy.push(userId);
-      await ticket.save();
-    }
-
-    const updatedTicket = await Ticket.findById(ticketId).populate('userId', 'name companyName email phone');
-    res.json(updatedTicket);
-  } catch (error) {
-    console.error('Mark reply as seen error:', error);
-    res.status(500).json({ message: 'Server error', error: error.message });
-  }
-};
-
-
-
@@ -1,6 +1,17 @@
-import User from '../models/User.js';
+import User, { USER_ROLES } from '../models/User.js';
 import Ticket from '../models/Ticket.js';
 import ServiceRequest from '../models/ServiceRequest.js';
+import Asset from '../models/Asset.js';
+import Notification from '../models/Notification.js';
+import Message from '../models/Message.js';
+import InboundEmail from '../models/InboundEmail.js';
+import Invoice from '../models/Invoice.js';
+import Amc from '../models/Amc.js';
+import Quote from '../models/Quote.js';
+import { revokeAllSessions } from '../utils/tokens.js';
+import { accountThrottleKeys, clearThrottle } from '../utils/authThrottle.js';
+import { getCustomerBalance } from '../utils/ledger.js';
+import { recordAudit } from '../utils/audit.js';
 
 // Get all users (admin only)
 export const getAllUsers = async (req, res) => {
@@ -11,7 +22,16 @@ export const getAllUsers = async (req, res) => {
       return res.status(403).json({ message: 'Admin access required' });
     }
 
-    const users = await User.find({})
+    // Optional role filter (e.g. ?role=technician for the assignment picker).
+    // Admin accounts are managed through /api/admins and are hidden by default.
+    if (req.query.role && !USER_ROLES.includes(req.query.role)) {
+      return res.status(400).json({ message: `role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+    const query = req.query.role
+      ? { role: req.query.role }
+      : { role: { $ne: 'admin' } };
+
+    const users = await User.find(query)
       .select('-passwordHash')
       .sort({ createdAt: -1 });
 
@@ -49,12 +69,16 @@ export const getUserById = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Get user tickets count
-    const ticketCount = await Ticket.countDocuments({ userId: user._id });
+    // Get user tickets count and outstanding balance
+    const [ticketCount, balance] = await Promise.all([
+      Ticket.countDocuments({ userId: user._id }),
+      getCustomerBalance(user._id)
+    ]);
 
     res.json({
       ...user.toObject(),
-      ticketCount
+      ticketCount,
+      balance
     });
   } catch (error) {
     console.error('Get user by ID error:', error);
@@ -62,6 +86,66 @@ export const getUserById = async (req, res) => {
   }
 };
 
+// Create technician account (admin only)
+export const createTechnician = async (req, res) => {
+  try {
+    const { name, phone, email, password } = req.body;
+
+    if (!name || !phone || !email || !password) {
+      return res.status(400).json({ message: 'Please provide name, phone, email and password' });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    }
+
+    const existingEmail = await User.findOne({ email: email.toLowerCase() });
+    if (existingEmail) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    const existingPhone = await User.findOne({ phone: phone.trim() });
+    if (existingPhone) {
+      return res.status(400).json({ message: 'User already exists with this phone number' });
+    }
+
+    const technician = await User.create({
+      name,
+      companyName: 'AK SecureTech Ltd',
+      phone: phone.trim(),
+      email: email.toLowerCase(),
+      passwordHash: password,
+      role: 'technician'
+    });
+
+    const created = await User.findById(technician._id).select('-passwordHash');
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Create technician error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// Unlock an account locked by failed login attempts (admin only)
+export const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await clearThrottle(accountThrottleKeys(user));
+    await recordAudit(req, 'user.unlocked', { target: user });
+
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // Delete user (admin only)
 export const deleteUser = async (req, res) => {
   try {
@@ -83,14 +167,56 @@ export const deleteUser = async (req, res) => {
       return res.status(403).json({ message: 'Cannot delete admin users' });
     }
 
+    // Invoices (and their payments) are accounting records, and an active AMC would keep
+    // scheduling visits for a customer who no longer exists
+    const [hasInvoices, hasActiveAmc] = await Promise.all([
+      Invoice.exists({ userId: id }),
+      Amc.exists({ userId: id, status: 'Active' })
+    ]);
+    if (hasInvoices || hasActiveAmc) {
+      return res.status(409).json({
+        message: hasInvoices
+          ? 'This customer has invoices and cannot be deleted'
+          : 'This customer has an active AMC. Cancel it before deleting the customer'
+      });
+    }
+
+    // Delete notifications, WhatsApp / SMS messages and inbound email logs for the user and for their jobs
+    const [ticketIds, requestIds] = await Promise.all([
+      Ticket.find({ userId: id }).distinct('_id'),
+      ServiceRequest.find({ userId: id }).distinct('_id')
+    ]);
+    await Notification.deleteMany({ $or: [{ recipient: id }, { jobId: { $in: [...ticketIds, ...requestIds] } }] });
+    await Message.deleteMany({ recipient: id });
+    await InboundEmail.deleteMany({ $or: [{ sender: id }, { jobId: { $in: [...ticketIds, ...requestIds] } }] });
+
     // Delete all tickets associated with this user
     await Ticket.deleteMany({ userId: id });
 
     // Delete all service requests associated with this user
     await ServiceRequest.deleteMany({ userId: id });
 
-    // Delete the user
+    // Delete the user's registered equipment
+    await Asset.deleteMany({ userId: id });
+
+    // Delete their quotes and past (expired, cancelled or renewed) AMCs
+    await Quote.deleteMany({ userId: id });
+    await Amc.deleteMany({ userId: id });
+
+    // Unassign any jobs held by a deleted technician
+    if (user.role === 'technician') {
+      await Ticket.updateMany({ assignedTo: id }, { $set: { assignedTo: null } });
+      await ServiceRequest.updateMany({ assignedTo: id }, { $set: { assignedTo: null } });
+    }
+
+    // End any live sessions, then delete the user
+    await revokeAllSessions(id);
     await User.findByIdAndDelete(id);
+    await recordAudit(req, 'user.deleted', {
+      target: user,
+      before: { name: user.name, email: user.email, companyName: user.companyName, phone: user.phone, role: user.role },
+      details: { tickets: ticketIds.length, serviceRequests: requestIds.length }
+    });
 
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
@@ -0,0 +1,139 @@
+import Amc from '../models/Amc.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import User from '../models/User.js';
+import { buildSla } from '../utils/sla.js';
+import { getNextVisitDate, getRenewalCutoff } from '../utils/amc.js';
+import { sendNewServiceRequestNotification, sendAmcRenewalNotification } from '../config/email.js';
+import { notifyAdmins } from '../utils/notifications.js';
+
+// Raise one preventive service request per outlet and covered category for a due visit.
+// Each visit is recorded on the contract as soon as its request exists, so a failure part
+// way through doesn't lose the requests already raised.
+const createPreventiveVisits = async (contract, user, dueDate) => {
+  for (const outlet of contract.outlets) {
+    for (const category of contract.categories) {
+      const serviceRequest = await ServiceRequest.create({
+        userId: contract.userId,
+        category,
+        title: `Preventive maintenance - ${category} (${contract.contractNumber})`,
+        description: `Scheduled ${contract.visitFrequency.toLowerCase()} preventive maintenance visit under ${contract.contractNumber} for ${outlet.outletName}.`,
+        preferredVisitAt: dueDate,
+        address: outlet.address,
+        outletName: outlet.outletName,
+        location: {
+          lat: outlet.location.lat,
+          lng: outlet.location.lng
+        },
+        amcId: contract._id,
+        isPreventive: true,
+        sla: await buildSla(category)
+      });
+
+      await Amc.updateOne(
+        { _id: contract._id },
+        { $push: { visits: { dueDate, outletName: outlet.outletName, category, serviceRequest: serviceRequest._id } } }
+      );
+      await notifyAdmins(serviceRequest, 'job_created', { message: serviceRequest.description });
+
+      try {
+        await sendNewServiceRequestNotification(serviceRequest, user);
+      } catch (emailError) {
+        console.error('Email sending failed:', emailError);
+      }
+    }
+  }
+};
+
+const scheduleDueVisits = async (now) => {
+  const contracts = await Amc.find({
+    status: 'Active',
+    nextVisitDue: { $ne: null, $lte: now }
+  });
+
+  for (const contract of contracts) {
+    const dueDate = contract.nextVisitDue;
+
+    try {
+      // A contract whose customer no longer exists is cancelled rather than advanced forever
+      const user = await User.findById(contract.userId);
+      if (!user) {
+        await Amc.updateOne(
+          { _id: contract._id, status: 'Active' },
+          { $set: { status: 'Cancelled', nextVisitDue: null, cancelledAt: now, cancellationReason: 'Customer account no longer exists' } }
+        );
+        console.warn(`AMC ${contract.contractNumber} cancelled: customer account no longer exists`);
+        continue;
+      }
+
+      // Visits missed while the scheduler was down collapse into this one instead of piling up
+      const next = getNextVisitDate(contract, now);
+
+      // Claim the visit by moving nextVisitDue forward first, so overlapping runs can't double-book
+      const claimed = await Amc.findOneAndUpdate(
+        { _id: contract._id, status: 'Active', nextVisitDue: dueDate },
+        { $set: { nextVisitDue: next } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      await createPreventiveVisits(claimed, user, dueDate);
+    } catch (error) {
+      console.error(`AMC visit scheduling failed for ${contract.contractNumber}:`, error);
+    }
+  }
+};
+
+const flagRenewals = async (now) => {
+  const contracts = await Amc.find({
+    status: 'Active',
+    endDate: { $gte: now, $lte: getRenewalCutoff(now) },
+    renewalFlaggedAt: { $exists: false },
+    renewedTo: { $exists: false }
+  }).populate('userId', 'name companyName email phone');
+
+  for (const contract of contracts) {
+    await Amc.updateOne({ _id: contract._id }, { $set: { renewalFlaggedAt: now } });
+
+    try {
+      await sendAmcRenewalNotification(contract, contract.userId);
+    } catch (emailError) {
+      console.error('AMC renewal email failed:', emailError);
+    }
+  }
+};
+
+export const runAmcCheck = async (now = new Date()) => {
+  await scheduleDueVisits(now);
+  await flagRenewals(now);
+
+  // Contracts past their term stop scheduling visits
+  await Amc.updateMany(
+    { status: 'Active', endDate: { $lt: now }, renewedTo: { $exists: true } },
+    { $set: { status: 'Renewed', nextVisitDue: null } }
+  );
+  await Amc.updateMany(
+    { status: 'Active', endDate: { $lt: now } },
+    { $set: { status: 'Expired', nextVisitDue: null } }
+  );
+};
+
+// Start the background AMC scheduler (interval configurable via AMC_CHECK_INTERVAL_MINUTES)
+export const startAmcScheduler = () => {
+  const minutes = parseInt(process.env.AMC_CHECK_INTERVAL_MINUTES) || 60;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runAmcCheck();
+    } catch (error) {
+      console.error('AMC check failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log(`📅 AMC scheduler running every ${minutes} minute(s)`);
+  return setInterval(tick, minutes * 60 * 1000);
+};
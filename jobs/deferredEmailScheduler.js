@@ -0,0 +1,85 @@
+import DeferredEmail from '../models/DeferredEmail.js';
+import { sendNotificationDigest } from '../config/email.js';
+import { queueEmail } from '../utils/outbox.js';
+import { sendDueMessages } from '../config/messaging.js';
+
+const MAX_ATTEMPTS = 5;
+
+const markSent = (ids, now) => DeferredEmail.updateMany(
+  { _id: { $in: ids } },
+  { $set: { status: 'Sent', sentAt: now }, $inc: { attempts: 1 } }
+);
+
+// Failed sends stay Pending for the next run until they run out of attempts
+const markFailed = async (emails, error) => {
+  for (const email of emails) {
+    const attempts = email.attempts + 1;
+    await DeferredEmail.updateOne(
+      { _id: email._id },
+      { $set: { attempts, lastError: error.message, status: attempts >= MAX_ATTEMPTS ? 'Failed' : 'Pending' } }
+    );
+  }
+};
+
+// Hand quiet-hours emails whose window has ended, and digests that are due (one email per
+// recipient), to the outbox
+export const runDeferredEmails = async (now = new Date()) => {
+  const due = await DeferredEmail.find({ status: 'Pending', sendAfter: { $lte: now } }).sort({ createdAt: 1 });
+
+  const digests = new Map();
+  for (const email of due) {
+    if (email.reason === 'digest') {
+      if (!digests.has(email.to)) digests.set(email.to, []);
+      digests.get(email.to).push(email);
+      continue;
+    }
+
+    try {
+      await queueEmail({
+        to: email.to,
+        subject: email.subject,
+        html: email.html,
+        attachments: email.attachments.length > 0 ? email.attachments : undefined,
+        event: email.event,
+        replyTo: email.replyTo
+      });
+      await markSent([email._id], now);
+    } catch (error) {
+      console.error('Deferred email failed:', error);
+      await markFailed([email], error);
+    }
+  }
+
+  for (const [to, emails] of digests) {
+    try {
+      await sendNotificationDigest(to, emails);
+      await markSent(emails.map(email => email._id), now);
+    } catch (error) {
+      console.error('Digest email failed:', error);
+      await markFailed(emails, error);
+    }
+  }
+};
+
+// Start the sender for emails and WhatsApp / SMS messages held back by preferences
+// (interval configurable via DEFERRED_EMAIL_INTERVAL_MINUTES)
+export const startDeferredEmailScheduler = () => {
+  const minutes = parseInt(process.env.DEFERRED_EMAIL_INTERVAL_MINUTES) || 5;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDeferredEmails();
+      await sendDueMessages();
+    } catch (error) {
+      console.error('Deferred email run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log(`✉️ Deferred email scheduler running every ${minutes} minute(s)`);
+  return setInterval(tick, minutes * 60 * 1000);
+};
@@ -0,0 +1,93 @@
+import Outbox, { REDACTED_HTML } from '../models/Outbox.js';
+import { sendEmail } from '../config/email.js';
+import { outboxEvents, retryDelayMs } from '../utils/outbox.js';
+import { ACCOUNT_EVENT } from '../utils/preferences.js';
+
+const BATCH_SIZE = 50;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const ATTEMPT_LOG_LIMIT = 20;
+
+// Atomically claim the next due email (or one whose sender died mid-send) so no two
+// workers send the same message
+const claimNext = (now) => Outbox.findOneAndUpdate(
+  {
+    $or: [
+      { status: { $in: ['pending', 'retrying'] }, nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+    ]
+  },
+  { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+const deliver = async (email, send, now) => {
+  try {
+    const attachments = email.attachments.map(({ filename, content, contentType }) => ({ filename, content, contentType }));
+    const info = await send(email.to, email.subject, email.html, attachments.length > 0 ? attachments : undefined, email.replyTo);
+
+    const sent = { status: 'sent', sentAt: new Date(), providerMessageId: info?.messageId, lastError: null };
+    if (email.event === ACCOUNT_EVENT) sent.html = REDACTED_HTML;
+
+    await Outbox.updateOne({ _id: email._id }, { $set: sent, $unset: { lockedAt: 1 } });
+  } catch (error) {
+    const isDead = email.attempts >= email.maxAttempts;
+
+    await Outbox.updateOne({ _id: email._id }, {
+      $set: {
+        status: isDead ? 'dead' : 'retrying',
+        lastError: error.message,
+        nextAttemptAt: isDead ? null : new Date(now.getTime() + retryDelayMs(email.attempts))
+      },
+      $unset: { lockedAt: 1 },
+      $push: { attemptLog: { $each: [{ at: new Date(), error: error.message }], $slice: -ATTEMPT_LOG_LIMIT } }
+    });
+
+    if (isDead) {
+      console.error(`Email to ${email.to} moved to dead letter after ${email.attempts} attempt(s): ${error.message}`);
+    }
+  }
+};
+
+// Send due emails one at a time, up to BATCH_SIZE per run. `send` defaults to SMTP; tests
+// pass a stub transport.
+export const processOutbox = async (now = new Date(), send = sendEmail) => {
+  let processed = 0;
+  while (processed < BATCH_SIZE) {
+    const email = await claimNext(now);
+    if (!email) break;
+    await deliver(email, send, now);
+    processed += 1;
+  }
+  return processed;
+};
+
+// Start the outbox worker: polls every OUTBOX_POLL_SECONDS (default 30) and also runs
+// straight away whenever an email is queued
+export const startOutboxWorker = () => {
+  const seconds = parseInt(process.env.OUTBOX_POLL_SECONDS) || 30;
+  let running = false;
+  let rerun = false;
+
+  const tick = async () => {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        rerun = false;
+        await processOutbox();
+      } while (rerun);
+    } catch (error) {
+      console.error('Outbox run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  outboxEvents.on('queued', () => setImmediate(tick));
+
+  console.log(`📤 Outbox worker polling every ${seconds} second(s)`);
+  return setInterval(tick, seconds * 1000);
+};
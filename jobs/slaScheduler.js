@@ -0,0 +1,77 @@
+import Ticket from '../models/Ticket.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import Settings from '../models/Settings.js';
+import { evaluateSlaStatus } from '../utils/sla.js';
+import { sendSlaEscalationNotification } from '../config/email.js';
+
+const OPEN_STATUSES = ['New', 'In Progress'];
+
+// Re-evaluate the SLA of every open item in a collection and escalate new breaches / risks
+const checkCollection = async (Model, atRiskPercent, now) => {
+  const jobs = await Model.find({
+    status: { $in: OPEN_STATUSES },
+    'sla.resolutionDueAt': { $exists: true },
+    'sla.status': { $ne: 'Met' }
+  });
+
+  for (const job of jobs) {
+    const nextStatus = evaluateSlaStatus(job, atRiskPercent, now);
+    if (!nextStatus) continue;
+
+    const update = {};
+    if (nextStatus !== job.sla.status) {
+      update['sla.status'] = nextStatus;
+    }
+
+    const shouldEscalate =
+      (nextStatus === 'Breached' && !job.sla.breachNotifiedAt) ||
+      (nextStatus === 'At Risk' && !job.sla.atRiskNotifiedAt);
+
+    if (shouldEscalate) {
+      update[nextStatus === 'Breached' ? 'sla.breachNotifiedAt' : 'sla.atRiskNotifiedAt'] = now;
+    }
+
+    if (Object.keys(update).length === 0) continue;
+
+    // timestamps: false so SLA bookkeeping doesn't look like a user update
+    await Model.updateOne({ _id: job._id }, { $set: update }, { timestamps: false });
+
+    if (shouldEscalate) {
+      try {
+        job.sla.status = nextStatus;
+        await sendSlaEscalationNotification(job, nextStatus);
+      } catch (emailError) {
+        console.error('SLA escalation email failed:', emailError);
+      }
+    }
+  }
+};
+
+export const runSlaCheck = async (now = new Date()) => {
+  const settings = await Settings.findOne();
+  const atRiskPercent = settings?.slaAtRiskPercent ?? 75;
+
+  await checkCollection(Ticket, atRiskPercent, now);
+  await checkCollection(ServiceRequest, atRiskPercent, now);
+};
+
+// Start the background SLA checker (interval configurable via SLA_CHECK_INTERVAL_MINUTES)
+export const startSlaScheduler = () => {
+  const minutes = parseInt(process.env.SLA_CHECK_INTERVAL_MINUTES) || 5;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runSlaCheck();
+    } catch (error) {
+      console.error('SLA check failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  console.log(`⏱️ SLA scheduler running every ${minutes} minute(s)`);
+  return setInterval(tick, minutes * 60 * 1000);
+};
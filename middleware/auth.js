@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isSessionActive, verifyChallengeToken } from '../utils/tokens.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -16,26 +17,31 @@ export const protect = async (req, res, next) => {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
-      // Handle transient admin sessions (not in DB)
-      if (typeof decoded.id === 'string' && decoded.id.startsWith('admin-session-')) {
-        const hexUsername = decoded.id.replace('admin-session-', '');
-        const username = Buffer.from(hexUsername, 'hex').toString();
-        
-        req.user = {
-          _id: decoded.id,
-          name: `Admin ${username}`,
-          email: `admin-${username}@system.local`,
-          role: 'admin',
-          companyName: 'System Admin'
-        };
-        return next();
-      }
-
       req.user = await User.findById(decoded.id).select('-passwordHash');
       
       if (!req.user) {
         return res.status(401).json({ message: 'User not found' });
       }
+
+      if (req.user.isActive === false) {
+        return res.status(401).json({ message: 'Account disabled' });
+      }
+
+      // Reject tokens issued before the last password change or "log out everywhere"
+      const revokedBefore = Math.max(
+        req.user.passwordChangedAt ? req.user.passwordChangedAt.getTime() : 0,
+        req.user.tokensRevokedAt ? req.user.tokensRevokedAt.getTime() : 0
+      );
+      if (decoded.iat < Math.floor(revokedBefore / 1000)) {
+        return res.status(401).json({ message: 'Token has been revoked' });
+      }
+
+      // Reject tokens whose session has been logged out
+      if (!decoded.fam || !(await isSessionActive(decoded.fam))) {
+        return res.status(401).json({ message: 'Session has been revoked' });
+      }
+
+      req.tokenFamily = decoded.fam;
       
       next();
     } catch (error) {
@@ -46,6 +52,52 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// EventSource can't send headers, so the event stream also accepts the access token as ?token=
+export const protectStream = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  req.streamToken = req.headers.authorization ? req.headers.authorization.split(' ')[1] : undefined;
+  return protect(req, res, next);
+};
+
+// 2FA enrolment accepts either a normal session or the '2fa-setup' challenge
+// token handed to admins who must enrol before their first login completes
+export const protectTwoFactorSetup = async (req, res, next) => {
+  const { challengeToken } = req.body || {};
+  if (!challengeToken) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const userId = verifyChallengeToken(challengeToken, '2fa-setup');
+    if (!userId) {
+      return res.status(401).json({ message: 'Setup session expired. Please sign in again.' });
+    }
+
+    req.user = await User.findById(userId).select('-passwordHash');
+    if (!req.user || req.user.isActive === false) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (error) {
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Self-registered customers must confirm their email before raising jobs
+export const requireVerifiedEmail = (req, res, next) => {
+  if (req.user && req.user.emailVerified === false) {
+    return res.status(403).json({
+      message: 'Please verify your email address to continue',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
 export const adminOnly = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
     next();
@@ -54,5 +106,10 @@ export const adminOnly = (req, res, next) => {
   }
 };
 
-
-
+export const technicianOnly = (req, res, next) => {
+  if (req.user && req.user.role === 'technician') {
+    next();
+  } else {
+    res.status(403).json({ message: 'Technician access required' });
+  }
+};
@@ -0,0 +1,19 @@
+import { consumeRateLimit } from '../utils/authThrottle.js';
+
+// Per-IP fixed-window limit for unauthenticated endpoints (password reset, availability checks)
+export const rateLimit = ({ scope, max, windowMinutes }) => async (req, res, next) => {
+  try {
+    const retryAfter = await consumeRateLimit(`${scope}:${req.ip}`, max, windowMinutes);
+
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many requests. Please try again later.', retryAfter });
+    }
+
+    next();
+  } catch (error) {
+    // Fail closed: an unavailable limiter must not turn the limit off
+    console.error('Rate limit error:', error);
+    res.status(503).json({ message: 'Service temporarily unavailable. Please try again later.' });
+  }
+};
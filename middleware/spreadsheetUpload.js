@@ -0,0 +1,28 @@
+import path from 'path';
+import multer from 'multer';
+
+// CSV / XLSX uploads for bulk imports are parsed in memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (extension === '.csv' || extension === '.xlsx') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv and .xlsx files are allowed'), false);
+    }
+  }
+});
+
+// Single spreadsheet in the "file" field; upload problems become 400s instead of the default error page
+export const spreadsheetUpload = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
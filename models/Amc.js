@@ -0,0 +1,173 @@
+import mongoose from 'mongoose';
+import { VISIT_FREQUENCIES } from '../utils/amc.js';
+
+const CATEGORIES = ['CCTV', 'Fire Alarm', 'Security Alarm', 'Intruder Alarm', 'Electrical', 'Plumbing', 'Air Conditioning'];
+
+// Snapshot of a customer outlet so later profile edits don't move scheduled visits
+const amcOutletSchema = new mongoose.Schema({
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  outletName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  location: {
+    lat: {
+      type: Number,
+      required: true
+    },
+    lng: {
+      type: Number,
+      required: true
+    }
+  }
+}, { _id: false });
+
+const amcSchema = new mongoose.Schema({
+  contractNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  outlets: {
+    type: [amcOutletSchema],
+    validate: [value => value.length > 0, 'At least one outlet is required']
+  },
+  categories: {
+    type: [{
+      type: String,
+      enum: CATEGORIES
+    }],
+    validate: [value => value.length > 0, 'At least one category is required']
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  visitFrequency: {
+    type: String,
+    enum: Object.keys(VISIT_FREQUENCIES),
+    required: true
+  },
+  // Anchor for the visit cadence
+  firstVisitAt: {
+    type: Date,
+    required: true
+  },
+  // Due date of the next preventive visit; null once the term has no visits left
+  nextVisitDue: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Expired', 'Cancelled', 'Renewed'],
+    default: 'Active'
+  },
+  contractValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  visits: [{
+    dueDate: {
+      type: Date,
+      required: true
+    },
+    outletName: {
+      type: String,
+      required: true
+    },
+    category: {
+      type: String,
+      enum: CATEGORIES,
+      required: true
+    },
+    serviceRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceRequest'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  renewalFlaggedAt: {
+    type: Date
+  },
+  renewedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Amc'
+  },
+  renewedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Amc'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+amcSchema.index({ status: 1, nextVisitDue: 1 });
+amcSchema.index({ status: 1, endDate: 1 });
+
+amcSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    return next(new Error('endDate must be after startDate'));
+  }
+  next();
+});
+
+// Auto-generate human readable contract numbers
+amcSchema.pre('validate', async function (next) {
+  if (!this.isNew || this.contractNumber) return next();
+
+  try {
+    const lastContract = await this.constructor
+      .findOne({}, { contractNumber: 1 })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const lastSeq = lastContract?.contractNumber
+      ? parseInt(lastContract.contractNumber.replace(/\D/g, ''), 10)
+      : 0;
+
+    const nextSeq = Number.isFinite(lastSeq) ? lastSeq + 1 : 1;
+    this.contractNumber = `AMC-${String(nextSeq).padStart(6, '0')}`;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default mongoose.model('Amc', amcSchema);
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+const assetSchema = new mongoose.Schema({
+  assetTag: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Outlet entry on the customer's profile, plus a snapshot of its name
+  // (profile edits replace the outlets array, so the id alone isn't stable)
+  outletId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  outletName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    enum: ['CCTV', 'Fire Alarm', 'Security Alarm', 'Intruder Alarm', 'Electrical', 'Plumbing', 'Air Conditioning'],
+    required: true
+  },
+  // e.g. Camera, NVR, Fire Alarm Panel, Smoke Detector
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Where the asset sits at the outlet, e.g. "Camera 4 - rear entrance"
+  label: {
+    type: String,
+    trim: true
+  },
+  make: {
+    type: String,
+    trim: true
+  },
+  model: {
+    type: String,
+    trim: true
+  },
+  serialNumber: {
+    type: String,
+    trim: true
+  },
+  installDate: {
+    type: Date
+  },
+  warrantyExpiry: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Retired'],
+    default: 'Active'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+assetSchema.index({ userId: 1, outletName: 1 });
+assetSchema.index({ serialNumber: 1, make: 1 }, { unique: true, partialFilterExpression: { serialNumber: { $type: 'string' } } });
+
+assetSchema.virtual('warrantyStatus').get(function () {
+  if (!this.warrantyExpiry) return 'Unknown';
+  return this.warrantyExpiry >= new Date() ? 'In Warranty' : 'Expired';
+});
+
+assetSchema.set('toJSON', { virtuals: true });
+assetSchema.set('toObject', { virtuals: true });
+
+// Auto-generate human readable asset tags
+assetSchema.pre('validate', async function (next) {
+  if (!this.isNew || this.assetTag) return next();
+
+  try {
+    const lastAsset = await this.constructor
+      .findOne({}, { assetTag: 1 })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const lastSeq = lastAsset?.assetTag
+      ? parseInt(lastAsset.assetTag.replace(/\D/g, ''), 10)
+      : 0;
+
+    const nextSeq = Number.isFinite(lastSeq) ? lastSeq + 1 : 1;
+    this.assetTag = `AST-${String(nextSeq).padStart(6, '0')}`;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default mongoose.model('Asset', assetSchema);
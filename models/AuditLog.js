@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = [
+  'auth.login',
+  'auth.login_failed',
+  'auth.password_reset_requested',
+  'auth.password_reset',
+  'ticket.status_changed',
+  'ticket.visit_scheduled',
+  'ticket.assigned',
+  'ticket.deleted',
+  'service_request.status_changed',
+  'service_request.visit_scheduled',
+  'service_request.assigned',
+  'service_request.deleted',
+  'user.unlocked',
+  'user.deleted',
+  'admin.updated',
+  'admin.status_changed',
+  'admin.deleted',
+  'asset.deleted',
+  'invoice.deleted',
+  'settings.updated',
+  'email_template.updated',
+  'email_template.reset'
+];
+
+// Who did what to which record, and from where. Entries are append-only: the hooks below
+// refuse updates and deletes, and the actor's name / email are copied so an entry still
+// reads correctly after the account is removed.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorName: String,
+  actorEmail: String,
+  actorRole: String,
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  targetModel: String,
+  targetId: mongoose.Schema.Types.ObjectId,
+  // TKT- / SRV- id, email or other human readable name of the target
+  targetLabel: String,
+  // Only the fields that changed
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  // Anything else worth keeping, e.g. why a login failed
+  details: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+const appendOnly = function (next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  appendOnly
+);
+
+export default mongoose.model('AuditLog', auditLogSchema);
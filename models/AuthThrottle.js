@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// Attempt counters for login / password-reset throttling, keyed by
+// scope + subject, e.g. "ip:203.0.113.7" or "account:jane@example.com".
+const authThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  windowStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop stale counters automatically
+authThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AuthThrottle', authThrottleSchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Named sequence counters (e.g. "invoice:2026-27") incremented atomically
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Numbers handed back by release(), reused before the sequence moves on
+  released: [Number]
+});
+
+counterSchema.statics.next = async function (key) {
+  // Returns the document as it was, so released[0] is the number just popped
+  const reused = await this.findOneAndUpdate(
+    { key, 'released.0': { $exists: true } },
+    { $pop: { released: -1 } }
+  );
+  if (reused) return reused.released[0];
+
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Hand back a number whose document could not be saved, so the series stays gap-free
+counterSchema.statics.release = function (key, seq) {
+  return this.updateOne({ key }, { $push: { released: { $each: [seq], $sort: 1 } } });
+};
+
+export default mongoose.model('Counter', counterSchema);
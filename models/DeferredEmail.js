@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Notification emails held back by the recipient's quiet hours or daily digest preference
+const deferredEmailSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  replyTo: String,
+  event: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['quiet_hours', 'digest'],
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  attachments: [{
+    filename: String,
+    content: Buffer,
+    contentType: String
+  }],
+  sendAfter: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Sent', 'Failed'],
+    default: 'Pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+deferredEmailSchema.index({ status: 1, sendAfter: 1 });
+
+export default mongoose.model('DeferredEmail', deferredEmailSchema);
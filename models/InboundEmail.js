@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+export const INBOUND_EMAIL_STATUSES = ['appended', 'created', 'ignored', 'rejected'];
+
+// Log of emails received at the inbound endpoint and what became of them. The Message-ID
+// makes redelivered emails (relay or webhook retries) a no-op.
+const inboundEmailSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  from: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  subject: String,
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: INBOUND_EMAIL_STATUSES,
+    required: true
+  },
+  // Why an email was ignored or rejected
+  reason: String,
+  matchedBy: {
+    type: String,
+    enum: ['reply_address', 'subject', null]
+  },
+  jobModel: {
+    type: String,
+    enum: ['Ticket', 'ServiceRequest']
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'jobModel'
+  },
+  reference: String,
+  timelineEntryId: mongoose.Schema.Types.ObjectId,
+  attachments: {
+    type: Number,
+    default: 0
+  },
+  skippedAttachments: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+inboundEmailSchema.index({ createdAt: -1 });
+inboundEmailSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('InboundEmail', inboundEmailSchema);
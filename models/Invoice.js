@@ -0,0 +1,232 @@
+import mongoose from 'mongoose';
+
+const invoiceLineSchema = new mongoose.Schema({
+  sNo: Number,
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  hsnSac: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  gstRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Fields that are frozen once an invoice / credit note is finalised
+const LOCKED_PATHS = [
+  'documentType', 'invoiceNumber', 'financialYear', 'jobModel', 'jobId', 'userId',
+  'originalInvoice', 'customer', 'seller', 'placeOfSupply', 'supplyType', 'lineItems',
+  'subtotal', 'cgstTotal', 'sgstTotal', 'igstTotal', 'totalTax', 'roundOff', 'grandTotal',
+  'issuedAt', 'dueDate', 'reason', 'finalisedAt', 'finalisedBy'
+];
+
+const invoiceSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    enum: ['Invoice', 'Credit Note'],
+    default: 'Invoice'
+  },
+  // Assigned on finalisation only, so drafts never consume a number
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  financialYear: {
+    type: String
+  },
+  status: {
+    type: String,
+    // 'Finalising' is held only while a number is assigned, so two requests can't finalise one draft
+    enum: ['Draft', 'Finalising', 'Finalised'],
+    default: 'Draft'
+  },
+  jobModel: {
+    type: String,
+    enum: ['Ticket', 'ServiceRequest'],
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'jobModel',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Credit notes point at the invoice they correct
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // Snapshots so the document doesn't change if the profile / settings do
+  customer: {
+    name: String,
+    companyName: String,
+    email: String,
+    phone: String,
+    address: String,
+    gstin: String
+  },
+  seller: {
+    legalName: String,
+    gstin: String,
+    address: String,
+    state: String
+  },
+  placeOfSupply: {
+    type: String,
+    required: true
+  },
+  supplyType: {
+    type: String,
+    enum: ['Intra-State', 'Inter-State'],
+    required: true
+  },
+  lineItems: [invoiceLineSchema],
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  cgstTotal: {
+    type: Number,
+    default: 0
+  },
+  sgstTotal: {
+    type: Number,
+    default: 0
+  },
+  igstTotal: {
+    type: Number,
+    default: 0
+  },
+  totalTax: {
+    type: Number,
+    default: 0
+  },
+  roundOff: {
+    type: Number,
+    default: 0
+  },
+  grandTotal: {
+    type: Number,
+    default: 0
+  },
+  // Sum of finalised credit notes issued against this invoice
+  creditedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Payment tracking stays editable after finalisation
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['Unpaid', 'Partially Paid', 'Paid'],
+    default: 'Unpaid'
+  },
+  lastReminderAt: {
+    type: Date
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  issuedAt: {
+    type: Date
+  },
+  dueDate: {
+    type: Date
+  },
+  finalisedAt: {
+    type: Date
+  },
+  finalisedBy: {
+    type: String
+  },
+  emailedAt: {
+    type: Date
+  },
+  createdBy: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Finalised documents are immutable; corrections go through credit notes
+invoiceSchema.pre('save', function (next) {
+  if (this.isNew || this.status !== 'Finalised' || this.isModified('status')) {
+    return next();
+  }
+
+  const changed = LOCKED_PATHS.filter(path => this.isModified(path));
+  if (changed.length > 0) {
+    return next(new Error(`Finalised ${this.documentType.toLowerCase()} cannot be modified (${changed.join(', ')})`));
+  }
+  next();
+});
+
+invoiceSchema.pre(['deleteOne', 'findOneAndDelete'], async function (next) {
+  try {
+    const doc = await this.model.findOne(this.getFilter()).select('status').lean();
+    if (doc && doc.status === 'Finalised') {
+      return next(new Error('Finalised invoices cannot be deleted'));
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Amount still owed on an invoice after credit notes and payments
+invoiceSchema.virtual('outstanding').get(function () {
+  if (this.documentType !== 'Invoice') return 0;
+  return Math.max(0, Math.round((this.grandTotal - this.creditedAmount - this.amountPaid) * 100) / 100);
+});
+
+invoiceSchema.set('toJSON', { virtuals: true });
+invoiceSchema.set('toObject', { virtuals: true });
+
+export default mongoose.model('Invoice', invoiceSchema);
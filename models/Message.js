@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+export const MESSAGE_STATUSES = ['queued', 'sent', 'delivered', 'read', 'failed'];
+
+// One outgoing WhatsApp / SMS message and its delivery status as reported by the provider
+const messageSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  channel: {
+    type: String,
+    enum: ['whatsapp', 'sms'],
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  variables: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  jobModel: {
+    type: String,
+    enum: ['Ticket', 'ServiceRequest']
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'jobModel'
+  },
+  provider: String,
+  providerMessageId: String,
+  status: {
+    type: String,
+    enum: MESSAGE_STATUSES,
+    default: 'queued'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: MESSAGE_STATUSES
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    error: String
+  }],
+  error: String,
+  // Held back by the recipient's quiet hours until this time
+  sendAfter: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ status: 1, sendAfter: 1 });
+messageSchema.index({ jobId: 1, createdAt: -1 });
+messageSchema.index({ provider: 1, providerMessageId: 1 });
+
+export default mongoose.model('Message', messageSchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = [
+  'job_created',
+  'admin_reply',
+  'customer_reply',
+  'status_changed',
+  'visit_scheduled',
+  'quote_sent'
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  jobModel: {
+    type: String,
+    enum: ['Ticket', 'ServiceRequest'],
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'jobModel',
+    required: true
+  },
+  // TKT- / SRV- id, copied so lists don't need to populate the job
+  reference: {
+    type: String
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    trim: true
+  },
+  // Timeline entry this notification is about (by _id, which survives reordering)
+  timelineEntryId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+export const OUTBOX_STATUSES = ['pending', 'sending', 'retrying', 'sent', 'dead'];
+
+// Account emails carry live verification / reset / invite links, so their body is replaced
+// with this once delivered
+export const REDACTED_HTML = '<p>[Removed after delivery: this email contained a sign-in link]</p>';
+
+// Sent emails are removed after this long; dead letters stay until an admin resends them
+const SENT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// Every outgoing email is stored here first and sent by jobs/outboxWorker.js, so a Gmail
+// outage or a restart delays mail instead of losing it. After maxAttempts failures the
+// email is parked as 'dead' until an admin resends it.
+const outboxSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Signed reply address for job emails, so customer replies land on the job (see utils/inboundEmail.js)
+  replyTo: String,
+  subject: {
+    type: String,
+    required: true
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  attachments: [{
+    filename: String,
+    content: Buffer,
+    contentType: String
+  }],
+  // Notification event from utils/preferences.js ('account' for account emails), for filtering
+  event: String,
+  status: {
+    type: String,
+    enum: OUTBOX_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a worker is sending; a stale lock means the process died mid-send
+  lockedAt: Date,
+  lastError: String,
+  attemptLog: [{
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    error: String
+  }],
+  sentAt: Date,
+  providerMessageId: String,
+  resentBy: String,
+  resentAt: Date
+}, {
+  timestamps: true
+});
+
+outboxSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxSchema.index({ status: 1, updatedAt: -1 });
+outboxSchema.index({ createdAt: -1 });
+outboxSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_SECONDS, partialFilterExpression: { status: 'sent' } });
+
+export default mongoose.model('Outbox', outboxSchema);
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+const paymentSchema = new mongoose.Schema({
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  method: {
+    type: String,
+    enum: ['Cash', 'UPI', 'Bank Transfer', 'Cheque'],
+    required: true
+  },
+  // UPI / UTR reference, cheque number, etc.
+  reference: {
+    type: String,
+    trim: true
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: String,
+    required: true
+  },
+  // Payments are never deleted; mistakes and bounced cheques are voided
+  status: {
+    type: String,
+    enum: ['Received', 'Voided'],
+    default: 'Received'
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: String
+  },
+  voidReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Payment', paymentSchema);
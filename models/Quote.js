@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+
+const lineItemSchema = new mongoose.Schema({
+  sNo: Number,
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const quoteSchema = new mongoose.Schema({
+  quoteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The ticket or service request this quote is for
+  jobModel: {
+    type: String,
+    enum: ['Ticket', 'ServiceRequest'],
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'jobModel',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['Draft', 'Sent', 'Accepted', 'Rejected', 'Expired'],
+    default: 'Draft'
+  },
+  revision: {
+    type: Number,
+    default: 1
+  },
+  lineItems: [lineItemSchema],
+  totalPrice: {
+    type: Number,
+    default: 0
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Move the job to "In Progress" when the customer accepts
+  autoStartOnAccept: {
+    type: Boolean,
+    default: true
+  },
+  // Earlier revisions, oldest first
+  revisions: [{
+    revision: Number,
+    status: String,
+    lineItems: [lineItemSchema],
+    totalPrice: Number,
+    validUntil: Date,
+    notes: String,
+    revisedAt: {
+      type: Date,
+      default: Date.now
+    },
+    revisedBy: String
+  }],
+  createdBy: {
+    type: String,
+    required: true
+  },
+  sentAt: {
+    type: Date
+  },
+  respondedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Auto-generate human readable quote numbers
+quoteSchema.pre('validate', async function (next) {
+  if (!this.isNew || this.quoteNumber) return next();
+
+  try {
+    const lastQuote = await this.constructor
+      .findOne({}, { quoteNumber: 1 })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const lastSeq = lastQuote?.quoteNumber
+      ? parseInt(lastQuote.quoteNumber.replace(/\D/g, ''), 10)
+      : 0;
+
+    const nextSeq = Number.isFinite(lastSeq) ? lastSeq + 1 : 1;
+    this.quoteNumber = `QT-${String(nextSeq).padStart(6, '0')}`;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Flip sent quotes past their validity date to Expired
+quoteSchema.statics.expireStale = function (now = new Date()) {
+  return this.updateMany(
+    { status: 'Sent', validUntil: { $lt: now } },
+    { $set: { status: 'Expired' } }
+  );
+};
+
+export default mongoose.model('Quote', quoteSchema);
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Server-side record of an issued refresh token. Every login starts a new
+// `family`; each rotation revokes the old token and issues a new one in the
+// same family, so a whole session can be revoked at once.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // When the session (the first token of the family) was issued, carried through rotations
+  // so a refresh can be refused for sessions older than a password change
+  familyCreatedAt: {
+    type: Date
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedByHash: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
@@ -44,6 +44,47 @@ const serviceRequestSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sla: {
+    firstResponseDueAt: {
+      type: Date
+    },
+    resolutionDueAt: {
+      type: Date
+    },
+    firstResponseAt: {
+      type: Date
+    },
+    status: {
+      type: String,
+      enum: ['On Track', 'At Risk', 'Breached', 'Met'],
+      default: 'On Track'
+    },
+    atRiskNotifiedAt: {
+      type: Date
+    },
+    breachNotifiedAt: {
+      type: Date
+    }
+  },
+  assignmentHistory: [{
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedBy: {
+      type: String,
+      required: true
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   timeline: [{
     note: {
       type: String,
@@ -96,17 +137,44 @@ const serviceRequestSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Equipment this job concerns, so each asset builds up a service history
+  assets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset'
+  }],
   cameraType: {
     type: String,
     trim: true
   },
   cameraCount: {
     type: Number
+  },
+  // Set on preventive-maintenance visits raised by the AMC scheduler
+  amcId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Amc',
+    default: null
+  },
+  isPreventive: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
 });
 
+// Listing indexes: default sort, per-customer boards and status filters (see utils/listing.js)
+serviceRequestSchema.index({ createdAt: -1, _id: -1 });
+serviceRequestSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+serviceRequestSchema.index({ status: 1, createdAt: -1, _id: -1 });
+serviceRequestSchema.index({ assignedTo: 1, createdAt: -1, _id: -1 });
+
+// Full-text search over the job and its conversation (see utils/search.js)
+serviceRequestSchema.index(
+  { title: 'text', description: 'text', outletName: 'text', address: 'text', 'timeline.note': 'text' },
+  { name: 'job_text_search', weights: { title: 10, outletName: 5, description: 3, 'timeline.note': 2, address: 1 } }
+);
+
 // Auto-generate human readable request IDs
 serviceRequestSchema.pre('validate', async function (next) {
   if (!this.isNew || this.requestId) return next();
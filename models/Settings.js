@@ -1,5 +1,16 @@
 import mongoose from 'mongoose';
 
+// Default SLA targets (in hours) applied until an admin overrides them
+const DEFAULT_SLA_POLICIES = [
+    { category: 'Fire Alarm', firstResponseHours: 1, resolutionHours: 24 },
+    { category: 'Security Alarm', firstResponseHours: 2, resolutionHours: 24 },
+    { category: 'Intruder Alarm', firstResponseHours: 2, resolutionHours: 24 },
+    { category: 'CCTV', firstResponseHours: 4, resolutionHours: 48 },
+    { category: 'Electrical', firstResponseHours: 4, resolutionHours: 48 },
+    { category: 'Air Conditioning', firstResponseHours: 8, resolutionHours: 72 },
+    { category: 'Plumbing', firstResponseHours: 8, resolutionHours: 72 }
+];
+
 const settingsSchema = new mongoose.Schema({
     supportPhone: {
         type: String,
@@ -15,7 +26,84 @@ const settingsSchema = new mongoose.Schema({
         type: String,
         required: true,
         default: '917550212046'
-    }
+    },
+    slaPolicies: {
+        type: [{
+            category: {
+                type: String,
+                required: true
+            },
+            firstResponseHours: {
+                type: Number,
+                required: true,
+                min: 0
+            },
+            resolutionHours: {
+                type: Number,
+                required: true,
+                min: 0
+            }
+        }],
+        default: () => DEFAULT_SLA_POLICIES
+    },
+    // Percentage of an SLA window after which an open item is flagged "At Risk"
+    slaAtRiskPercent: {
+        type: Number,
+        default: 75,
+        min: 1,
+        max: 100
+    },
+    // Seller details printed on invoices; `state` decides CGST+SGST vs IGST
+    billing: {
+        legalName: {
+            type: String,
+            default: 'AK SecureTech Ltd'
+        },
+        gstin: {
+            type: String,
+            default: ''
+        },
+        address: {
+            type: String,
+            default: ''
+        },
+        state: {
+            type: String,
+            default: 'Tamil Nadu'
+        },
+        defaultGstRate: {
+            type: Number,
+            default: 18,
+            min: 0
+        },
+        defaultHsnSac: {
+            type: String,
+            default: '998729'
+        },
+        paymentTermsDays: {
+            type: Number,
+            default: 15,
+            min: 0
+        }
+    },
+    // Admin overrides of the email templates shipped in templates/emails. `name` is a template
+    // key, 'layout:default' or 'partial:<name>'; anything not overridden uses the shipped file.
+    emailTemplates: [{
+        name: {
+            type: String,
+            required: true
+        },
+        subject: String,
+        body: {
+            type: String,
+            required: true
+        },
+        updatedBy: String,
+        updatedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
 }, {
     timestamps: true
 });
@@ -44,6 +44,47 @@ const ticketSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  sla: {
+    firstResponseDueAt: {
+      type: Date
+    },
+    resolutionDueAt: {
+      type: Date
+    },
+    firstResponseAt: {
+      type: Date
+    },
+    status: {
+      type: String,
+      enum: ['On Track', 'At Risk', 'Breached', 'Met'],
+      default: 'On Track'
+    },
+    atRiskNotifiedAt: {
+      type: Date
+    },
+    breachNotifiedAt: {
+      type: Date
+    }
+  },
+  assignmentHistory: [{
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedBy: {
+      type: String,
+      required: true
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   timeline: [{
     note: {
       type: String,
@@ -96,6 +137,11 @@ const ticketSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Equipment this job concerns, so each asset builds up a service history
+  assets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset'
+  }],
   viewedByAdmin: {
     type: Boolean,
     default: false
@@ -105,6 +151,18 @@ const ticketSchema = new mongoose.Schema({
 });
 
 
+// Listing indexes: default sort, per-customer boards and status filters (see utils/listing.js)
+ticketSchema.index({ createdAt: -1, _id: -1 });
+ticketSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+ticketSchema.index({ status: 1, createdAt: -1, _id: -1 });
+ticketSchema.index({ assignedTo: 1, createdAt: -1, _id: -1 });
+
+// Full-text search over the job and its conversation (see utils/search.js)
+ticketSchema.index(
+  { title: 'text', description: 'text', outletName: 'text', address: 'text', 'timeline.note': 'text' },
+  { name: 'job_text_search', weights: { title: 10, outletName: 5, description: 3, 'timeline.note': 2, address: 1 } }
+);
+
 // Auto-generate human readable ticket IDs (run before validation)
 ticketSchema.pre('validate', async function (next) {
   if (!this.isNew || this.ticketId) return next();
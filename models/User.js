@@ -1,6 +1,8 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+export const USER_ROLES = ['user', 'admin', 'technician'];
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -25,6 +27,14 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Login name for admin accounts (customers and technicians log in by email)
+  username: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true
+  },
   passwordHash: {
     type: String,
     required: true
@@ -53,11 +63,82 @@ const userSchema = new mongoose.Schema({
   }],
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: USER_ROLES,
     default: 'user'
   },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // TOTP two-factor authentication (required for admins, opt-in for customers)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Set to false on self-registration until the emailed link is confirmed.
+  // Left unset on accounts that predate verification, which count as verified.
+  emailVerified: Boolean,
+  emailVerificationToken: String,
+  emailVerificationExpire: Date,
   resetPasswordToken: String,
-  resetPasswordExpire: Date
+  resetPasswordExpire: Date,
+  // Set for accounts created by an admin import; the password is chosen through the emailed setup link
+  invitedAt: Date,
+  // Per-event delivery channels, quiet hours and daily digest (see utils/preferences.js).
+  // Events missing from `channels` use the defaults (email + in-app).
+  notificationPreferences: {
+    channels: {
+      type: Map,
+      of: [{
+        type: String,
+        enum: ['email', 'in_app', 'whatsapp', 'sms']
+      }]
+    },
+    quietHours: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      start: String,
+      end: String
+    },
+    digest: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      hour: {
+        type: Number,
+        min: 0,
+        max: 23,
+        default: 8
+      }
+    },
+    timezone: String
+  },
+  // Access tokens issued before either of these are rejected by `protect`
+  passwordChangedAt: Date,
+  tokensRevokedAt: Date
 }, {
   timestamps: true
 });
@@ -69,6 +150,9 @@ userSchema.pre('save', async function (next) {
   }
   const salt = await bcrypt.genSalt(10);
   this.passwordHash = await bcrypt.hash(this.passwordHash, salt);
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
   next();
 });
 
@@ -0,0 +1,24 @@
+import express from 'express';
+import { getAdmins, createAdmin, updateAdmin, setAdminStatus, deleteAdmin } from '../controllers/adminController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(adminOnly);
+
+// List / create admins
+router.get('/', getAdmins);
+router.post('/', createAdmin);
+
+// Update admin details
+router.put('/:id', updateAdmin);
+
+// Enable / disable admin
+router.put('/:id/status', setAdminStatus);
+
+// Remove admin
+router.delete('/:id', deleteAdmin);
+
+export default router;
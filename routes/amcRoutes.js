@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  createAmc,
+  getAmcs,
+  getAmcById,
+  updateAmc,
+  cancelAmc,
+  renewAmc
+} from '../controllers/amcController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// List contracts (admin sees all, user sees their own; ?renewalDue=true for upcoming renewals)
+router.get('/', getAmcs);
+
+// Create contract (admin only)
+router.post('/', adminOnly, createAmc);
+
+// Get single contract with visit history
+router.get('/:id', getAmcById);
+
+// Update contract (admin only)
+router.put('/:id', adminOnly, updateAmc);
+
+// Cancel contract (admin only)
+router.post('/:id/cancel', adminOnly, cancelAmc);
+
+// Renew contract for a new term (admin only)
+router.post('/:id/renew', adminOnly, renewAmc);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getOverview,
+  getVolume,
+  getResponseTimes,
+  getVisitLeadTimes,
+  getQuotedRevenue,
+  getTopCustomersAndOutlets
+} from '../controllers/analyticsController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require admin authentication
+router.use(protect);
+router.use(adminOnly);
+
+// Every metric accepts from, to, category, jobType and interval query params
+router.get('/overview', getOverview);
+router.get('/volume', getVolume);
+router.get('/response-times', getResponseTimes);
+router.get('/visit-lead-times', getVisitLeadTimes);
+router.get('/revenue', getQuotedRevenue);
+router.get('/top', getTopCustomersAndOutlets);
+
+export default router;
@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getAssets,
+  getAssetById,
+  createAsset,
+  updateAsset,
+  deleteAsset
+} from '../controllers/assetController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// List assets (admin sees all, user sees their own)
+router.get('/', getAssets);
+
+// Register asset (admin only)
+router.post('/', adminOnly, createAsset);
+
+// Get single asset with service history
+router.get('/:id', getAssetById);
+
+// Update asset (admin only)
+router.put('/:id', adminOnly, updateAsset);
+
+// Delete asset (admin only)
+router.delete('/:id', adminOnly, deleteAsset);
+
+export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import { getAuditLogs, getAuditActions, getAuditLogById } from '../controllers/auditLogController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(adminOnly);
+
+// Query the log (?actor=&action=ticket.*&targetId=&target=TKT-000012&from=&to=)
+router.get('/', getAuditLogs);
+
+// Known actions
+router.get('/actions', getAuditActions);
+
+// Get one entry
+router.get('/:id', getAuditLogById);
+
+export default router;
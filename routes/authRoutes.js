@@ -1,18 +1,35 @@
 import express from "express";
-import { login, register, getMe, updateProfile, forgotPassword, verifyResetToken, resetPassword, checkAvailability } from "../controllers/authController.js";
-import { protect } from "../middleware/auth.js";
+import { login, register, getMe, updateProfile, forgotPassword, verifyResetToken, resetPassword, checkAvailability, refreshSession, logout, logoutAll, verifyTwoFactorLogin, setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes, verifyEmail, resendVerification } from "../controllers/authController.js";
+import { protect, protectTwoFactorSetup } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
 // LOGIN (handles both admin & user)
 router.post("/login", login);
 
+// TWO-FACTOR AUTHENTICATION
+router.post("/2fa/verify", verifyTwoFactorLogin);
+router.post("/2fa/setup", protectTwoFactorSetup, setupTwoFactor);
+router.post("/2fa/enable", protectTwoFactorSetup, enableTwoFactor);
+router.post("/2fa/disable", protect, disableTwoFactor);
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+
+// SESSION
+router.post("/refresh", refreshSession);
+router.post("/logout", protect, logout);
+router.post("/logout-all", protect, logoutAll);
+
 // USER REGISTER
 router.post("/register", register);
-router.post("/check-availability", checkAvailability);
+router.post("/check-availability", rateLimit({ scope: "availability", max: 20, windowMinutes: 15 }), checkAvailability);
+
+// EMAIL VERIFICATION
+router.post("/verify-email/:token", verifyEmail);
+router.post("/resend-verification", protect, rateLimit({ scope: "resend-verification", max: 5, windowMinutes: 15 }), resendVerification);
 
 // PASSWORD RESET
-router.post("/forgot-password", forgotPassword);
+router.post("/forgot-password", rateLimit({ scope: "forgot-password", max: 5, windowMinutes: 15 }), forgotPassword);
 router.get("/verify-reset-token/:token", verifyResetToken);
 router.post("/reset-password/:token", resetPassword);
 
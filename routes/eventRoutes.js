@@ -0,0 +1,10 @@
+import express from 'express';
+import { streamEvents } from '../controllers/eventController.js';
+import { protectStream } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Live ticket / service request events (Server-Sent Events)
+router.get('/', protectStream, streamEvents);
+
+export default router;
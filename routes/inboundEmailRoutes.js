@@ -0,0 +1,21 @@
+import express from 'express';
+import { receiveInboundEmail, getInboundEmails } from '../controllers/inboundEmailController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Raw MIME email from the mail relay or provider (authenticated by shared secret, not a user session)
+router.post(
+  '/',
+  express.raw({ type: ['message/rfc822', 'text/plain', 'application/octet-stream'], limit: process.env.INBOUND_EMAIL_MAX_SIZE || '25mb' }),
+  receiveInboundEmail
+);
+
+// Everything else requires authentication and admin role
+router.use(protect);
+router.use(adminOnly);
+
+// Log of received emails (?status=rejected,ignored&from=)
+router.get('/', getInboundEmails);
+
+export default router;
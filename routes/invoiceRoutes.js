@@ -0,0 +1,53 @@
+import express from 'express';
+import {
+  createInvoice,
+  getInvoices,
+  getInvoiceById,
+  updateInvoice,
+  finaliseInvoice,
+  createCreditNote,
+  downloadInvoicePdf,
+  emailInvoice,
+  deleteInvoice
+} from '../controllers/invoiceController.js';
+import { recordPayment, getInvoicePayments, sendInvoiceReminder } from '../controllers/paymentController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// List invoices (admin sees all, user sees their own finalised invoices)
+router.get('/', getInvoices);
+
+// Create draft invoice from a closed / completed job (admin only)
+router.post('/', adminOnly, createInvoice);
+
+// Get single invoice
+router.get('/:id', getInvoiceById);
+
+// Download PDF
+router.get('/:id/pdf', downloadInvoicePdf);
+
+// Edit / delete draft invoice (admin only)
+router.put('/:id', adminOnly, updateInvoice);
+router.delete('/:id', adminOnly, deleteInvoice);
+
+// Finalise, number and email invoice (admin only)
+router.post('/:id/finalise', adminOnly, finaliseInvoice);
+
+// Issue credit note against a finalised invoice (admin only)
+router.post('/:id/credit-notes', adminOnly, createCreditNote);
+
+// Re-send invoice email (admin only)
+router.post('/:id/email', adminOnly, emailInvoice);
+
+// Payments against an invoice
+router.get('/:id/payments', getInvoicePayments);
+router.post('/:id/payments', adminOnly, recordPayment);
+
+// Payment reminder for an overdue invoice (admin only)
+router.post('/:id/reminder', adminOnly, sendInvoiceReminder);
+
+export default router;
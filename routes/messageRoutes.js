@@ -0,0 +1,20 @@
+import express from 'express';
+import { getMessages, getMessageById, messageStatusWebhook } from '../controllers/messageController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Provider delivery callbacks (authenticated by shared secret, not a user session)
+router.post('/status/:provider', messageStatusWebhook);
+
+// Everything else requires authentication and admin role
+router.use(protect);
+router.use(adminOnly);
+
+// List messages (?jobId=&userId=&channel=&status=)
+router.get('/', getMessages);
+
+// Get message with status history
+router.get('/:id', getMessageById);
+
+export default router;
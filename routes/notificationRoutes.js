@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getPreferences,
+  updatePreferences
+} from '../controllers/notificationController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// List notifications (?unread=true for unread only)
+router.get('/', getNotifications);
+
+// Unread count for the badge
+router.get('/unread-count', getUnreadCount);
+
+// Channel, quiet hours and digest preferences
+router.get('/preferences', getPreferences);
+router.put('/preferences', updatePreferences);
+
+// Mark all as read (optionally for one job)
+router.put('/read-all', markAllNotificationsRead);
+
+// Mark one as read
+router.put('/:id/read', markNotificationRead);
+
+export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getOutbox,
+  getOutboxStats,
+  getOutboxEmail,
+  resendOutboxEmail,
+  resendDeadEmails
+} from '../controllers/outboxController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect);
+router.use(adminOnly);
+
+// Delivery log (?status=dead,retrying for failures)
+router.get('/', getOutbox);
+
+// Counts per status
+router.get('/stats', getOutboxStats);
+
+// Queue all dead letters again
+router.post('/resend-dead', resendDeadEmails);
+
+// Get one email with its attempt log
+router.get('/:id', getOutboxEmail);
+
+// Queue one email again
+router.post('/:id/resend', resendOutboxEmail);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import { getPayments, getMyLedger, voidPayment, sendOverdueReminders } from '../controllers/paymentController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Logged-in customer's ledger
+router.get('/ledger', getMyLedger);
+
+// List payments (admin only)
+router.get('/', adminOnly, getPayments);
+
+// Send reminders for overdue invoices (admin only)
+router.post('/reminders', adminOnly, sendOverdueReminders);
+
+// Void a payment (admin only)
+router.post('/:id/void', adminOnly, voidPayment);
+
+export default router;
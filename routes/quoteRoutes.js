@@ -0,0 +1,41 @@
+import express from 'express';
+import {
+  createQuote,
+  getQuotes,
+  getQuoteById,
+  updateQuote,
+  reviseQuote,
+  sendQuote,
+  acceptQuote,
+  rejectQuote
+} from '../controllers/quoteController.js';
+import { protect, adminOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// List quotes (admin sees all, user sees their own)
+router.get('/', getQuotes);
+
+// Create draft quote (admin only)
+router.post('/', adminOnly, createQuote);
+
+// Get single quote
+router.get('/:id', getQuoteById);
+
+// Edit draft quote (admin only)
+router.put('/:id', adminOnly, updateQuote);
+
+// Start a new revision (admin only)
+router.post('/:id/revise', adminOnly, reviseQuote);
+
+// Send quote to customer (admin only)
+router.post('/:id/send', adminOnly, sendQuote);
+
+// Customer decision
+router.post('/:id/accept', acceptQuote);
+router.post('/:id/reject', rejectQuote);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import { searchJobs } from '../controllers/searchController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Search tickets and service requests (results limited to what the user may open)
+router.get('/', searchJobs);
+
+export default router;
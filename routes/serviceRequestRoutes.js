@@ -4,11 +4,12 @@ import {
   getServiceRequests,
   getServiceRequestById,
   updateServiceRequest,
+  assignServiceRequest,
   addComment,
-  markReplyAsSeen,
   deleteServiceRequest
 } from '../controllers/serviceRequestController.js';
-import { protect, adminOnly } from '../middleware/auth.js';
+import { exportServiceRequests } from '../controllers/exportController.js';
+import { protect, adminOnly, requireVerifiedEmail } from '../middleware/auth.js';
 import { upload } from '../config/cloudinary.js';
 
 const router = express.Router();
@@ -17,26 +18,29 @@ const router = express.Router();
 router.use(protect);
 
 // Create service request (with image upload support - max 5 images)
-router.post('/', upload.array('images', 5), createServiceRequest);
+router.post('/', requireVerifiedEmail, upload.array('images', 5), createServiceRequest);
 
 // Get all service requests (admin sees all, user sees their own)
 router.get('/', getServiceRequests);
 
+// Export service requests as CSV / XLSX (admin only)
+router.get('/export', adminOnly, exportServiceRequests);
+
 // Get single service request
 router.get('/:id', getServiceRequestById);
 
 // Update service request (admin only)
 router.put('/:id', adminOnly, updateServiceRequest);
 
+// Assign or reassign service request to a technician (admin only)
+router.put('/:id/assign', adminOnly, assignServiceRequest);
+
 // Delete service request (admin only)
 router.delete('/:id', deleteServiceRequest);
 
 // Add comment to service request (with optional image upload support - max 3 images)
 router.post('/:id/comments', upload.array('images', 3), addComment);
 
-// Mark admin reply as seen
-router.put('/:requestId/replies/:timelineIndex/seen', markReplyAsSeen);
-
 export default router;
 
 
@@ -1,5 +1,12 @@
 import express from 'express';
-import { getSettings, updateSettings } from '../controllers/settingsController.js';
+import {
+    getSettings,
+    updateSettings,
+    getEmailTemplates,
+    updateEmailTemplate,
+    resetEmailTemplate,
+    previewEmailTemplate
+} from '../controllers/settingsController.js';
 import { protect, adminOnly } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -10,4 +17,10 @@ router.get('/', getSettings);
 // UPDATE settings requires admin
 router.put('/', protect, adminOnly, updateSettings);
 
+// Email templates: list, override, reset to default and preview (admin)
+router.get('/email-templates', protect, adminOnly, getEmailTemplates);
+router.put('/email-templates/:name', protect, adminOnly, updateEmailTemplate);
+router.delete('/email-templates/:name', protect, adminOnly, resetEmailTemplate);
+router.post('/email-templates/:name/preview', protect, adminOnly, previewEmailTemplate);
+
 export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { getMyJobs } from '../controllers/technicianController.js';
+import { protect, technicianOnly } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication and technician role
+router.use(protect);
+router.use(technicianOnly);
+
+// Get jobs assigned to the logged-in technician
+router.get('/jobs', getMyJobs);
+
+export default router;
@@ -4,12 +4,13 @@ import {
   getTickets,
   getTicketById,
   updateTicket,
+  assignTicket,
   addComment,
-  markReplyAsSeen,
   markTicketsAsViewed,
   deleteTicket
 } from '../controllers/ticketController.js';
-import { protect, adminOnly } from '../middleware/auth.js';
+import { exportTickets } from '../controllers/exportController.js';
+import { protect, adminOnly, requireVerifiedEmail } from '../middleware/auth.js';
 import { upload } from '../config/cloudinary.js';
 
 const router = express.Router();
@@ -18,26 +19,29 @@ const router = express.Router();
 router.use(protect);
 
 // Create ticket (with image upload support - max 5 images)
-router.post('/', upload.array('images', 5), createTicket);
+router.post('/', requireVerifiedEmail, upload.array('images', 5), createTicket);
 
 // Get all tickets (admin sees all, user sees their own)
 router.get('/', getTickets);
 
+// Export tickets as CSV / XLSX (admin only)
+router.get('/export', adminOnly, exportTickets);
+
 // Get single ticket
 router.get('/:id', getTicketById);
 
 // Update ticket (admin only)
 router.put('/:id', adminOnly, updateTicket);
 
+// Assign or reassign ticket to a technician (admin only)
+router.put('/:id/assign', adminOnly, assignTicket);
+
 // Delete ticket (admin only)
 router.delete('/:id', deleteTicket);
 
 // Add comment to ticket (with optional image upload support - max 3 images)
 router.post('/:id/comments', upload.array('images', 3), addComment);
 
-// Mark admin reply as seen
-router.put('/:ticketId/replies/:timelineIndex/seen', markReplyAsSeen);
-
 // Mark tickets as viewed by admin
 router.post('/mark-viewed', adminOnly, markTicketsAsViewed);
 
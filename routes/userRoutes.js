@@ -1,5 +1,9 @@
 import express from 'express';
-import { getAllUsers, getUserById, deleteUser } from '../controllers/userController.js';
+import { getAllUsers, getUserById, createTechnician, unlockUser, deleteUser } from '../controllers/userController.js';
+import { getCustomerLedger } from '../controllers/paymentController.js';
+import { exportUsers } from '../controllers/exportController.js';
+import { importCustomers } from '../controllers/importController.js';
+import { spreadsheetUpload } from '../middleware/spreadsheetUpload.js';
 import { protect, adminOnly } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -11,9 +15,24 @@ router.use(adminOnly);
 // Get all users
 router.get('/', getAllUsers);
 
+// Create technician account
+router.post('/technicians', createTechnician);
+
+// Bulk import customers and outlets from CSV / XLSX (dry run unless ?commit=true)
+router.post('/import', spreadsheetUpload, importCustomers);
+
+// Export users as CSV / XLSX
+router.get('/export', exportUsers);
+
 // Get user by ID
 router.get('/:id', getUserById);
 
+// Customer ledger with outstanding balance and ageing
+router.get('/:id/ledger', getCustomerLedger);
+
+// Unlock account after failed login attempts
+router.put('/:id/unlock', unlockUser);
+
 // Delete user
 router.delete('/:id', deleteUser);
 
@@ -4,11 +4,31 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import connectDB from './config/db.js';
+import bootstrapAdmins from './utils/bootstrapAdmins.js';
+import { startSlaScheduler } from './jobs/slaScheduler.js';
+import { startAmcScheduler } from './jobs/amcScheduler.js';
+import { startDeferredEmailScheduler } from './jobs/deferredEmailScheduler.js';
+import { startOutboxWorker } from './jobs/outboxWorker.js';
 import authRoutes from './routes/authRoutes.js';
 import ticketRoutes from './routes/ticketRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import serviceRequestRoutes from './routes/serviceRequestRoutes.js';
 import settingsRoutes from './routes/settingsRoutes.js';
+import technicianRoutes from './routes/technicianRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import quoteRoutes from './routes/quoteRoutes.js';
+import invoiceRoutes from './routes/invoiceRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import amcRoutes from './routes/amcRoutes.js';
+import assetRoutes from './routes/assetRoutes.js';
+import searchRoutes from './routes/searchRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
+import eventRoutes from './routes/eventRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import messageRoutes from './routes/messageRoutes.js';
+import outboxRoutes from './routes/outboxRoutes.js';
+import inboundEmailRoutes from './routes/inboundEmailRoutes.js';
+import auditLogRoutes from './routes/auditLogRoutes.js';
 
 dotenv.config();
 
@@ -17,8 +37,19 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Behind a reverse proxy, trust X-Forwarded-For so req.ip is the client (used for login throttling)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// Connect to MongoDB, then seed admin accounts on first run
+connectDB().then(bootstrapAdmins);
+
+// Background jobs
+startSlaScheduler();
+startAmcScheduler();
+startDeferredEmailScheduler();
+startOutboxWorker();
 
 // Middleware
 const allowedOrigins = [
@@ -51,6 +82,21 @@ app.use('/api/tickets', ticketRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/service-requests', serviceRequestRoutes);
 app.use('/api/settings', settingsRoutes);
+app.use('/api/technician', technicianRoutes);
+app.use('/api/admins', adminRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/amcs', amcRoutes);
+app.use('/api/assets', assetRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/outbox', outboxRoutes);
+app.use('/api/inbound-email', inboundEmailRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+// In-memory stand-in for the few Mongoose model calls the outbox code makes, so it can be
+// tested without a MongoDB server. Filters support equality, $in, $ne, $lte and $or; updates
+// support $set, $unset, $inc and $push (with $each / $slice).
+
+const isOperatorObject = (value) => value && typeof value === 'object' &&
+  !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) && !Array.isArray(value);
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(sub => matches(doc, sub));
+
+  const value = doc[key];
+  if (!isOperatorObject(condition)) return String(value) === String(condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$in') return operand.includes(value);
+    if (operator === '$ne') return String(value) !== String(operand);
+    if (operator === '$lte') return value != null && value <= operand;
+    throw new Error(`memoryModel: unsupported operator ${operator}`);
+  });
+});
+
+const applyUpdate = (doc, update) => {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [field, value] of Object.entries(fields)) {
+      if (operator === '$set') doc[field] = value;
+      else if (operator === '$unset') delete doc[field];
+      else if (operator === '$inc') doc[field] = (doc[field] || 0) + value;
+      else if (operator === '$push') {
+        const items = value.$each || [value];
+        const list = [...(doc[field] || []), ...items];
+        doc[field] = value.$slice !== undefined ? list.slice(value.$slice) : list;
+      } else {
+        throw new Error(`memoryModel: unsupported update ${operator}`);
+      }
+    }
+  }
+};
+
+const copy = (doc) => (doc ? { ...doc, attachments: [...(doc.attachments || [])], attemptLog: [...(doc.attemptLog || [])] } : null);
+
+// Chainable like a Mongoose query (.select() is ignored) and awaitable
+const query = (value) => Object.assign(Promise.resolve(value), { select() { return this; } });
+
+// Replace `Model`'s statics with an in-memory store. Returns { docs, restore }.
+export const useMemoryModel = (Model, defaults = {}) => {
+  const docs = [];
+  const names = ['create', 'findOneAndUpdate', 'updateOne', 'updateMany', 'exists', 'findById'];
+  const originals = Object.fromEntries(names.map(name => [name, Object.getOwnPropertyDescriptor(Model, name)]));
+
+  Model.create = async (fields) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), ...defaults, ...fields };
+    Object.keys(doc).forEach(key => doc[key] === undefined && delete doc[key]);
+    docs.push(doc);
+    return copy(doc);
+  };
+
+  Model.findOneAndUpdate = (filter, update, options = {}) => {
+    let candidates = docs.filter(doc => matches(doc, filter));
+    if (options.sort) {
+      const [[field, direction]] = Object.entries(options.sort);
+      candidates = [...candidates].sort((a, b) => (a[field] - b[field]) * direction);
+    }
+    const doc = candidates[0];
+    if (!doc) return query(null);
+
+    const before = copy(doc);
+    applyUpdate(doc, update);
+    return query(options.new ? copy(doc) : before);
+  };
+
+  Model.updateOne = async (filter, update) => {
+    const doc = docs.find(item => matches(item, filter));
+    if (doc) applyUpdate(doc, update);
+    return { modifiedCount: doc ? 1 : 0 };
+  };
+
+  Model.updateMany = async (filter, update) => {
+    const found = docs.filter(item => matches(item, filter));
+    found.forEach(doc => applyUpdate(doc, update));
+    return { modifiedCount: found.length };
+  };
+
+  Model.exists = async (filter) => (docs.some(doc => matches(doc, filter)) ? { _id: filter._id } : null);
+
+  Model.findById = (id) => query(copy(docs.find(doc => String(doc._id) === String(id))));
+
+  const restore = () => {
+    for (const name of names) {
+      if (originals[name]) Object.defineProperty(Model, name, originals[name]);
+      else delete Model[name];
+    }
+  };
+
+  return { docs, restore };
+};
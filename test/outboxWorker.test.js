@@ -0,0 +1,174 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import nodemailer from 'nodemailer';
+import Outbox, { REDACTED_HTML } from '../models/Outbox.js';
+import { processOutbox } from '../jobs/outboxWorker.js';
+import { queueEmail, retryDelayMs } from '../utils/outbox.js';
+import { resendOutboxEmail } from '../controllers/outboxController.js';
+import { useMemoryModel } from './helpers/memoryModel.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Local SMTP stand-in: nodemailer's JSON transport builds the message without sending it.
+// The first `failures` sends are refused as if the SMTP server were down.
+const stubTransport = ({ failures = 0 } = {}) => {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const stub = { calls: 0, sent: [] };
+
+  stub.send = async (to, subject, html, attachments, replyTo) => {
+    stub.calls += 1;
+    if (stub.calls <= failures) {
+      throw new Error('connect ECONNREFUSED 127.0.0.1:1025');
+    }
+    const info = await transport.sendMail({ from: 'support@example.com', to, subject, html, attachments, replyTo });
+    stub.sent.push(JSON.parse(info.message));
+    return info;
+  };
+  return stub;
+};
+
+// Minimal Express response
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; }
+});
+
+describe('outbox worker', () => {
+  let store;
+
+  beforeEach(() => {
+    store = useMemoryModel(Outbox, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      attachments: [],
+      attemptLog: []
+    });
+  });
+
+  afterEach(() => store.restore());
+
+  const queue = (fields = {}) => queueEmail({ to: 'customer@example.com', subject: 'Admin Reply on Ticket TKT-000001', html: '<p>Hello</p>', event: 'admin_reply', ...fields });
+
+  it('sends a queued email through the transport', async () => {
+    const email = await queue({ replyTo: 'replies+t-1@example.com' });
+    const transport = stubTransport();
+
+    const processed = await processOutbox(new Date(Date.now() + 1000), transport.send);
+
+    assert.equal(processed, 1);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].subject, 'Admin Reply on Ticket TKT-000001');
+    assert.equal(transport.sent[0].replyTo[0].address, 'replies+t-1@example.com');
+
+    const [stored] = store.docs;
+    assert.equal(String(stored._id), String(email._id));
+    assert.equal(stored.status, 'sent');
+    assert.equal(stored.attempts, 1);
+    assert.ok(stored.providerMessageId);
+    assert.equal(stored.lockedAt, undefined);
+  });
+
+  it('backs off exponentially and moves the email to dead after maxAttempts', async () => {
+    await queue();
+    const [stored] = store.docs;
+    assert.equal(stored.maxAttempts, 6);
+
+    const transport = stubTransport({ failures: Infinity });
+    let now = new Date(Date.now() + 1000);
+
+    for (let attempt = 1; attempt < 6; attempt++) {
+      assert.equal(await processOutbox(now, transport.send), 1);
+      assert.equal(stored.status, 'retrying');
+      assert.equal(stored.attempts, attempt);
+      assert.match(stored.lastError, /ECONNREFUSED/);
+
+      const delay = stored.nextAttemptAt.getTime() - now.getTime();
+      const base = MINUTE_MS * 2 ** (attempt - 1);
+      assert.ok(delay >= base * 0.8 && delay <= base * 1.2, `attempt ${attempt}: ${delay}ms outside ${base}ms ±20%`);
+
+      // Not due yet: nothing is claimed until the delay has passed
+      assert.equal(await processOutbox(new Date(stored.nextAttemptAt.getTime() - 1), transport.send), 0);
+      now = stored.nextAttemptAt;
+    }
+
+    assert.equal(await processOutbox(now, transport.send), 1);
+    assert.equal(stored.status, 'dead');
+    assert.equal(stored.attempts, 6);
+    assert.equal(stored.nextAttemptAt, null);
+    assert.equal(stored.attemptLog.length, 6);
+
+    // Dead letters are never picked up again on their own
+    assert.equal(await processOutbox(new Date(now.getTime() + 24 * 60 * MINUTE_MS), transport.send), 0);
+    assert.equal(transport.calls, 6);
+  });
+
+  it('caps the retry delay at six hours', () => {
+    const cap = 6 * 60 * MINUTE_MS;
+    for (const attempts of [10, 20, 50]) {
+      const delay = retryDelayMs(attempts);
+      assert.ok(delay >= cap * 0.8 && delay <= cap * 1.2);
+    }
+  });
+
+  it('requeues a dead letter on resend and delivers it', async () => {
+    await queue();
+    const [stored] = store.docs;
+    stored.maxAttempts = 1;
+
+    await processOutbox(new Date(Date.now() + 1000), stubTransport({ failures: 1 }).send);
+    assert.equal(stored.status, 'dead');
+
+    const res = response();
+    await resendOutboxEmail({ params: { id: String(stored._id) }, user: { name: 'Asha' } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.attempts, 0);
+    assert.equal(stored.resentBy, 'Asha');
+
+    const transport = stubTransport();
+    assert.equal(await processOutbox(new Date(Date.now() + 1000), transport.send), 1);
+    assert.equal(stored.status, 'sent');
+    assert.equal(transport.sent.length, 1);
+  });
+
+  it('redacts account emails once delivered and refuses to resend them', async () => {
+    const email = await queue({ subject: 'Reset your password', html: '<a href="https://example.com/reset/secret-token">Reset</a>', event: 'account' });
+    const transport = stubTransport();
+
+    await processOutbox(new Date(Date.now() + 1000), transport.send);
+
+    assert.match(transport.sent[0].html, /secret-token/);
+    assert.equal(store.docs[0].status, 'sent');
+    assert.equal(store.docs[0].html, REDACTED_HTML);
+
+    const res = response();
+    await resendOutboxEmail({ params: { id: String(email._id) }, user: { name: 'Asha' } }, res);
+    assert.equal(res.statusCode, 409);
+    assert.equal(store.docs[0].status, 'sent');
+  });
+
+  it('keeps the body of other sent emails and lets them be resent', async () => {
+    const email = await queue();
+    await processOutbox(new Date(Date.now() + 1000), stubTransport().send);
+    assert.equal(store.docs[0].html, '<p>Hello</p>');
+
+    const res = response();
+    await resendOutboxEmail({ params: { id: String(email._id) }, user: { name: 'Asha' } }, res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(store.docs[0].status, 'pending');
+  });
+
+  it('refuses to resend an email that is already queued', async () => {
+    const email = await queue();
+
+    const res = response();
+    await resendOutboxEmail({ params: { id: String(email._id) }, user: { name: 'Asha' } }, res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(store.docs[0].status, 'pending');
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { base32Encode, base32Decode, generateTotp, getTimeStep, verifyTotp } from '../utils/totp.js';
+
+// RFC 6238 appendix B, SHA1 seed. The RFC lists 8-digit codes; we use the last 6.
+const SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+const at = (seconds) => seconds * 1000;
+
+describe('totp', () => {
+  it('round-trips base32', () => {
+    assert.equal(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(base32Decode(SECRET.toLowerCase()).toString('ascii'), '12345678901234567890');
+  });
+
+  it('matches the RFC 6238 test vectors', () => {
+    for (const [seconds, code] of VECTORS) {
+      assert.equal(generateTotp(SECRET, at(seconds)), code, `T=${seconds}`);
+      assert.equal(verifyTotp(SECRET, code, { now: at(seconds) }), getTimeStep(at(seconds)));
+    }
+  });
+
+  it('accepts codes one step either side of now', () => {
+    const now = at(1111111111);
+    const step = getTimeStep(now);
+
+    assert.equal(verifyTotp(SECRET, generateTotp(SECRET, now - at(30)), { now }), step - 1);
+    assert.equal(verifyTotp(SECRET, generateTotp(SECRET, now + at(30)), { now }), step + 1);
+    assert.equal(verifyTotp(SECRET, generateTotp(SECRET, now - at(60)), { now }), null);
+    assert.equal(verifyTotp(SECRET, generateTotp(SECRET, now - at(30)), { now, window: 0 }), null);
+  });
+
+  it('refuses a code that was already used', () => {
+    const now = at(1111111111);
+    const code = generateTotp(SECRET, now);
+
+    const step = verifyTotp(SECRET, code, { now });
+    assert.equal(step, getTimeStep(now));
+    assert.equal(verifyTotp(SECRET, code, { now, lastUsedStep: step }), null);
+    // Still refused while it remains inside the drift window
+    assert.equal(verifyTotp(SECRET, code, { now: now + at(30), lastUsedStep: step }), null);
+  });
+
+  it('refuses older codes once a later step was used', () => {
+    const now = at(1111111111);
+    const step = getTimeStep(now);
+    const previous = generateTotp(SECRET, now - at(30));
+
+    assert.equal(verifyTotp(SECRET, previous, { now, lastUsedStep: step }), null);
+    assert.equal(verifyTotp(SECRET, previous, { now, lastUsedStep: step - 2 }), step - 1);
+    assert.equal(verifyTotp(SECRET, generateTotp(SECRET, now + at(30)), { now, lastUsedStep: step }), step + 1);
+  });
+
+  it('rejects malformed codes', () => {
+    const now = at(59);
+    assert.equal(verifyTotp(SECRET, '', { now }), null);
+    assert.equal(verifyTotp(SECRET, '28708', { now }), null);
+    assert.equal(verifyTotp(SECRET, '2870820', { now }), null);
+    assert.equal(verifyTotp(SECRET, 'abcdef', { now }), null);
+    assert.equal(verifyTotp(SECRET, '287 082', { now }), getTimeStep(now));
+  });
+});
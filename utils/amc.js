@@ -0,0 +1,53 @@
+// Months between preventive visits for each AMC visit frequency
+export const VISIT_FREQUENCIES = {
+  Monthly: 1,
+  Quarterly: 3,
+  'Half-Yearly': 6,
+  Yearly: 12
+};
+
+// Contracts ending within this many days are flagged for renewal
+export const RENEWAL_WINDOW_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Add calendar months, clamping to the last day so Jan 31 + 1 month is Feb 28/29
+export const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Next visit after `from`, or null once it falls past the end of the term.
+// Dates are stepped from the first visit so month-end clamping doesn't drift (Jan 31, Apr 30, Jul 31...)
+export const getNextVisitDate = (contract, from) => {
+  const step = VISIT_FREQUENCIES[contract.visitFrequency];
+  const anchor = new Date(contract.firstVisitAt || from);
+  const after = new Date(from);
+
+  let months = Math.max(0, (after.getFullYear() - anchor.getFullYear()) * 12 + after.getMonth() - anchor.getMonth());
+  months -= months % step;
+  let next = addMonths(anchor, months);
+  while (next <= after) {
+    months += step;
+    next = addMonths(anchor, months);
+  }
+  return next <= new Date(contract.endDate) ? next : null;
+};
+
+// Visit dates covering the whole term, starting at the first visit date
+export const buildVisitSchedule = (contract) => {
+  const dates = [];
+  let due = contract.nextVisitDue ? new Date(contract.nextVisitDue) : null;
+  while (due && dates.length < 500) {
+    dates.push(due);
+    due = getNextVisitDate(contract, due);
+  }
+  return dates;
+};
+
+export const getRenewalCutoff = (now = new Date()) => new Date(now.getTime() + RENEWAL_WINDOW_DAYS * DAY_MS);
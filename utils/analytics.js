@@ -0,0 +1,292 @@
+import Ticket from '../models/Ticket.js';
+import ServiceRequest from '../models/ServiceRequest.js';
+import { toList, buildDateRange } from './listing.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const ANALYTICS_SOURCES = {
+  ticket: { Model: Ticket, idField: 'ticketId', closedStatuses: ['Closed'] },
+  'service-request': { Model: ServiceRequest, idField: 'requestId', closedStatuses: ['Completed'] }
+};
+
+export const INTERVALS = ['day', 'week', 'month'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const getTimezone = () => process.env.ANALYTICS_TIMEZONE || 'Asia/Kolkata';
+
+// Parse the filters every metric accepts; returns { filters } or { error }
+// from / to (createdAt range), category (comma list), jobType (ticket | service-request), interval
+export const parseAnalyticsFilters = (query) => {
+  const { range, error } = buildDateRange(query.from, query.to);
+  if (error) return { error: 'Invalid date range' };
+
+  const categories = toList(query.category);
+  const allowed = Ticket.schema.path('category').enumValues;
+  const invalid = categories.filter(category => !allowed.includes(category));
+  if (invalid.length > 0) return { error: `Invalid category: ${invalid.join(', ')}` };
+
+  if (query.jobType && !ANALYTICS_SOURCES[query.jobType]) {
+    return { error: 'jobType must be ticket or service-request' };
+  }
+
+  const interval = query.interval || 'month';
+  if (!INTERVALS.includes(interval)) {
+    return { error: `interval must be one of ${INTERVALS.join(', ')}` };
+  }
+
+  return {
+    filters: {
+      range,
+      categories,
+      jobTypes: query.jobType ? [query.jobType] : Object.keys(ANALYTICS_SOURCES),
+      interval,
+      limit: Math.min(Math.max(parseInt(query.limit) || 10, 1), 50)
+    }
+  };
+};
+
+// Base $match: created within the range and in the selected categories
+const baseMatch = ({ range, categories }, dateField = 'createdAt') => {
+  const match = {};
+  if (range) match[dateField] = range;
+  if (categories.length > 0) match.category = { $in: categories };
+  return match;
+};
+
+// Run the same metric for each selected job type -> { ticket: ..., 'service-request': ... }
+export const perJobType = async (filters, metric) => {
+  const result = {};
+  for (const jobType of filters.jobTypes) {
+    result[jobType] = await metric(ANALYTICS_SOURCES[jobType], filters);
+  }
+  return result;
+};
+
+// count / average / percentiles (in hours) of a list of millisecond durations
+export const summariseDurations = (durations) => {
+  const hours = durations.filter(ms => Number.isFinite(ms) && ms >= 0).map(ms => ms / HOUR_MS).sort((a, b) => a - b);
+  if (hours.length === 0) {
+    return { count: 0, avgHours: null, p50Hours: null, p90Hours: null, p95Hours: null };
+  }
+
+  // Nearest-rank percentile
+  const percentile = (p) => hours[Math.min(hours.length - 1, Math.ceil((p / 100) * hours.length) - 1)];
+
+  return {
+    count: hours.length,
+    avgHours: round(hours.reduce((sum, value) => sum + value, 0) / hours.length),
+    p50Hours: round(percentile(50)),
+    p90Hours: round(percentile(90)),
+    p95Hours: round(percentile(95))
+  };
+};
+
+// Job counts per period, broken down by status and category
+export const volumeOverTime = async ({ Model }, filters) => {
+  const rows = await Model.aggregate([
+    { $match: baseMatch(filters) },
+    {
+      $group: {
+        _id: {
+          period: { $dateTrunc: { date: '$createdAt', unit: filters.interval, timezone: getTimezone() } },
+          status: '$status',
+          category: '$category'
+        },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.period': 1 } }
+  ]);
+
+  const periods = new Map();
+  for (const { _id, count } of rows) {
+    const key = _id.period.toISOString();
+    if (!periods.has(key)) {
+      periods.set(key, { period: _id.period, total: 0, byStatus: {}, byCategory: {} });
+    }
+    const bucket = periods.get(key);
+    bucket.total += count;
+    bucket.byStatus[_id.status] = (bucket.byStatus[_id.status] || 0) + count;
+    bucket.byCategory[_id.category] = (bucket.byCategory[_id.category] || 0) + count;
+  }
+
+  return [...periods.values()];
+};
+
+// Time to first staff reply and time to close.
+// First reply is the SLA stamp when present, otherwise the first timeline entry not written by the customer.
+export const responseTimes = async ({ Model, closedStatuses }, filters) => {
+  const rows = await Model.aggregate([
+    { $match: baseMatch(filters) },
+    { $lookup: { from: 'users', localField: 'userId', foreignField: '_id', as: 'customer', pipeline: [{ $project: { name: 1 } }] } },
+    {
+      $project: {
+        category: 1,
+        firstReplyMs: {
+          $subtract: [
+            {
+              $ifNull: [
+                '$sla.firstResponseAt',
+                {
+                  $min: {
+                    $map: {
+                      input: {
+                        $filter: {
+                          input: { $ifNull: ['$timeline', []] },
+                          cond: { $ne: ['$$this.addedBy', { $first: '$customer.name' }] }
+                        }
+                      },
+                      in: '$$this.addedAt'
+                    }
+                  }
+                }
+              ]
+            },
+            '$createdAt'
+          ]
+        },
+        closeMs: {
+          $cond: [
+            { $and: [{ $in: ['$status', closedStatuses] }, { $ne: [{ $ifNull: ['$completedAt', null] }, null] }] },
+            { $subtract: ['$completedAt', '$createdAt'] },
+            null
+          ]
+        }
+      }
+    }
+  ]);
+
+  const byCategory = {};
+  for (const row of rows) {
+    if (!byCategory[row.category]) byCategory[row.category] = { firstReply: [], close: [] };
+    if (row.firstReplyMs !== null) byCategory[row.category].firstReply.push(row.firstReplyMs);
+    if (row.closeMs !== null) byCategory[row.category].close.push(row.closeMs);
+  }
+
+  return {
+    firstReply: summariseDurations(rows.map(row => row.firstReplyMs).filter(ms => ms !== null)),
+    timeToClose: summariseDurations(rows.map(row => row.closeMs).filter(ms => ms !== null)),
+    byCategory: Object.fromEntries(Object.entries(byCategory).map(([category, values]) => [
+      category,
+      { firstReply: summariseDurations(values.firstReply), timeToClose: summariseDurations(values.close) }
+    ]))
+  };
+};
+
+// Lead time from job creation to the scheduled visit, and how far visits land from the customer's preferred slot
+export const visitLeadTimes = async ({ Model }, filters) => {
+  const rows = await Model.aggregate([
+    { $match: { ...baseMatch(filters), assignedVisitAt: { $ne: null } } },
+    {
+      $project: {
+        leadMs: { $subtract: ['$assignedVisitAt', '$createdAt'] },
+        preferredGapMs: {
+          $cond: [
+            { $ne: [{ $ifNull: ['$preferredVisitAt', null] }, null] },
+            { $abs: { $subtract: ['$assignedVisitAt', '$preferredVisitAt'] } },
+            null
+          ]
+        }
+      }
+    }
+  ]);
+
+  return {
+    leadTime: summariseDurations(rows.map(row => row.leadMs)),
+    gapFromPreferred: summariseDurations(rows.map(row => row.preferredGapMs).filter(ms => ms !== null))
+  };
+};
+
+// Quoted revenue: the latest priced timeline entry per job (later quotes supersede earlier ones),
+// bucketed by when that price was given
+export const quotedRevenue = async ({ Model }, filters) => {
+  const latestPriced = [
+    { $match: baseMatch({ ...filters, range: undefined }) },
+    { $unwind: '$timeline' },
+    { $match: { 'timeline.totalPrice': { $gt: 0 } } },
+    { $sort: { 'timeline.addedAt': -1 } },
+    {
+      $group: {
+        _id: '$_id',
+        category: { $first: '$category' },
+        totalPrice: { $first: '$timeline.totalPrice' },
+        quotedAt: { $first: '$timeline.addedAt' }
+      }
+    },
+    ...(filters.range ? [{ $match: { quotedAt: filters.range } }] : [])
+  ];
+
+  const [result] = await Model.aggregate([
+    ...latestPriced,
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, revenue: { $sum: '$totalPrice' }, jobs: { $sum: 1 } } }],
+        byCategory: [{ $group: { _id: '$category', revenue: { $sum: '$totalPrice' }, jobs: { $sum: 1 } } }, { $sort: { revenue: -1 } }],
+        series: [
+          {
+            $group: {
+              _id: { $dateTrunc: { date: '$quotedAt', unit: filters.interval, timezone: getTimezone() } },
+              revenue: { $sum: '$totalPrice' },
+              jobs: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { revenue: 0, jobs: 0 };
+  return {
+    revenue: round(totals.revenue),
+    jobs: totals.jobs,
+    byCategory: result.byCategory.map(row => ({ category: row._id, revenue: round(row.revenue), jobs: row.jobs })),
+    series: result.series.map(row => ({ period: row._id, revenue: round(row.revenue), jobs: row.jobs }))
+  };
+};
+
+// Busiest customers and outlets by job volume
+export const topCustomersAndOutlets = async ({ Model }, filters) => {
+  const [result] = await Model.aggregate([
+    { $match: baseMatch(filters) },
+    {
+      $facet: {
+        customers: [
+          { $group: { _id: '$userId', jobs: { $sum: 1 }, open: { $sum: { $cond: [{ $in: ['$status', ['New', 'In Progress']] }, 1, 0] } } } },
+          { $sort: { jobs: -1 } },
+          { $limit: filters.limit },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'customer', pipeline: [{ $project: { name: 1, companyName: 1 } }] } },
+          { $project: { _id: 0, userId: '$_id', jobs: 1, open: 1, name: { $first: '$customer.name' }, companyName: { $first: '$customer.companyName' } } }
+        ],
+        outlets: [
+          { $group: { _id: { userId: '$userId', outletName: '$outletName' }, jobs: { $sum: 1 } } },
+          { $sort: { jobs: -1 } },
+          { $limit: filters.limit },
+          { $lookup: { from: 'users', localField: '_id.userId', foreignField: '_id', as: 'customer', pipeline: [{ $project: { companyName: 1 } }] } },
+          { $project: { _id: 0, userId: '$_id.userId', outletName: '$_id.outletName', jobs: 1, companyName: { $first: '$customer.companyName' } } }
+        ]
+      }
+    }
+  ]);
+
+  return result;
+};
+
+// Combine per-job-type top lists into one ranking
+export const mergeTopLists = (perType, key, keyOf, limit) => {
+  const merged = new Map();
+  for (const lists of Object.values(perType)) {
+    for (const row of lists[key]) {
+      const id = keyOf(row);
+      const existing = merged.get(id);
+      if (existing) {
+        existing.jobs += row.jobs;
+        if (row.open !== undefined) existing.open = (existing.open || 0) + row.open;
+      } else {
+        merged.set(id, { ...row });
+      }
+    }
+  }
+  return [...merged.values()].sort((a, b) => b.jobs - a.jobs).slice(0, limit);
+};
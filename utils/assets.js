@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import Asset from '../models/Asset.js';
+
+// Asset ids arrive as an array (JSON), a JSON string or a comma separated string (multipart forms)
+export const parseAssetIds = (raw) => {
+  if (raw === undefined || raw === null || raw === '') return [];
+  if (Array.isArray(raw)) return raw.map(String);
+
+  const value = String(raw).trim();
+  if (value.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed.map(String) : [];
+    } catch {
+      return [value];
+    }
+  }
+  return value.split(',').map(id => id.trim()).filter(Boolean);
+};
+
+// Resolve asset ids for a new ticket / service request; they must be active assets of the same customer.
+// Returns { assets } (ObjectIds) or { error }
+export const resolveJobAssets = async (raw, userId) => {
+  const ids = [...new Set(parseAssetIds(raw))];
+  if (ids.length === 0) return { assets: [] };
+
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Invalid asset id' };
+  }
+
+  const assets = await Asset.find({ _id: { $in: ids }, userId, status: 'Active' }).select('_id');
+  if (assets.length !== ids.length) {
+    return { error: 'One or more assets were not found for this account' };
+  }
+
+  return { assets: assets.map(asset => asset._id) };
+};
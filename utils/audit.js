@@ -0,0 +1,43 @@
+import AuditLog from '../models/AuditLog.js';
+
+const labelOf = (target) => target && (target.ticketId || target.requestId || target.invoiceNumber || target.assetTag || target.email || target.name);
+
+// Comparable form of a value (dates, ObjectIds and subdocuments included)
+const comparable = (value) => JSON.stringify(value?.toObject ? value.toObject() : value ?? null);
+
+// { before, after } holding only the listed fields whose values differ
+export const changedFields = (before, after, fields) => {
+  const changes = { before: {}, after: {} };
+  for (const field of fields) {
+    if (comparable(before?.[field]) !== comparable(after?.[field])) {
+      changes.before[field] = before?.[field] ?? null;
+      changes.after[field] = after?.[field] ?? null;
+    }
+  }
+  return changes;
+};
+
+// Append an audit entry for a request. `actor` defaults to the signed-in user; pass the user
+// for actions taken without a session (logins, password resets), or null when unknown.
+// Failures are logged rather than thrown so auditing never breaks the action it records.
+export const recordAudit = async (req, action, { actor = req.user, target, targetModel, targetLabel, before, after, details } = {}) => {
+  try {
+    await AuditLog.create({
+      actor: actor?._id,
+      actorName: actor?.name,
+      actorEmail: actor?.email,
+      actorRole: actor?.role,
+      action,
+      targetModel: targetModel || target?.constructor?.modelName,
+      targetId: target?._id,
+      targetLabel: targetLabel || labelOf(target),
+      before,
+      after,
+      details,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
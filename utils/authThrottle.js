@@ -0,0 +1,124 @@
+import AuthThrottle from '../models/AuthThrottle.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// freeAttempts: failures allowed before delays kick in
+// maxDelaySeconds: cap for the progressive (doubling) delay
+// lockAfter / lockMinutes: failures that trigger a temporary lockout
+// windowMinutes: failures older than this are forgotten
+export const ACCOUNT_POLICY = { freeAttempts: 3, maxDelaySeconds: 60, lockAfter: 5, lockMinutes: 15, windowMinutes: 15 };
+export const IP_POLICY = { freeAttempts: 10, maxDelaySeconds: 60, lockAfter: 30, lockMinutes: 15, windowMinutes: 15 };
+
+// Seconds until any of `keys` may try again (0 = allowed now)
+export const getThrottleState = async (keys, now = new Date()) => {
+  const records = await AuthThrottle.find({ key: { $in: keys } });
+
+  let retryAt = 0;
+  let locked = false;
+  for (const record of records) {
+    if (record.lockedUntil && record.lockedUntil > now) {
+      locked = true;
+      retryAt = Math.max(retryAt, record.lockedUntil.getTime());
+    } else if (record.nextAttemptAt && record.nextAttemptAt > now) {
+      retryAt = Math.max(retryAt, record.nextAttemptAt.getTime());
+    }
+  }
+
+  return {
+    locked,
+    retryAfter: retryAt ? Math.ceil((retryAt - now.getTime()) / 1000) : 0
+  };
+};
+
+// Atomically add one to a counter, creating it if needed. Parallel first attempts can race
+// on the insert; the loser of that race retries as a plain update.
+const incrementCounter = async (key, now, windowMinutes) => {
+  const update = {
+    $inc: { count: 1 },
+    $setOnInsert: { windowStartedAt: now, expiresAt: new Date(now.getTime() + windowMinutes * MINUTE_MS) }
+  };
+  const options = { new: true, setDefaultsOnInsert: false };
+
+  try {
+    return await AuthThrottle.findOneAndUpdate({ key }, update, { ...options, upsert: true });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return AuthThrottle.findOneAndUpdate({ key }, update, options);
+  }
+};
+
+// Start a fresh window for `key` once `staleFilter` matches. Only the first of several
+// parallel callers matches; the others then count into the new window.
+const resetWindow = (key, staleFilter, now, windowMinutes) => AuthThrottle.updateOne(
+  { key, ...staleFilter },
+  {
+    $set: { count: 0, windowStartedAt: now, expiresAt: new Date(now.getTime() + windowMinutes * MINUTE_MS) },
+    $unset: { nextAttemptAt: 1, lockedUntil: 1 }
+  }
+);
+
+// Count a failed attempt. Returns { count, lockedNow, lockedUntil } so callers can notify on lockout.
+export const registerFailure = async (key, policy, now = new Date()) => {
+  const windowStart = new Date(now.getTime() - policy.windowMinutes * MINUTE_MS);
+  await resetWindow(key, { $or: [{ windowStartedAt: { $lt: windowStart } }, { lockedUntil: { $lte: now } }] }, now, policy.windowMinutes);
+
+  const record = await incrementCounter(key, now, policy.windowMinutes);
+
+  // $max so parallel failures can only push the lock / delay further out, never back
+  let lockedNow = false;
+  let lockedUntil = record.lockedUntil || null;
+  const push = {};
+  if (record.count >= policy.lockAfter) {
+    lockedUntil = new Date(now.getTime() + policy.lockMinutes * MINUTE_MS);
+    lockedNow = record.count === policy.lockAfter;
+    push.lockedUntil = lockedUntil;
+  } else if (record.count > policy.freeAttempts) {
+    const delaySeconds = Math.min(2 ** (record.count - policy.freeAttempts), policy.maxDelaySeconds);
+    push.nextAttemptAt = new Date(now.getTime() + delaySeconds * 1000);
+  }
+
+  const windowEnd = record.windowStartedAt.getTime() + policy.windowMinutes * MINUTE_MS;
+  push.expiresAt = new Date(Math.max(windowEnd, lockedUntil?.getTime() || 0));
+  await AuthThrottle.updateOne({ key }, { $max: push });
+
+  return { count: record.count, lockedNow, lockedUntil };
+};
+
+// Count an attempt before the credentials are checked, so a burst of parallel guesses can't
+// all read "not locked" and each get a password comparison: the count is taken atomically and
+// attempts past the lockout limit are `refused`. A successful attempt gives its count back
+// (clearThrottle / releaseAttempt).
+export const registerAttempt = async (key, policy, now = new Date()) => {
+  const result = await registerFailure(key, policy, now);
+  return { ...result, refused: result.count > policy.lockAfter };
+};
+
+export const releaseAttempt = async (key) => {
+  await AuthThrottle.updateOne({ key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+};
+
+// Count a request against a fixed-window limit. Returns seconds to wait (0 = allowed).
+export const consumeRateLimit = async (key, max, windowMinutes, now = new Date()) => {
+  const windowStart = new Date(now.getTime() - windowMinutes * MINUTE_MS);
+  await resetWindow(key, { windowStartedAt: { $lt: windowStart } }, now, windowMinutes);
+
+  const record = await incrementCounter(key, now, windowMinutes);
+  if (record.count > max) {
+    const windowEnd = record.windowStartedAt.getTime() + windowMinutes * MINUTE_MS;
+    return Math.max(Math.ceil((windowEnd - now.getTime()) / 1000), 1);
+  }
+  return 0;
+};
+
+export const clearThrottle = async (keys) => {
+  await AuthThrottle.deleteMany({ key: { $in: keys } });
+};
+
+// Throttle keys that belong to a user account (used by login and admin unlock)
+export const accountThrottleKeys = (user) => {
+  const keys = [`account:${user.email}`, `2fa:${user._id}`];
+  if (user.username) {
+    keys.push(`account:admin:${user.username}`);
+  }
+  return keys;
+};
@@ -0,0 +1,47 @@
+import User from '../models/User.js';
+
+// One-time migration of the legacy ADMIN_CREDENTIALS ("user:pass,user2:pass2")
+// env var into real admin accounts. Runs only while no admin exists in the DB,
+// after which the env var is ignored and can be removed.
+const bootstrapAdmins = async () => {
+  try {
+    const adminCount = await User.countDocuments({ role: 'admin' });
+    if (adminCount > 0) return;
+
+    const adminCreds = process.env.ADMIN_CREDENTIALS || '';
+    const pairs = adminCreds.split(',').map(p => p.trim()).filter(Boolean);
+
+    if (pairs.length === 0) {
+      console.warn('⚠️ No admin accounts found and ADMIN_CREDENTIALS is empty. Admin login is unavailable.');
+      return;
+    }
+
+    for (const pair of pairs) {
+      const separator = pair.indexOf(':');
+      const username = pair.slice(0, separator).trim().toLowerCase();
+      const password = pair.slice(separator + 1);
+
+      if (separator <= 0 || !password) {
+        console.warn(`⚠️ Skipping malformed ADMIN_CREDENTIALS entry "${pair.slice(0, Math.max(separator, 0))}"`);
+        continue;
+      }
+
+      await User.create({
+        name: `Admin ${username}`,
+        companyName: 'AK SecureTech Ltd',
+        username,
+        email: `admin-${username}@system.local`,
+        // Placeholder keeps the unique phone index happy until the admin updates it
+        phone: `admin-${username}`,
+        passwordHash: password,
+        role: 'admin'
+      });
+
+      console.log(`✅ Bootstrapped admin account "${username}" from ADMIN_CREDENTIALS`);
+    }
+  } catch (error) {
+    console.error('Admin bootstrap failed:', error);
+  }
+};
+
+export default bootstrapAdmins;
@@ -0,0 +1,315 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Handlebars from 'handlebars';
+import Settings from '../models/Settings.js';
+
+const TEMPLATE_DIR = fileURLToPath(new URL('../templates/emails/', import.meta.url));
+
+const DEFAULT_COMPANY = 'AK SecureTech Ltd';
+
+export const LAYOUT_NAME = 'layout:default';
+export const PARTIAL_PREFIX = 'partial:';
+
+// Email templates shipped in templates/emails/<key>.hbs. Subjects are Handlebars too and are
+// rendered without HTML escaping. `variables` documents what each sender passes in.
+export const EMAIL_TEMPLATES = {
+  job_created_admin: {
+    description: 'New ticket / service request alert sent to ADMIN_EMAIL',
+    subject: 'New {{job.label}}: {{job.reference}}',
+    variables: ['job', 'user']
+  },
+  job_confirmation: {
+    description: 'Confirmation sent to the customer when they raise a ticket / service request',
+    subject: '{{job.label}} Confirmation: {{job.reference}}',
+    variables: ['job', 'user']
+  },
+  job_reply: {
+    description: 'Admin reply, status change or visit scheduled, sent to the customer',
+    subject: '{{#if isFinal}}Your {{job.labelLower}} has been {{finalStatus}}{{else}}Admin Reply on {{job.label}}: {{job.reference}}{{/if}}',
+    variables: ['job', 'user', 'replyNote', 'visitTime', 'isFinal', 'finalStatus']
+  },
+  job_assigned: {
+    description: 'Job assignment sent to the technician',
+    subject: 'New Job Assigned: {{job.reference}}',
+    variables: ['job', 'technician', 'customer']
+  },
+  sla_escalation: {
+    description: 'SLA at risk / breached alert sent to SLA_ESCALATION_EMAIL',
+    subject: 'SLA {{slaStatus}}: {{job.reference}} ({{job.category}})',
+    variables: ['job', 'slaStatus', 'accent']
+  },
+  account_locked: {
+    description: 'Sent when an account is locked after failed sign-ins',
+    subject: 'Account temporarily locked - {{company}}',
+    variables: ['user', 'lockedUntil', 'frontendUrl']
+  },
+  email_verification: {
+    description: 'Email address confirmation link for self-registered customers',
+    subject: 'Verify your email - {{company}}',
+    variables: ['user', 'verifyUrl']
+  },
+  password_reset: {
+    description: 'Password reset link',
+    subject: 'Password Reset Request - {{company}}',
+    variables: ['user', 'resetUrl', 'expiresInMinutes']
+  },
+  quote_decision: {
+    description: 'Customer accepted / rejected a quote, sent to ADMIN_EMAIL',
+    subject: 'Quote {{quote.status}}: {{quote.quoteNumber}} ({{job.reference}})',
+    variables: ['quote', 'job', 'user', 'accent']
+  },
+  invoice: {
+    description: 'Invoice or credit note with the PDF attached',
+    subject: '{{label}} {{invoice.invoiceNumber}} - {{company}}',
+    variables: ['invoice', 'label', 'labelLower', 'isCreditNote']
+  },
+  payment_reminder: {
+    description: 'Overdue invoice reminder',
+    subject: 'Payment Reminder: Invoice {{invoice.invoiceNumber}}',
+    variables: ['invoice']
+  },
+  amc_renewal_admin: {
+    description: 'AMC contract due for renewal, sent to ADMIN_EMAIL',
+    subject: 'AMC Renewal Due: {{contract.contractNumber}}',
+    variables: ['contract', 'user', 'outletNames']
+  },
+  amc_renewal_customer: {
+    description: 'AMC contract due for renewal, sent to the customer',
+    subject: 'AMC Renewal Due: {{contract.contractNumber}}',
+    variables: ['contract', 'user', 'outletNames']
+  },
+  account_invite: {
+    description: 'Invitation with a set-password link for imported customers',
+    subject: 'Your {{company}} account is ready',
+    variables: ['user', 'setupUrl', 'expiresInDays', 'outletNames']
+  },
+  notification_digest: {
+    description: 'Daily digest bundling held-back notification emails',
+    subject: 'Your daily update summary ({{items.length}} {{#if (eq items.length 1)}}update{{else}}updates{{/if}})',
+    variables: ['items']
+  }
+};
+
+let defaults;
+
+// Default layout, partials and bodies are read from disk once and cached
+const loadDefaults = () => {
+  if (!defaults) {
+    const read = (file) => fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf8');
+    const partialFiles = fs.readdirSync(path.join(TEMPLATE_DIR, 'partials')).filter(file => file.endsWith('.hbs'));
+
+    defaults = {
+      layout: read('layouts/default.hbs'),
+      partials: Object.fromEntries(partialFiles.map(file => [file.slice(0, -4), read(`partials/${file}`)])),
+      bodies: Object.fromEntries(Object.keys(EMAIL_TEMPLATES).map(key => [key, read(`${key}.hbs`)]))
+    };
+  }
+  return defaults;
+};
+
+// Every overridable name: template keys, the layout and each partial
+export const templateNames = () => [
+  ...Object.keys(EMAIL_TEMPLATES),
+  LAYOUT_NAME,
+  ...Object.keys(loadDefaults().partials).map(name => `${PARTIAL_PREFIX}${name}`)
+];
+
+// Shipped subject / body for a name
+export const defaultTemplate = (name) => {
+  const { layout, partials, bodies } = loadDefaults();
+  if (EMAIL_TEMPLATES[name]) return { subject: EMAIL_TEMPLATES[name].subject, body: bodies[name] };
+  if (name === LAYOUT_NAME) return { body: layout };
+  if (name.startsWith(PARTIAL_PREFIX) && partials[name.slice(PARTIAL_PREFIX.length)] !== undefined) {
+    return { body: partials[name.slice(PARTIAL_PREFIX.length)] };
+  }
+  return null;
+};
+
+const formatDateTime = (date) => (date
+  ? new Date(date).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true
+    })
+  : '-');
+
+const formatDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' })
+  : '-');
+
+// Handlebars passes an options object as the last argument to every helper
+const valuesOf = (args) => args.slice(0, -1);
+
+// A fresh Handlebars environment per render so admin overrides of partials never leak between emails
+const createEnvironment = (overrides) => {
+  const hbs = Handlebars.create();
+
+  hbs.registerHelper('concat', (...args) => valuesOf(args).map(value => value ?? '').join(''));
+  hbs.registerHelper('or', (...args) => valuesOf(args).find(Boolean));
+  hbs.registerHelper('eq', (a, b) => a === b);
+  hbs.registerHelper('array', (...args) => valuesOf(args));
+  hbs.registerHelper('join', (list, separator) => (Array.isArray(list) ? list.join(typeof separator === 'string' ? separator : ', ') : ''));
+  hbs.registerHelper('formatDateTime', formatDateTime);
+  hbs.registerHelper('formatDate', formatDate);
+  hbs.registerHelper('formatAmount', (value) => Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 }));
+  hbs.registerHelper('multiline', (text) => new hbs.SafeString(hbs.escapeExpression(text || '').replace(/\n/g, '<br>')));
+
+  for (const [name, source] of Object.entries(loadDefaults().partials)) {
+    hbs.registerPartial(name, overrides.get(`${PARTIAL_PREFIX}${name}`)?.body || source);
+  }
+
+  return hbs;
+};
+
+const loadOverrides = async (drafts = {}) => {
+  const settings = await Settings.findOne().select('emailTemplates billing.legalName').lean();
+  const overrides = new Map((settings?.emailTemplates || []).map(template => [template.name, template]));
+  for (const [name, draft] of Object.entries(drafts)) {
+    overrides.set(name, { ...overrides.get(name), ...draft });
+  }
+  return { overrides, company: settings?.billing?.legalName || DEFAULT_COMPANY };
+};
+
+// Render a template (admin override if set, shipped default otherwise) inside the layout.
+// `drafts` lets the preview endpoint render unsaved edits: { [name]: { subject, body } }.
+export const renderEmail = async (key, data = {}, drafts = {}) => {
+  if (!EMAIL_TEMPLATES[key]) {
+    throw new Error(`Unknown email template: ${key}`);
+  }
+
+  const { overrides, company } = await loadOverrides(drafts);
+  const hbs = createEnvironment(overrides);
+  const context = {
+    company,
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+    ...data
+  };
+
+  const subjectSource = overrides.get(key)?.subject || EMAIL_TEMPLATES[key].subject;
+  const bodySource = overrides.get(key)?.body || loadDefaults().bodies[key];
+  const layoutSource = overrides.get(LAYOUT_NAME)?.body || loadDefaults().layout;
+
+  const subject = hbs.compile(subjectSource, { noEscape: true })(context).replace(/\s+/g, ' ').trim();
+  const body = hbs.compile(bodySource)(context);
+  const html = hbs.compile(layoutSource)({ ...context, body });
+
+  return { subject, html };
+};
+
+// Handlebars can't read Mongoose getters, so documents are converted to plain objects first
+export const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : value);
+
+// Ticket / service request with the labels templates use to share one layout for both
+export const jobContext = (job) => {
+  const plain = toPlain(job) || {};
+  const isTicket = Boolean(plain.ticketId);
+  const label = isTicket ? 'Ticket' : 'Service Request';
+
+  return {
+    ...plain,
+    reference: plain.ticketId || plain.requestId,
+    isTicket,
+    label,
+    labelLower: label.toLowerCase(),
+    idLabel: isTicket ? 'Ticket ID' : 'Request ID',
+    accent: isTicket ? '#3b82f6' : '#10b981',
+    status: plain.status === 'Open' ? 'New' : plain.status
+  };
+};
+
+const SAMPLE_USER = {
+  name: 'Priya Raman',
+  companyName: 'Sample Retail Pvt Ltd',
+  email: 'priya@example.com',
+  phone: '9876543210',
+  outlets: [{ outletName: 'Anna Nagar' }, { outletName: 'T. Nagar' }]
+};
+
+const sampleTicket = (now) => ({
+  ticketId: 'TKT-0042',
+  category: 'CCTV',
+  title: 'Entrance camera offline',
+  description: 'Camera 3 at the entrance has shown no signal since this morning.\nThe DVR was restarted once.',
+  status: 'In Progress',
+  outletName: 'Anna Nagar',
+  address: '12, 2nd Avenue, Anna Nagar, Chennai',
+  location: { lat: 13.085, lng: 80.2101 },
+  preferredVisitAt: new Date(now.getTime() + 24 * 60 * 60 * 1000),
+  assignedVisitAt: new Date(now.getTime() + 26 * 60 * 60 * 1000),
+  sla: {
+    firstResponseDueAt: new Date(now.getTime() + 60 * 60 * 1000),
+    resolutionDueAt: new Date(now.getTime() + 48 * 60 * 60 * 1000)
+  }
+});
+
+// Variables for previewing each template. `job` / `user` are a sample ticket and customer
+// unless the preview asks for a real job.
+export const buildSampleContext = (key, { job, user } = {}) => {
+  const now = new Date();
+  const jobData = jobContext(job || sampleTicket(now));
+  const userData = toPlain(user) || SAMPLE_USER;
+  const invoice = {
+    invoiceNumber: 'INV/2026-27/0007',
+    grandTotal: 11800,
+    outstanding: 6800,
+    dueDate: new Date(now.getTime() - 5 * 24 * 60 * 60 * 1000),
+    customer: { name: userData.name, email: userData.email }
+  };
+  const contract = {
+    contractNumber: 'AMC-0003',
+    categories: ['CCTV', 'Fire Alarm'],
+    endDate: new Date(now.getTime() + 20 * 24 * 60 * 60 * 1000)
+  };
+  const outletNames = (userData.outlets || []).map(outlet => outlet.outletName).join(', ');
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+  const samples = {
+    job_reply: {
+      replyNote: 'Our technician will replace the faulty power adapter.\nPlease make sure someone is available at the outlet.',
+      visitTime: jobData.assignedVisitAt,
+      isFinal: false
+    },
+    job_assigned: {
+      technician: { name: 'Arun Kumar', email: 'arun@example.com' },
+      customer: userData
+    },
+    sla_escalation: { slaStatus: 'At Risk', accent: '#f59e0b' },
+    account_locked: { lockedUntil: new Date(now.getTime() + 15 * 60 * 1000) },
+    email_verification: { verifyUrl: `${frontendUrl}/verify-email/sample-token` },
+    password_reset: { resetUrl: `${frontendUrl}/reset-password/sample-token`, expiresInMinutes: 10 },
+    quote_decision: {
+      quote: { quoteNumber: 'QT-0015', revision: 2, totalPrice: 8500, status: 'Accepted' },
+      accent: '#10b981'
+    },
+    invoice: { invoice, label: 'Invoice', labelLower: 'invoice', isCreditNote: false },
+    payment_reminder: { invoice },
+    amc_renewal_admin: { contract, outletNames },
+    amc_renewal_customer: { contract, outletNames },
+    account_invite: { setupUrl: `${frontendUrl}/reset-password/sample-token`, expiresInDays: 7, outletNames },
+    notification_digest: {
+      items: [
+        { subject: `Admin Reply on ${jobData.label}: ${jobData.reference}`, html: '<p style="color: #4b5563;">(reply email)</p>' },
+        { subject: `${jobData.label} Confirmation: ${jobData.reference}`, html: '<p style="color: #4b5563;">(confirmation email)</p>' }
+      ]
+    }
+  };
+
+  return { job: jobData, user: userData, ...(samples[key] || {}) };
+};
+
+// Template rendered when previewing or validating a layout / partial edit: the first template
+// that includes the partial directly, otherwise the admin reply (which uses most of them)
+export const previewTemplateFor = (name) => {
+  if (EMAIL_TEMPLATES[name]) return name;
+  if (name.startsWith(PARTIAL_PREFIX)) {
+    const partial = name.slice(PARTIAL_PREFIX.length);
+    const { bodies } = loadDefaults();
+    const user = Object.keys(EMAIL_TEMPLATES).find(key => bodies[key].includes(`{{> ${partial}`));
+    if (user) return user;
+  }
+  return 'job_reply';
+};
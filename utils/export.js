@@ -0,0 +1,84 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Spreadsheet apps execute cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toXlsxCell = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string' && FORMULA_PREFIX.test(value)) return `'${value}`;
+  return value;
+};
+
+// Most recent timeline note and the latest quoted total on a job
+export const latestTimelineFields = (timeline = []) => {
+  const latest = timeline.length > 0 ? timeline[timeline.length - 1] : null;
+  const priced = [...timeline].reverse().find(entry => entry.totalPrice > 0);
+  return {
+    latestNote: latest?.note,
+    latestNoteBy: latest?.addedBy,
+    latestNoteAt: latest?.addedAt,
+    totalPrice: priced ? priced.totalPrice : null
+  };
+};
+
+// Stream documents from a Mongoose query cursor to the response as CSV or XLSX, one row at a time.
+// `columns` is [{ header, key, width? }]; `mapRow` turns a document into { [key]: value }.
+export const streamExport = async (req, res, { format, filename, sheetName, columns, cursor, mapRow }) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${stamp}.${format}"`);
+
+  // Stop reading from Mongo if the client goes away mid-download
+  let aborted = false;
+  req.on('close', () => {
+    if (!res.writableFinished) aborted = true;
+  });
+
+  try {
+    if (format === 'csv') {
+      // BOM so Excel opens UTF-8 (₹, Tamil names) correctly
+      res.write('﻿' + columns.map(column => toCsvCell(column.header)).join(',') + '\r\n');
+
+      for await (const doc of cursor) {
+        if (aborted) break;
+        const row = mapRow(doc);
+        const line = columns.map(column => toCsvCell(row[column.key])).join(',') + '\r\n';
+        if (!res.write(line)) {
+          await Promise.race([once(res, 'drain'), once(res, 'close')]);
+        }
+      }
+      res.end();
+    } else {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const sheet = workbook.addWorksheet(sheetName);
+      sheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 18 }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+
+      for await (const doc of cursor) {
+        if (aborted) break;
+        const row = mapRow(doc);
+        sheet.addRow(Object.fromEntries(columns.map(column => [column.key, toXlsxCell(row[column.key])]))).commit();
+      }
+      sheet.commit();
+      await workbook.commit();
+    }
+  } finally {
+    await cursor.close();
+  }
+};
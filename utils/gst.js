@@ -0,0 +1,72 @@
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// IST is a fixed UTC+05:30 (no daylight saving)
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// Indian financial year (April - March) for a date, e.g. "2026-27". Worked out in IST so the
+// server's timezone doesn't matter (a UTC server would otherwise start April at 05:30 IST).
+export const getFinancialYear = (date = new Date()) => {
+  const d = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const startYear = d.getUTCMonth() >= 3 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+export const formatDocumentNumber = (prefix, financialYear, seq) => {
+  return `${prefix}-${financialYear}-${String(seq).padStart(5, '0')}`;
+};
+
+const normaliseState = (state) => String(state || '').trim().toLowerCase();
+
+export const getSupplyType = (sellerState, placeOfSupply) => {
+  return normaliseState(sellerState) === normaliseState(placeOfSupply) ? 'Intra-State' : 'Inter-State';
+};
+
+// Compute per-line and document GST. Intra-state supplies split the rate
+// equally into CGST + SGST; inter-state supplies charge IGST.
+export const calculateGst = (items, supplyType) => {
+  const lineItems = items.map((item, index) => {
+    const quantity = item.quantity !== undefined ? Number(item.quantity) : 1;
+    const unitPrice = Number(item.unitPrice);
+    const gstRate = Number(item.gstRate);
+    const taxableValue = round2(quantity * unitPrice);
+    const tax = round2(taxableValue * gstRate / 100);
+
+    const cgst = supplyType === 'Intra-State' ? round2(tax / 2) : 0;
+    const sgst = supplyType === 'Intra-State' ? round2(tax - cgst) : 0;
+    const igst = supplyType === 'Inter-State' ? tax : 0;
+
+    return {
+      sNo: index + 1,
+      description: item.description,
+      hsnSac: item.hsnSac,
+      quantity,
+      unitPrice,
+      taxableValue,
+      gstRate,
+      cgst,
+      sgst,
+      igst,
+      total: round2(taxableValue + cgst + sgst + igst)
+    };
+  });
+
+  const sum = (field) => round2(lineItems.reduce((total, line) => total + line[field], 0));
+  const subtotal = sum('taxableValue');
+  const cgstTotal = sum('cgst');
+  const sgstTotal = sum('sgst');
+  const igstTotal = sum('igst');
+  const totalTax = round2(cgstTotal + sgstTotal + igstTotal);
+  const exactTotal = round2(subtotal + totalTax);
+  const grandTotal = Math.round(exactTotal);
+
+  return {
+    lineItems,
+    subtotal,
+    cgstTotal,
+    sgstTotal,
+    igstTotal,
+    totalTax,
+    roundOff: round2(grandTotal - exactTotal),
+    grandTotal
+  };
+};
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+
+// Customer replies by email. Job emails carry a signed Reply-To such as
+// replies+t-<ticket id>-<signature>@mail.example.com (INBOUND_EMAIL_ADDRESS with a
+// sub-address), so the inbound endpoint can tell which job a reply belongs to even when
+// the subject was edited. The TKT-/SRV- id in the subject is the fallback.
+
+const JOB_KINDS = { t: 'ticket', s: 'serviceRequest' };
+const SIGNATURE_LENGTH = 16;
+
+// Read lazily: this module can be imported before dotenv has loaded .env
+const signingKey = () => process.env.REPLY_ADDRESS_SECRET || process.env.JWT_SECRET;
+
+// Hex so the signature survives mail servers that lowercase the local part
+const sign = (kind, id) => crypto
+  .createHmac('sha256', signingKey())
+  .update(`${kind}:${id}`)
+  .digest('hex')
+  .slice(0, SIGNATURE_LENGTH);
+
+// Signed reply address for a ticket or service request, or undefined when inbound email
+// isn't set up
+export const replyAddressFor = (job) => {
+  const inbox = process.env.INBOUND_EMAIL_ADDRESS;
+  if (!inbox || !signingKey() || !job?._id) return undefined;
+
+  const [local, domain] = inbox.split('@');
+  if (!domain) return undefined;
+
+  const kind = job.ticketId ? 't' : 's';
+  const id = job._id.toString();
+  return `${local}+${kind}-${id}-${sign(kind, id)}@${domain}`;
+};
+
+// { type: 'ticket' | 'serviceRequest', id } from the first validly signed reply address
+// among `addresses`, or null
+export const parseReplyAddress = (addresses) => {
+  if (!signingKey()) return null;
+
+  for (const address of addresses) {
+    const match = /^[^@+\s]+\+([ts])-([a-f0-9]{24})-([a-f0-9]+)@/.exec(String(address).toLowerCase().trim());
+    if (!match) continue;
+
+    const [, kind, id, signature] = match;
+    const expected = sign(kind, id);
+    if (signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return { type: JOB_KINDS[kind], id };
+    }
+  }
+  return null;
+};
+
+// { type, reference } for a TKT-000123 / SRV-000123 id in the subject, or null
+export const findJobReference = (subject) => {
+  const match = /\b(TKT|SRV)-(\d+)\b/i.exec(subject || '');
+  if (!match) return null;
+
+  const prefix = match[1].toUpperCase();
+  const reference = `${prefix}-${match[2].padStart(6, '0')}`;
+  return { type: prefix === 'TKT' ? 'ticket' : 'serviceRequest', reference };
+};
+
+// Whether the receiving relay vouched for the sender's domain: a DKIM, SPF or DMARC pass
+// aligned with the From domain in the topmost Authentication-Results header (the one our
+// relay added; anything below it came with the message and can be forged). Set
+// INBOUND_EMAIL_AUTHSERV_ID to only trust results stamped by that relay.
+export const isSenderAuthenticated = (authenticationResults, from) => {
+  const header = [].concat(authenticationResults || [])[0];
+  const domain = String(from || '').split('@')[1];
+  if (!header || !domain) return false;
+
+  const [authservId, ...results] = String(header).split(';');
+  const trustedId = process.env.INBOUND_EMAIL_AUTHSERV_ID;
+  if (trustedId && authservId.trim().split(/\s+/)[0].toLowerCase() !== trustedId.toLowerCase()) {
+    return false;
+  }
+
+  // Relaxed alignment: the authenticated domain may be the From domain or a parent of it
+  const aligned = (value) => {
+    const authenticated = String(value || '').toLowerCase().replace(/^.*@/, '');
+    return Boolean(authenticated) && (domain === authenticated || domain.endsWith(`.${authenticated}`));
+  };
+
+  return results.some(result => {
+    const method = /^\s*(dkim|spf|dmarc)\s*=\s*pass\b/i.exec(result);
+    if (!method) return false;
+
+    const property = { dkim: 'header\\.[di]', spf: 'smtp\\.mailfrom', dmarc: 'header\\.from' }[method[1].toLowerCase()];
+    const match = new RegExp(`\\b${property}\\s*=\\s*"?([^\\s;"]+)`, 'i').exec(result);
+    return Boolean(match) && aligned(match[1]);
+  });
+};
+
+// Where the quoted previous message starts, for the usual mail clients
+const QUOTE_MARKERS = [
+  /^On\b[^\n]*(?:\n[^\n]*)?\bwrote:[ \t]*$/m,             // Gmail / Apple Mail, sometimes wrapped onto two lines
+  /^-{2,}[ \t]*Original Message[ \t]*-{2,}/im,            // Outlook (plain text)
+  /^_{20,}[ \t]*$/m,                                      // Outlook (separator line)
+  /^From:[^\n]*\n(?:[^\n]*\n){0,3}?(?:Sent|Date):/im,     // Outlook header block
+  /^-- [ \t]*$/m                                          // Signature delimiter
+];
+
+// The new text of a reply, without the quoted history, quoted lines or mobile signatures
+export const stripQuotedReply = (text) => {
+  let body = String(text || '').replace(/\r\n?/g, '\n');
+
+  const cut = Math.min(...QUOTE_MARKERS.map(marker => {
+    const match = marker.exec(body);
+    return match ? match.index : body.length;
+  }));
+  body = body.slice(0, cut);
+
+  return body
+    .split('\n')
+    .filter(line => !line.startsWith('>'))
+    .join('\n')
+    .replace(/^Sent from my [^\n]+$/gim, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+// Ticket category for a new ticket opened by email, from keywords in its subject and body
+const CATEGORY_KEYWORDS = [
+  ['CCTV', /\b(cctv|camera|cameras|dvr|nvr)\b/i],
+  ['Fire Alarm', /\b(fire|smoke detector|smoke alarm)\b/i],
+  ['Intruder Alarm', /\b(intruder|burglar)\b/i],
+  ['Security Alarm', /\b(alarm|siren|security system)\b/i],
+  ['Air Conditioning', /\b(a\/?c|air ?con\w*|hvac|cooling)\b/i],
+  ['Plumbing', /\b(plumb\w*|leak\w*|pipe|pipes|tap|drain)\b/i],
+  ['Electrical', /\b(electric\w*|wiring|power|socket|mcb|switch)\b/i]
+];
+
+export const guessCategory = (text) => {
+  const found = CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(text || ''));
+  return found ? found[0] : process.env.INBOUND_EMAIL_DEFAULT_CATEGORY || null;
+};
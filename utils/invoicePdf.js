@@ -0,0 +1,113 @@
+import PDFDocument from 'pdfkit';
+
+// Built-in PDF fonts have no rupee glyph, so amounts are printed as "INR 1,234.00"
+const money = (value) => `INR ${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' }) : '-');
+
+const COLUMNS = [
+  { key: 'sNo', label: '#', width: 25 },
+  { key: 'description', label: 'Description', width: 170 },
+  { key: 'hsnSac', label: 'HSN/SAC', width: 55 },
+  { key: 'quantity', label: 'Qty', width: 35, align: 'right' },
+  { key: 'unitPrice', label: 'Rate', width: 65, align: 'right', money: true },
+  { key: 'gstRate', label: 'GST %', width: 40, align: 'right' },
+  { key: 'taxableValue', label: 'Taxable', width: 60, align: 'right', money: true },
+  { key: 'total', label: 'Amount', width: 65, align: 'right', money: true }
+];
+
+// Render an invoice or credit note to a PDF buffer
+export const renderInvoicePdf = (invoice, jobReference) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const isCreditNote = invoice.documentType === 'Credit Note';
+  const title = isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE';
+
+  // Header
+  doc.fontSize(18).font('Helvetica-Bold').text(invoice.seller?.legalName || 'AK SecureTech Ltd');
+  doc.fontSize(9).font('Helvetica');
+  if (invoice.seller?.address) doc.text(invoice.seller.address);
+  if (invoice.seller?.state) doc.text(`State: ${invoice.seller.state}`);
+  if (invoice.seller?.gstin) doc.text(`GSTIN: ${invoice.seller.gstin}`);
+
+  doc.moveUp(invoice.seller?.gstin ? 3 : 2);
+  doc.fontSize(14).font('Helvetica-Bold').text(title, { align: 'right' });
+  doc.fontSize(9).font('Helvetica');
+  doc.text(`No: ${invoice.invoiceNumber || 'DRAFT'}`, { align: 'right' });
+  doc.text(`Date: ${formatDate(invoice.issuedAt || invoice.createdAt)}`, { align: 'right' });
+  if (!isCreditNote && invoice.dueDate) doc.text(`Due: ${formatDate(invoice.dueDate)}`, { align: 'right' });
+  if (jobReference) doc.text(`Job: ${jobReference}`, { align: 'right' });
+
+  doc.moveDown(2);
+
+  // Bill to
+  doc.fontSize(10).font('Helvetica-Bold').text('Bill To', 40);
+  doc.fontSize(9).font('Helvetica');
+  doc.text(invoice.customer?.companyName || '');
+  doc.text(invoice.customer?.name || '');
+  if (invoice.customer?.address) doc.text(invoice.customer.address);
+  if (invoice.customer?.gstin) doc.text(`GSTIN: ${invoice.customer.gstin}`);
+  doc.text(`Place of supply: ${invoice.placeOfSupply} (${invoice.supplyType})`);
+  if (isCreditNote && invoice.reason) doc.text(`Reason: ${invoice.reason}`);
+
+  doc.moveDown(1.5);
+
+  // Line items table
+  const drawRow = (values, bold = false) => {
+    const y = doc.y;
+    let x = 40;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    let rowHeight = 0;
+    for (const column of COLUMNS) {
+      const text = String(values[column.key] ?? '');
+      doc.text(text, x, y, { width: column.width - 4, align: column.align || 'left' });
+      rowHeight = Math.max(rowHeight, doc.y - y);
+      x += column.width;
+    }
+    doc.y = y + rowHeight + 4;
+    doc.x = 40;
+  };
+
+  drawRow(Object.fromEntries(COLUMNS.map(c => [c.key, c.label])), true);
+  doc.moveTo(40, doc.y).lineTo(555, doc.y).stroke();
+  doc.moveDown(0.3);
+
+  for (const line of invoice.lineItems) {
+    drawRow(Object.fromEntries(COLUMNS.map(c => [
+      c.key,
+      c.money ? Number(line[c.key] || 0).toFixed(2) : line[c.key]
+    ])));
+  }
+
+  doc.moveTo(40, doc.y).lineTo(555, doc.y).stroke();
+  doc.moveDown(0.5);
+
+  // Totals
+  const totals = [['Taxable value', invoice.subtotal]];
+  if (invoice.supplyType === 'Intra-State') {
+    totals.push(['CGST', invoice.cgstTotal], ['SGST', invoice.sgstTotal]);
+  } else {
+    totals.push(['IGST', invoice.igstTotal]);
+  }
+  if (invoice.roundOff) totals.push(['Round off', invoice.roundOff]);
+  totals.push([isCreditNote ? 'Total credit' : 'Grand total', invoice.grandTotal]);
+
+  for (const [index, [label, value]] of totals.entries()) {
+    const isLast = index === totals.length - 1;
+    const y = doc.y;
+    doc.font(isLast ? 'Helvetica-Bold' : 'Helvetica').fontSize(isLast ? 10 : 9);
+    doc.text(label, 340, y, { width: 110 });
+    doc.text(money(value), 450, y, { width: 105, align: 'right' });
+  }
+
+  doc.moveDown(3);
+  doc.fontSize(8).font('Helvetica').fillColor('#6b7280')
+    .text('This is a computer generated document.', 40, doc.y, { align: 'center', width: 515 });
+  doc.text('AK SecureTech Ltd - Installation and Services', { align: 'center', width: 515 });
+
+  doc.end();
+});
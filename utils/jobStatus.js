@@ -0,0 +1,94 @@
+import { evaluateSlaStatus, resolveSlaOnClose } from './sla.js';
+import { publishJobEvent } from './realtime.js';
+import { notifyCustomer } from './notifications.js';
+import { recordAudit } from './audit.js';
+import { sendJobMessage } from '../config/messaging.js';
+import { sendAdminReplyNotification, sendServiceRequestReplyNotification } from '../config/email.js';
+
+// Status changes on tickets and service requests. The admin update endpoints and quote
+// acceptance all go through here so the SLA, audit trail and customer updates stay in step.
+const JOB_TYPES = {
+  ticket: {
+    audit: 'ticket.status_changed',
+    // Sets completedAt
+    completedStatus: 'Closed',
+    // Stop the SLA clock and send the "job closed" WhatsApp / SMS message
+    closedStatuses: ['Closed'],
+    sendEmail: sendAdminReplyNotification
+  },
+  'service-request': {
+    audit: 'service_request.status_changed',
+    completedStatus: 'Completed',
+    closedStatuses: ['Completed', 'Rejected'],
+    sendEmail: sendServiceRequestReplyNotification
+  }
+};
+
+const jobTypeOf = (job) => (job.ticketId ? 'ticket' : 'service-request');
+
+const isClosedStatus = (job, status) => JOB_TYPES[jobTypeOf(job)].closedStatuses.includes(status);
+
+// Fields to set alongside a new status: the final SLA status when the job is closed
+// (completed or rejected), the SLA back on the clock when it is reopened, and completedAt
+export const statusChangeFields = (job, status, now = new Date()) => {
+  const { completedStatus } = JOB_TYPES[jobTypeOf(job)];
+  const fields = { status };
+
+  const closing = isClosedStatus(job, status);
+  const wasClosed = isClosedStatus(job, job.status);
+  if (closing && !wasClosed) {
+    const finalSla = resolveSlaOnClose(job, now);
+    if (finalSla) fields['sla.status'] = finalSla;
+  } else if (!closing && wasClosed) {
+    const reopenedSla = evaluateSlaStatus(job);
+    if (reopenedSla) fields['sla.status'] = reopenedSla;
+  }
+
+  if (status === completedStatus && job.status !== completedStatus) {
+    fields.completedAt = now;
+  } else if (status !== completedStatus && job.status === completedStatus) {
+    fields.completedAt = null;
+  }
+  return fields;
+};
+
+// Paragraph for the customer email about a new status
+export const statusEmailText = (job, status) => {
+  if (jobTypeOf(job) === 'ticket') {
+    return status === 'Closed'
+      ? `Your ticket has been closed as the service is completed.\n\nThank you for using our service. If you have any further issues, please create a new ticket.\n\n`
+      : `Your ticket status has been updated to: ${status}.\n\n`;
+  }
+  if (status === 'Completed') return `Your service request has been completed.\n\nThank you for using our service.\n\n`;
+  if (status === 'Rejected') return `Your service request has been rejected.\n\n`;
+  return `Your service request status has been updated to: ${status}.\n\n`;
+};
+
+// Email the customer about a status change (in background). `job` must have userId populated.
+export const emailStatusChange = (job, status) => {
+  if (!job.userId) return;
+
+  setImmediate(async () => {
+    try {
+      const closed = isClosedStatus(job, status);
+      const message = statusEmailText(job, status) + (closed ? '' : `Please check your dashboard for more details.`);
+      await JOB_TYPES[jobTypeOf(job)].sendEmail(job, job.userId, message, null, closed, 'status_changed');
+    } catch (emailError) {
+      console.error('Email sending failed:', emailError);
+    }
+  });
+};
+
+// Audit, realtime event, in-app notification and WhatsApp / SMS for a saved status change.
+// The customer email is left to the caller, which may fold it into a visit update.
+export const announceStatusChange = async (req, job, oldStatus, { changedBy = req.user.name, details } = {}) => {
+  const jobType = jobTypeOf(job);
+  const status = job.status;
+
+  await recordAudit(req, JOB_TYPES[jobType].audit, { target: job, before: { status: oldStatus }, after: { status }, details });
+  publishJobEvent(jobType, 'status_changed', job, { previousStatus: oldStatus, changedBy });
+  await notifyCustomer(job, 'status_changed', { message: `Status changed from ${oldStatus} to ${status}` });
+  if (isClosedStatus(job, status)) {
+    setImmediate(() => sendJobMessage('status_changed', 'job_closed', job, { status: status.toLowerCase() }));
+  }
+};
@@ -0,0 +1,119 @@
+import Invoice from '../models/Invoice.js';
+import Payment from '../models/Payment.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+// Invoice filter that only matches when `amount` more can be paid without exceeding the
+// payable value, so a payment can be reserved with $inc in the same update
+export const canPayFilter = (invoiceId, amount) => ({
+  _id: invoiceId,
+  documentType: 'Invoice',
+  status: 'Finalised',
+  $expr: { $lte: [{ $round: [{ $add: ['$amountPaid', '$creditedAmount', amount] }, 2] }, '$grandTotal'] }
+});
+
+// Refresh an invoice's payment status from its paid and credited amounts. Payments and credit
+// notes adjust those amounts with $inc, so this works on the stored values in one update
+// rather than saving a copy that a concurrent payment could have made stale.
+export const syncInvoicePayments = async (invoice) => {
+  const amountPaid = { $round: ['$amountPaid', 2] };
+  const payable = { $round: [{ $subtract: ['$grandTotal', '$creditedAmount'] }, 2] };
+
+  return Invoice.findOneAndUpdate({ _id: invoice._id }, [{
+    $set: {
+      amountPaid,
+      paymentStatus: {
+        $switch: {
+          branches: [
+            { case: { $lte: [amountPaid, 0] }, then: 'Unpaid' },
+            { case: { $gte: [amountPaid, payable] }, then: 'Paid' }
+          ],
+          default: 'Partially Paid'
+        }
+      }
+    }
+  }], { new: true });
+};
+
+// Ageing bucket for an unpaid amount based on days past the due date
+const ageingBucket = (dueDate, now) => {
+  const daysOverdue = Math.floor((now.getTime() - new Date(dueDate).getTime()) / DAY_MS);
+  if (daysOverdue <= 0) return 'current';
+  if (daysOverdue <= 30) return '1-30';
+  if (daysOverdue <= 60) return '31-60';
+  if (daysOverdue <= 90) return '61-90';
+  return '90+';
+};
+
+// Outstanding balance and ageing for a customer (cheap enough for getUserById)
+export const getCustomerBalance = async (userId, now = new Date()) => {
+  const invoices = await Invoice.find({
+    userId,
+    documentType: 'Invoice',
+    status: 'Finalised',
+    paymentStatus: { $ne: 'Paid' }
+  });
+
+  const ageing = { current: 0, '1-30': 0, '31-60': 0, '61-90': 0, '90+': 0 };
+  let outstanding = 0;
+  let overdue = 0;
+
+  for (const invoice of invoices) {
+    const amount = invoice.outstanding;
+    if (amount <= 0) continue;
+
+    const bucket = ageingBucket(invoice.dueDate, now);
+    ageing[bucket] = round2(ageing[bucket] + amount);
+    outstanding = round2(outstanding + amount);
+    if (bucket !== 'current') overdue = round2(overdue + amount);
+  }
+
+  return { outstanding, overdue, ageing };
+};
+
+// Full statement: invoices (debit), credit notes and payments (credit) with a running balance
+export const buildCustomerLedger = async (userId, now = new Date()) => {
+  const [documents, payments, balance] = await Promise.all([
+    Invoice.find({ userId, status: 'Finalised' }).sort({ issuedAt: 1 }),
+    Payment.find({ userId, status: 'Received' }).populate('invoiceId', 'invoiceNumber').sort({ paidAt: 1 }),
+    getCustomerBalance(userId, now)
+  ]);
+
+  const entries = [
+    ...documents.map(doc => ({
+      date: doc.issuedAt,
+      type: doc.documentType,
+      reference: doc.invoiceNumber,
+      documentId: doc._id,
+      debit: doc.documentType === 'Invoice' ? doc.grandTotal : 0,
+      credit: doc.documentType === 'Credit Note' ? doc.grandTotal : 0,
+      dueDate: doc.documentType === 'Invoice' ? doc.dueDate : undefined
+    })),
+    ...payments.map(payment => ({
+      date: payment.paidAt,
+      type: 'Payment',
+      reference: [payment.method, payment.reference].filter(Boolean).join(' - '),
+      documentId: payment._id,
+      invoiceNumber: payment.invoiceId?.invoiceNumber,
+      debit: 0,
+      credit: payment.amount
+    }))
+  ].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let running = 0;
+  for (const entry of entries) {
+    running = round2(running + entry.debit - entry.credit);
+    entry.balance = running;
+  }
+
+  return {
+    entries,
+    totals: {
+      invoiced: round2(entries.reduce((sum, e) => sum + e.debit, 0)),
+      credited: round2(entries.filter(e => e.type === 'Credit Note').reduce((sum, e) => sum + e.credit, 0)),
+      paid: round2(entries.filter(e => e.type === 'Payment').reduce((sum, e) => sum + e.credit, 0))
+    },
+    ...balance
+  };
+};
@@ -0,0 +1,209 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { SLA_STATUSES } from './sla.js';
+import { escapeRegex } from './search.js';
+
+export const MAX_PAGE_SIZE = 100;
+
+// Sortable fields per listing; every sort is tie-broken on _id so cursors are stable
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'completedAt', 'assignedVisitAt', 'preferredVisitAt', 'status', 'category', 'outletName'];
+
+// Comma separated or repeated query params -> array
+export const toList = (value) => {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const parseDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  // A bare date (YYYY-MM-DD) as an upper bound includes the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+export const buildDateRange = (from, to) => {
+  const start = parseDate(from);
+  const end = parseDate(to, true);
+  if (start === undefined || end === undefined) return { error: true };
+  if (!start && !end) return {};
+
+  const range = {};
+  if (start) range.$gte = start;
+  if (end) range.$lte = end;
+  return { range };
+};
+
+// Who can see which jobs in a listing (mirrors getTicketById)
+export const jobOwnershipFilter = (user) => {
+  if (user.role === 'admin') return {};
+  if (user.role === 'technician') return { assignedTo: user._id };
+  return { userId: user._id };
+};
+
+// Build a Mongo filter from listing query params; returns { filter } or { error }
+// Supported: status, category, outlet, company, customer, createdFrom/To, completedFrom/To, visitAssigned, sla
+export const buildJobFilters = async (Model, query, user) => {
+  const conditions = [jobOwnershipFilter(user)];
+
+  const statuses = toList(query.status);
+  if (statuses.length > 0) {
+    const allowed = Model.schema.path('status').enumValues;
+    const invalid = statuses.filter(status => !allowed.includes(status));
+    if (invalid.length > 0) {
+      return { error: `Invalid status: ${invalid.join(', ')}. Use one of: ${allowed.join(', ')}` };
+    }
+    conditions.push({ status: { $in: statuses } });
+  }
+
+  const categories = toList(query.category);
+  if (categories.length > 0) {
+    const allowed = Model.schema.path('category').enumValues;
+    const invalid = categories.filter(category => !allowed.includes(category));
+    if (invalid.length > 0) {
+      return { error: `Invalid category: ${invalid.join(', ')}` };
+    }
+    conditions.push({ category: { $in: categories } });
+  }
+
+  if (query.outlet) {
+    conditions.push({ outletName: new RegExp(escapeRegex(String(query.outlet).trim()), 'i') });
+  }
+
+  // Customer filters only make sense for staff; customers are already limited to their own jobs
+  if (user.role !== 'user') {
+    if (query.customer) {
+      if (!mongoose.Types.ObjectId.isValid(query.customer)) {
+        return { error: 'Invalid customer id' };
+      }
+      conditions.push({ userId: new mongoose.Types.ObjectId(String(query.customer)) });
+    }
+
+    if (query.company) {
+      const customers = await User.find({
+        role: 'user',
+        companyName: new RegExp(escapeRegex(String(query.company).trim()), 'i')
+      }).select('_id').lean();
+      conditions.push({ userId: { $in: customers.map(customer => customer._id) } });
+    }
+  }
+
+  const created = buildDateRange(query.createdFrom, query.createdTo);
+  const completed = buildDateRange(query.completedFrom, query.completedTo);
+  if (created.error || completed.error) {
+    return { error: 'Invalid date range' };
+  }
+  if (created.range) conditions.push({ createdAt: created.range });
+  if (completed.range) conditions.push({ completedAt: completed.range });
+
+  if (query.visitAssigned === 'true') {
+    conditions.push({ assignedVisitAt: { $ne: null } });
+  } else if (query.visitAssigned === 'false') {
+    conditions.push({ assignedVisitAt: null });
+  }
+
+  if (query.sla) {
+    if (!SLA_STATUSES.includes(query.sla)) {
+      return { error: `Invalid SLA filter. Use one of: ${SLA_STATUSES.join(', ')}` };
+    }
+    conditions.push({ 'sla.status': query.sla });
+  }
+
+  const filter = conditions.filter(condition => Object.keys(condition).length > 0);
+  return { filter: filter.length > 0 ? { $and: filter } : {} };
+};
+
+// "-createdAt" / "createdAt" / "createdAt:desc" -> { field, direction }; returns { error } for unknown fields
+export const parseSort = (value, fallback = '-createdAt') => {
+  const raw = String(value || fallback).trim();
+  let field = raw;
+  let direction = 1;
+
+  if (raw.startsWith('-')) {
+    field = raw.slice(1);
+    direction = -1;
+  } else if (raw.includes(':')) {
+    const [name, order] = raw.split(':');
+    field = name;
+    direction = order === 'desc' ? -1 : 1;
+  }
+
+  if (!SORT_FIELDS.includes(field)) {
+    return { error: `Invalid sort field. Use one of: ${SORT_FIELDS.join(', ')}` };
+  }
+  return { field, direction };
+};
+
+// Cursors are opaque base64url tokens holding the last row's sort value and _id
+export const encodeCursor = (doc, { field }) => {
+  const value = doc[field];
+  const payload = {
+    f: field,
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    d: value instanceof Date,
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+export const decodeCursor = (cursor, sort) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (payload.f !== sort.field || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+    return {
+      value: payload.v === null ? null : (payload.d ? new Date(payload.v) : payload.v),
+      id: new mongoose.Types.ObjectId(String(payload.id))
+    };
+  } catch {
+    return null;
+  }
+};
+
+// Keyset condition for rows after the cursor in (field, _id) order.
+// Mongo sorts nulls first ascending / last descending, so they need their own branch.
+export const buildCursorFilter = ({ value, id }, { field, direction }) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    const sameNull = { [field]: null, _id: { [after]: id } };
+    return direction === 1 ? { $or: [sameNull, { [field]: { $ne: null } }] } : sameNull;
+  }
+
+  const branches = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: id } }
+  ];
+  if (direction === -1) branches.push({ [field]: null });
+  return { $or: branches };
+};
+
+// Run a filtered, sorted, paginated listing with a total count.
+// Pass a decoded cursor for keyset pagination; `skip` is only kept for page-number clients.
+export const paginateJobs = async (Model, { filter, sort, cursor, skip = 0, limit, populate = [] }) => {
+  const pageFilter = cursor ? { $and: [filter, buildCursorFilter(cursor, sort)] } : filter;
+
+  let finder = Model.find(pageFilter)
+    .sort({ [sort.field]: sort.direction, _id: sort.direction })
+    .skip(cursor ? 0 : skip)
+    .limit(limit + 1);
+  for (const args of populate) {
+    finder = finder.populate(...args);
+  }
+
+  const [rows, total] = await Promise.all([finder, Model.countDocuments(filter)]);
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    items,
+    total,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null
+  };
+};
@@ -0,0 +1,75 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { publishToUser } from './realtime.js';
+import { wantsChannel } from './preferences.js';
+
+const JOB_TYPES = {
+  Ticket: 'ticket',
+  ServiceRequest: 'service-request'
+};
+
+const idOf = (value) => (value ? (value._id || value) : null);
+
+const jobModelOf = (job) => (job.ticketId ? 'Ticket' : 'ServiceRequest');
+
+// Create notifications for a job event and push each one to its recipient's live streams,
+// skipping recipients whose preferences turn in-app notifications off for the event.
+// Failures are logged rather than thrown so they never break the request that triggered them.
+export const notifyUsers = async (recipients, type, job, { title, message, timelineEntryId } = {}) => {
+  try {
+    const unique = [...new Set(recipients.filter(Boolean).map(id => idOf(id).toString()))];
+    if (unique.length === 0) return [];
+
+    // Drop recipients who turned in-app notifications off for this event
+    const users = await User.find({ _id: { $in: unique } }).select('notificationPreferences').lean();
+    const wanted = users
+      .filter(user => wantsChannel(user.notificationPreferences, type, 'in_app'))
+      .map(user => user._id.toString());
+    if (wanted.length === 0) return [];
+
+    const jobModel = jobModelOf(job);
+    const reference = job.ticketId || job.requestId;
+
+    const notifications = await Notification.insertMany(wanted.map(recipient => ({
+      recipient,
+      type,
+      jobModel,
+      jobId: job._id,
+      reference,
+      title: title || `${reference}: ${job.title}`,
+      message,
+      timelineEntryId
+    })));
+
+    for (const notification of notifications) {
+      publishToUser(notification.recipient, 'notification.created', {
+        notification: { ...notification.toObject(), jobType: JOB_TYPES[jobModel] }
+      });
+    }
+    return notifications;
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return [];
+  }
+};
+
+// Notify the job's customer
+export const notifyCustomer = (job, type, details) => notifyUsers([idOf(job.userId)], type, job, details);
+
+// Notify every active admin (new jobs and customer replies)
+export const notifyAdmins = async (job, type, details) => {
+  try {
+    const admins = await User.find({ role: 'admin', isActive: { $ne: false } }).select('_id').lean();
+    return notifyUsers(admins.map(admin => admin._id), type, job, details);
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return [];
+  }
+};
+
+// Short preview for notification lists
+export const preview = (text, length = 140) => {
+  if (!text) return undefined;
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.slice(0, length - 1)}…` : clean;
+};
@@ -0,0 +1,28 @@
+import { EventEmitter } from 'events';
+import Outbox from '../models/Outbox.js';
+
+// Lets the worker start sending as soon as something is queued instead of waiting for its next poll
+export const outboxEvents = new EventEmitter();
+
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// 1 min, 2 min, 4 min, ... capped at 6 hours, with ±20% jitter so a backlog doesn't retry in lockstep
+export const retryDelayMs = (attempts) => {
+  const delay = Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+export const queueEmail = async ({ to, subject, html, attachments, event, replyTo }) => {
+  const email = await Outbox.create({
+    to,
+    replyTo,
+    subject,
+    html,
+    attachments,
+    event,
+    maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 6
+  });
+  outboxEvents.emit('queued', email._id);
+  return email;
+};
@@ -0,0 +1,205 @@
+import User from '../models/User.js';
+
+export const NOTIFICATION_CHANNELS = ['email', 'in_app', 'whatsapp', 'sms'];
+
+// Events a user can route to channels. Anything not listed here (verification,
+// lockout, invites) is an account email and is always delivered straight away.
+export const NOTIFICATION_EVENTS = [
+  'job_created',
+  'admin_reply',
+  'customer_reply',
+  'status_changed',
+  'visit_scheduled',
+  'job_assigned',
+  'sla_escalation',
+  'quote_sent',
+  'quote_decision',
+  'invoice',
+  'payment_reminder',
+  'amc_renewal'
+];
+
+export const ACCOUNT_EVENT = 'account';
+
+const DEFAULT_CHANNELS = ['email', 'in_app'];
+
+export const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const toMinutes = (value) => {
+  const match = TIME_PATTERN.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+export const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Minutes since local midnight in the given timezone
+const localMinutes = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+};
+
+const addMinutes = (date, minutes) => {
+  const result = new Date(date.getTime() + minutes * 60 * 1000);
+  result.setSeconds(0, 0);
+  return result;
+};
+
+const timezoneOf = (prefs) => prefs?.timezone || DEFAULT_TIMEZONE;
+
+// Channels a user has chosen for an event (an empty list means "none")
+export const channelsFor = (prefs, event) => {
+  if (event === ACCOUNT_EVENT) return ['email'];
+  const chosen = prefs?.channels?.get ? prefs.channels.get(event) : prefs?.channels?.[event];
+  return chosen ? [...chosen] : [...DEFAULT_CHANNELS];
+};
+
+export const wantsChannel = (prefs, event, channel) => channelsFor(prefs, event).includes(channel);
+
+// When quiet hours are on and `now` falls inside them, returns the time they end; otherwise null.
+// Windows may wrap midnight (e.g. 22:00-07:00).
+export const quietHoursEnd = (prefs, now = new Date()) => {
+  const quiet = prefs?.quietHours;
+  if (!quiet?.enabled) return null;
+
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  if (start === null || end === null || start === end) return null;
+
+  const current = localMinutes(now, timezoneOf(prefs));
+  const inside = start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+  if (!inside) return null;
+
+  return addMinutes(now, (end - current + 1440) % 1440);
+};
+
+// Next daily digest send time, pushed past quiet hours if the digest hour falls inside them
+export const nextDigestAt = (prefs, now = new Date()) => {
+  const hour = Number.isInteger(prefs?.digest?.hour) ? prefs.digest.hour : 8;
+  const current = localMinutes(now, timezoneOf(prefs));
+  const at = addMinutes(now, (hour * 60 - current + 1440) % 1440);
+  return quietHoursEnd(prefs, at) || at;
+};
+
+// Decide what to do with a notification for one channel:
+// { action: 'send' } | { action: 'skip' } | { action: 'defer', reason, sendAfter }
+export const planDelivery = (prefs, event, channel, now = new Date()) => {
+  if (event === ACCOUNT_EVENT) return { action: 'send' };
+  if (!wantsChannel(prefs, event, channel)) return { action: 'skip' };
+
+  if (channel === 'email' && prefs?.digest?.enabled) {
+    return { action: 'defer', reason: 'digest', sendAfter: nextDigestAt(prefs, now) };
+  }
+
+  const quietUntil = quietHoursEnd(prefs, now);
+  if (quietUntil) {
+    return { action: 'defer', reason: 'quiet_hours', sendAfter: quietUntil };
+  }
+
+  return { action: 'send' };
+};
+
+// Preferences of the account that owns an email address (shared mailboxes such as
+// ADMIN_EMAIL follow the admin account registered with that address, if any)
+export const findRecipientByEmail = (email) => {
+  if (!email) return null;
+  return User.findOne({ email: String(email).toLowerCase().trim() })
+    .select('name email phone role notificationPreferences')
+    .lean();
+};
+
+// Validate and normalise a preferences update; returns { preferences } or { error }
+export const parsePreferencesUpdate = (body, current = {}) => {
+  const next = {
+    channels: { ...(current.channels instanceof Map ? Object.fromEntries(current.channels) : current.channels || {}) },
+    quietHours: { ...(current.quietHours || {}) },
+    digest: { ...(current.digest || {}) },
+    timezone: current.timezone
+  };
+
+  if (body.channels !== undefined) {
+    if (typeof body.channels !== 'object' || body.channels === null || Array.isArray(body.channels)) {
+      return { error: 'channels must be an object of event: [channels]' };
+    }
+    for (const [event, value] of Object.entries(body.channels)) {
+      if (!NOTIFICATION_EVENTS.includes(event)) {
+        return { error: `Unknown notification event: ${event}` };
+      }
+      // 'none' or an empty list mutes the event
+      const list = value === 'none' ? [] : (Array.isArray(value) ? value : [value]);
+      const invalid = list.find(channel => !NOTIFICATION_CHANNELS.includes(channel));
+      if (invalid) {
+        return { error: `Unknown channel for ${event}: ${invalid}` };
+      }
+      next.channels[event] = [...new Set(list)];
+    }
+  }
+
+  if (body.quietHours !== undefined) {
+    const { enabled, start, end } = body.quietHours || {};
+    if (enabled !== undefined) next.quietHours.enabled = Boolean(enabled);
+    if (start !== undefined) next.quietHours.start = start;
+    if (end !== undefined) next.quietHours.end = end;
+
+    if (next.quietHours.enabled) {
+      if (toMinutes(next.quietHours.start) === null || toMinutes(next.quietHours.end) === null) {
+        return { error: 'Quiet hours start and end must be HH:MM' };
+      }
+      if (next.quietHours.start === next.quietHours.end) {
+        return { error: 'Quiet hours start and end must differ' };
+      }
+    }
+  }
+
+  if (body.digest !== undefined) {
+    const { enabled, hour } = body.digest || {};
+    if (enabled !== undefined) next.digest.enabled = Boolean(enabled);
+    if (hour !== undefined) {
+      const parsed = Number(hour);
+      if (!Number.isInteger(parsed) || parsed < 0 || parsed > 23) {
+        return { error: 'Digest hour must be a whole number from 0 to 23' };
+      }
+      next.digest.hour = parsed;
+    }
+  }
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimezone(body.timezone)) {
+      return { error: 'Invalid timezone' };
+    }
+    next.timezone = body.timezone;
+  }
+
+  return { preferences: next };
+};
+
+// Preferences with defaults filled in for every event, as returned by the API
+export const describePreferences = (prefs) => ({
+  channels: Object.fromEntries(NOTIFICATION_EVENTS.map(event => [event, channelsFor(prefs, event)])),
+  quietHours: {
+    enabled: Boolean(prefs?.quietHours?.enabled),
+    start: prefs?.quietHours?.start || null,
+    end: prefs?.quietHours?.end || null
+  },
+  digest: {
+    enabled: Boolean(prefs?.digest?.enabled),
+    hour: Number.isInteger(prefs?.digest?.hour) ? prefs.digest.hour : 8
+  },
+  timezone: timezoneOf(prefs)
+});
@@ -0,0 +1,64 @@
+// In-process Server-Sent Events hub. Each API instance only pushes to the clients connected to it,
+// which is fine for the single-instance deployment; a shared broker would be needed to scale out.
+const clients = new Set();
+let lastEventId = 0;
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// Admins see everything, technicians their assigned jobs, customers their own (same as getTicketById)
+const canReceive = (user, job) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'technician') return idOf(job.assignedTo) === user._id.toString();
+  return idOf(job.userId) === user._id.toString();
+};
+
+export const writeEvent = (res, id, event, payload) => {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+};
+
+export const addClient = (res, user) => {
+  const client = { res, user };
+  clients.add(client);
+  return () => clients.delete(client);
+};
+
+// Push a job event to every connected client allowed to see the job.
+// `event` is e.g. "created", "status_changed", "comment_added", "reply_seen"; jobType is ticket | service-request.
+export const publishJobEvent = (jobType, event, job, data = {}) => {
+  if (clients.size === 0) return;
+
+  const id = ++lastEventId;
+  const payload = {
+    jobType,
+    jobId: job._id,
+    reference: job.ticketId || job.requestId,
+    title: job.title,
+    status: job.status,
+    ...data,
+    at: new Date()
+  };
+
+  for (const client of clients) {
+    if (!canReceive(client.user, job)) continue;
+    try {
+      writeEvent(client.res, id, `${jobType}.${event}`, payload);
+    } catch (error) {
+      console.error('Realtime push failed:', error);
+    }
+  }
+};
+
+// Push an event to one user's open streams (e.g. a new notification for their badge)
+export const publishToUser = (userId, event, payload) => {
+  if (clients.size === 0) return;
+
+  const id = ++lastEventId;
+  for (const client of clients) {
+    if (client.user._id.toString() !== userId.toString()) continue;
+    try {
+      writeEvent(client.res, id, event, { ...payload, at: new Date() });
+    } catch (error) {
+      console.error('Realtime push failed:', error);
+    }
+  }
+};
@@ -0,0 +1,77 @@
+const SNIPPET_RADIUS = 60;
+
+// Fields that produce highlighted snippets, in display order
+const SNIPPET_FIELDS = ['reference', 'title', 'outletName', 'companyName', 'description', 'address'];
+
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Split a query into search terms, ignoring very short noise words
+export const tokenize = (query) => [...new Set(
+  query.toLowerCase().split(/\s+/).map(term => term.replace(/^["']+|["']+$/g, '')).filter(term => term.length >= 2)
+)];
+
+// Partial TKT-/SRV- references (e.g. "TKT-0012", "srv12", "000045") as an id regex, or null
+export const parseReferenceQuery = (query) => {
+  const match = query.trim().match(/^(tkt|srv)?-?(\d{2,6})$/i);
+  if (!match) return null;
+
+  const prefix = match[1] ? match[1].toUpperCase() : null;
+  return { prefix, digits: match[2].replace(/^0+(?=\d)/, ''), pattern: new RegExp(`-0*${match[2]}`) };
+};
+
+// Excerpt around the first matching term with every term wrapped in <mark>; null when nothing matches
+export const highlight = (text, terms) => {
+  if (!text || terms.length === 0) return null;
+
+  const source = String(text);
+  const matcher = new RegExp(terms.map(escapeRegex).join('|'), 'gi');
+  const first = source.search(matcher);
+  if (first === -1) return null;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(source.length, first + SNIPPET_RADIUS * 2);
+  const excerpt = source.slice(start, end);
+
+  // Escape and mark piece by piece so user content can't inject markup
+  let html = '';
+  let last = 0;
+  for (const match of excerpt.matchAll(matcher)) {
+    html += escapeHtml(excerpt.slice(last, match.index)) + '<mark>' + escapeHtml(match[0]) + '</mark>';
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? '…' : ''}${html}${end < source.length ? '…' : ''}`;
+};
+
+// Highlighted snippets for a job: one per matching field plus up to `maxNotes` timeline notes
+export const buildSnippets = (job, terms, maxNotes = 2) => {
+  const values = {
+    reference: job.ticketId || job.requestId,
+    title: job.title,
+    outletName: job.outletName,
+    companyName: job.userId?.companyName,
+    description: job.description,
+    address: job.address
+  };
+
+  const snippets = [];
+  for (const field of SNIPPET_FIELDS) {
+    const snippet = highlight(values[field], terms);
+    if (snippet) snippets.push({ field, snippet });
+  }
+
+  for (const entry of [...(job.timeline || [])].reverse()) {
+    if (snippets.filter(s => s.field === 'timeline').length >= maxNotes) break;
+    const snippet = highlight(entry.note, terms);
+    if (snippet) snippets.push({ field: 'timeline', snippet, addedBy: entry.addedBy, addedAt: entry.addedAt });
+  }
+
+  return snippets;
+};
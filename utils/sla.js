@@ -0,0 +1,72 @@
+import Settings from '../models/Settings.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const SLA_STATUSES = ['On Track', 'At Risk', 'Breached', 'Met'];
+
+// Load the SLA policy configured for a category (null if none is configured)
+export const getSlaPolicy = async (category) => {
+  const settings = await Settings.findOne();
+  const policies = settings ? settings.slaPolicies : Settings.schema.path('slaPolicies').defaultValue();
+  return policies.find(p => p.category === category) || null;
+};
+
+// Build the initial `sla` sub-document for a newly created ticket / service request
+export const buildSla = async (category, createdAt = new Date()) => {
+  const policy = await getSlaPolicy(category);
+  if (!policy) {
+    return undefined;
+  }
+
+  const start = new Date(createdAt).getTime();
+  return {
+    firstResponseDueAt: new Date(start + policy.firstResponseHours * HOUR_MS),
+    resolutionDueAt: new Date(start + policy.resolutionHours * HOUR_MS),
+    status: 'On Track'
+  };
+};
+
+// Work out the SLA status of an open item at `now`.
+// A breach is sticky: once an item has breached it stays breached.
+export const evaluateSlaStatus = (job, atRiskPercent = 75, now = new Date()) => {
+  const sla = job.sla;
+  if (!sla || !sla.resolutionDueAt) {
+    return null;
+  }
+  if (sla.status === 'Breached') {
+    return 'Breached';
+  }
+
+  const start = new Date(job.createdAt).getTime();
+  const nowMs = new Date(now).getTime();
+  const windows = [new Date(sla.resolutionDueAt).getTime()];
+  if (!sla.firstResponseAt && sla.firstResponseDueAt) {
+    windows.push(new Date(sla.firstResponseDueAt).getTime());
+  }
+
+  if (windows.some(due => nowMs > due)) {
+    return 'Breached';
+  }
+
+  const atRisk = windows.some(due => {
+    const length = due - start;
+    return length > 0 && (nowMs - start) / length >= atRiskPercent / 100;
+  });
+
+  return atRisk ? 'At Risk' : 'On Track';
+};
+
+// Final SLA status once an item is closed / completed
+export const resolveSlaOnClose = (job, closedAt = new Date()) => {
+  const sla = job.sla;
+  if (!sla || !sla.resolutionDueAt) {
+    return null;
+  }
+
+  const closedMs = new Date(closedAt).getTime();
+  const firstResponseMs = sla.firstResponseAt ? new Date(sla.firstResponseAt).getTime() : closedMs;
+  const respondedInTime = !sla.firstResponseDueAt || firstResponseMs <= new Date(sla.firstResponseDueAt).getTime();
+  const resolvedInTime = closedMs <= new Date(sla.resolutionDueAt).getTime();
+
+  return sla.status !== 'Breached' && respondedInTime && resolvedInTime ? 'Met' : 'Breached';
+};
@@ -0,0 +1,102 @@
+import path from 'path';
+import ExcelJS from 'exceljs';
+
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF). Values stay strings,
+// so phone numbers keep their leading zeros.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const source = text.replace(/^﻿/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Plain text for an XLSX cell (rich text, hyperlinks and formula results included)
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return String(value.result);
+  }
+  return String(value);
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      values.push(cellText(row.getCell(col).value));
+    }
+    rows[rowNumber - 1] = values;
+  });
+  return Array.from(rows, row => row || []);
+};
+
+// Header "Outlet Name" / "outlet_name" / "outletName" -> "outletname"
+const normaliseHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Parse an uploaded CSV / XLSX into [{ rowNumber, values }] keyed by normalised header.
+// `aliases` maps normalised header variants to field names; blank lines are skipped.
+export const readSpreadsheet = async (file, aliases) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  const table = extension === '.xlsx' ? await parseXlsx(file.buffer) : parseCsv(file.buffer.toString('utf8'));
+
+  const [headerRow = [], ...dataRows] = table;
+  const fields = headerRow.map(header => aliases[normaliseHeader(header)] || null);
+
+  const rows = [];
+  dataRows.forEach((cells, index) => {
+    if (cells.every(cell => String(cell).trim() === '')) return;
+
+    const values = {};
+    fields.forEach((field, col) => {
+      if (field) values[field] = String(cells[col] ?? '').trim();
+    });
+    // Spreadsheet row numbers are 1-based and include the header row
+    rows.push({ rowNumber: index + 2, values });
+  });
+
+  return { rows, columns: fields.filter(Boolean) };
+};
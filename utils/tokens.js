@@ -0,0 +1,120 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import RefreshToken from '../models/RefreshToken.js';
+
+// Read lazily: this module can be imported before dotenv has loaded .env
+const accessTokenExpiresIn = () => process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const refreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Constant-time comparison for shared secrets sent by webhooks
+export const secretMatches = (provided, expected) => {
+  const a = Buffer.from(String(provided || ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Short-lived access token; `fam` ties it to a refresh token family so logout can revoke it
+export const generateAccessToken = (userId, family) => {
+  return jwt.sign({ id: userId, fam: family }, process.env.JWT_SECRET, {
+    expiresIn: accessTokenExpiresIn(),
+  });
+};
+
+// Short-lived token proving the password step passed. `purpose` is either
+// '2fa-login' (exchange at /2fa/verify) or '2fa-setup' (enrol before first admin login).
+export const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign({ id: userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: '10m',
+  });
+};
+
+// Returns the user id from a valid challenge token, or null
+export const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const newRefreshToken = () => crypto.randomBytes(40).toString('hex');
+
+const createRefreshToken = async (userId, family, familyCreatedAt, req, refreshToken = newRefreshToken()) => {
+  await RefreshToken.create({
+    userId,
+    family,
+    familyCreatedAt,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000),
+    createdByIp: req?.ip,
+    userAgent: req?.headers?.['user-agent']
+  });
+
+  return refreshToken;
+};
+
+// Start a new session (login / register): returns an access + refresh token pair
+export const issueSession = async (userId, req) => {
+  const family = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(userId, family, new Date(), req);
+
+  return {
+    token: generateAccessToken(userId, family),
+    refreshToken
+  };
+};
+
+// Exchange a refresh token for a new pair. The old token is claimed (revoked) atomically, so
+// of two requests racing with the same token only one gets a pair; presenting an
+// already-rotated token is treated as theft and revokes the whole family.
+export const rotateSession = async (refreshToken, req) => {
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+  const replacement = newRefreshToken();
+
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now, replacedByHash: hashToken(replacement) } }
+  );
+
+  if (!record) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (existing && existing.revokedAt) {
+      await revokeFamily(existing.family);
+    }
+    return null;
+  }
+
+  // Tokens issued before familyCreatedAt was recorded fall back to their own creation time
+  const familyCreatedAt = record.familyCreatedAt || record.createdAt;
+  await createRefreshToken(record.userId, record.family, familyCreatedAt, req, replacement);
+
+  return {
+    userId: record.userId,
+    family: record.family,
+    familyCreatedAt,
+    token: generateAccessToken(record.userId, record.family),
+    refreshToken: replacement
+  };
+};
+
+export const revokeFamily = async (family) => {
+  await RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+export const revokeAllSessions = async (userId) => {
+  await RefreshToken.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+// A session is live while its family still holds an unrevoked, unexpired token
+export const isSessionActive = async (family) => {
+  const active = await RefreshToken.exists({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(active);
+};
@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+
+// RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30s step) - compatible with Google Authenticator, Authy, etc.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const ISSUER = 'AK SecureTech';
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const getTimeStep = (now = Date.now()) => Math.floor(new Date(now).getTime() / 1000 / PERIOD_SECONDS);
+
+// HOTP value for a given counter (RFC 4226)
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+};
+
+export const generateTotp = (secret, now = Date.now()) => hotp(secret, getTimeStep(now));
+
+// Check a code against the current step +/- `window` steps (clock drift).
+// Returns the matched time step, or null. Steps at or before `lastUsedStep`
+// are refused so a code can't be replayed.
+export const verifyTotp = (secret, code, { now = Date.now(), window = 1, lastUsedStep = null } = {}) => {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) {
+    return null;
+  }
+
+  const current = getTimeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+export const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// One-time recovery codes, e.g. "4f1c-9a2b-77de"
+export const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(6).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`;
+  });
+};